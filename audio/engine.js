@@ -21,6 +21,9 @@ class AudioEngine {
         this.lastKeyCode = 60; // Middle C
         this.keyPressTime = 0;
         
+        // Seeded randomness so variations replay from the session seed
+        this.random = RandomService.stream('audio-engine');
+        
         // Initialize audio engine
         this.init();
     }
@@ -310,7 +313,7 @@ class AudioEngine {
         // Function to schedule next variation
         const scheduleNextVariation = () => {
             // Random interval between 4-8 measures in milliseconds
-            const measures = 4 + Math.floor(Math.random() * 4);
+            const measures = 4 + Math.floor(this.random.next() * 4);
             const secondsPerMeasure = (60 / Tone.Transport.bpm.value) * 4; // 4 beats per measure
             const interval = secondsPerMeasure * measures * 1000;
             
@@ -322,7 +325,7 @@ class AudioEngine {
                     this.generateVariedPattern();
                     
                     // Periodically (less often) request AI patterns
-                    if (Math.random() < 0.2) {
+                    if (this.random.next() < 0.2) {
                         document.dispatchEvent(new CustomEvent('request-ai-pattern'));
                     }
                     
@@ -345,14 +348,14 @@ class AudioEngine {
         const newPattern = [...originalPattern];
         
         // Random variation type
-        const variationType = Math.floor(Math.random() * 3);
+        const variationType = Math.floor(this.random.next() * 3);
         
         switch (variationType) {
             case 0: // Add a new drum hit
                 {
                     // Find a suitable position (16th note grid)
                     const positions = Array.from({length: 16}, (_, i) => `${i}*16n`);
-                    const randomPos = positions[Math.floor(Math.random() * positions.length)];
+                    const randomPos = positions[Math.floor(this.random.next() * positions.length)];
                     
                     // Random drum type (kick, snare, or hi-hat)
                     const drumTypes = [
@@ -360,7 +363,7 @@ class AudioEngine {
                         { note: "D1", velocity: 0.6, duration: "16n" }, // Snare
                         { note: "G2", velocity: 0.4, duration: "32n" }  // Hi-hat
                     ];
-                    const randomDrum = drumTypes[Math.floor(Math.random() * drumTypes.length)];
+                    const randomDrum = drumTypes[Math.floor(this.random.next() * drumTypes.length)];
                     
                     // Add to pattern
                     newPattern.push({
@@ -374,7 +377,7 @@ class AudioEngine {
                 
             case 1: // Remove a drum hit
                 if (newPattern.length > 8) { // Ensure we keep enough hits
-                    const indexToRemove = Math.floor(Math.random() * newPattern.length);
+                    const indexToRemove = Math.floor(this.random.next() * newPattern.length);
                     newPattern.splice(indexToRemove, 1);
                 }
                 break;
@@ -382,7 +385,7 @@ class AudioEngine {
             case 2: // Change velocity of existing hits
                 newPattern.forEach(hit => {
                     // Add slight random velocity variation
-                    hit.velocity = Math.max(0.3, Math.min(0.9, hit.velocity + (Math.random() * 0.2 - 0.1)));
+                    hit.velocity = Math.max(0.3, Math.min(0.9, hit.velocity + (this.random.next() * 0.2 - 0.1)));
                 });
                 break;
         }
@@ -395,15 +398,15 @@ class AudioEngine {
         const newPattern = [...originalPattern];
         
         // Random variation type
-        const variationType = Math.floor(Math.random() * 3);
+        const variationType = Math.floor(this.random.next() * 3);
         
         switch (variationType) {
             case 0: // Change some notes
                 newPattern.forEach(note => {
                     // 30% chance to change each note
-                    if (Math.random() < 0.3) {
+                    if (this.random.next() < 0.3) {
                         const baseNote = Tone.Frequency(note.note).toMidi();
-                        const newMidi = baseNote + [-2, -1, 1, 2][Math.floor(Math.random() * 4)];
+                        const newMidi = baseNote + [-2, -1, 1, 2][Math.floor(this.random.next() * 4)];
                         note.note = Tone.Frequency(newMidi, "midi").toNote();
                     }
                 });
@@ -412,21 +415,21 @@ class AudioEngine {
             case 1: // Change rhythm (note durations)
                 newPattern.forEach(note => {
                     // 40% chance to change each duration
-                    if (Math.random() < 0.4) {
+                    if (this.random.next() < 0.4) {
                         const durations = ["16n", "8n", "8n.", "4n"];
-                        note.duration = durations[Math.floor(Math.random() * durations.length)];
+                        note.duration = durations[Math.floor(this.random.next() * durations.length)];
                     }
                 });
                 break;
                 
             case 2: // Add bass flourish
-                if (newPattern.length > 0 && Math.random() < 0.7) {
+                if (newPattern.length > 0 && this.random.next() < 0.7) {
                     // Pick a random note to add a flourish after
-                    const targetIndex = Math.floor(Math.random() * newPattern.length);
+                    const targetIndex = Math.floor(this.random.next() * newPattern.length);
                     const targetNote = newPattern[targetIndex];
                           // Create a new note right after it
                     const baseNote = Tone.Frequency(targetNote.note).toMidi();
-                    const flourishNote = baseNote + [2, 4, -2, -4][Math.floor(Math.random() * 4)];
+                    const flourishNote = baseNote + [2, 4, -2, -4][Math.floor(this.random.next() * 4)];
                     
                     // Calculate time more safely - avoid using Tone.Time().add() which can cause issues
                     let nextTime;
@@ -473,22 +476,22 @@ class AudioEngine {
             
             newPattern.push({
                 time: "2n",
-                note: notes[Math.floor(Math.random() * notes.length)],
+                note: notes[Math.floor(this.random.next() * notes.length)],
                 velocity: 0.6,
                 duration: "4n"
             });
             
             newPattern.push({
                 time: "2n+4n", // Directly use "2n+4n" instead of trying to add times
-                note: notes[Math.floor(Math.random() * notes.length)],
+                note: notes[Math.floor(this.random.next() * notes.length)],
                 velocity: 0.5,
                 duration: "4n"
             });
         } else {
             // Modify existing lead pattern
             // 50% chance to transpose the whole melody
-            if (Math.random() < 0.5) {
-                const transposeAmount = [-12, -7, -5, 0, 5, 7, 12][Math.floor(Math.random() * 7)];
+            if (this.random.next() < 0.5) {
+                const transposeAmount = [-12, -7, -5, 0, 5, 7, 12][Math.floor(this.random.next() * 7)];
                 
                 newPattern.forEach(note => {
                     const midiNote = Tone.Frequency(note.note).toMidi() + transposeAmount;
@@ -498,11 +501,11 @@ class AudioEngine {
                 // Otherwise vary individual notes
                 newPattern.forEach(note => {
                     // 30% chance to change each note
-                    if (Math.random() < 0.3) {
+                    if (this.random.next() < 0.3) {
                         const scale = [0, 2, 4, 5, 7, 9, 11]; // C major scale intervals
                         const baseNote = Tone.Frequency(note.note).toMidi();
                         const baseOctave = Math.floor(baseNote / 12);
-                        const newInterval = scale[Math.floor(Math.random() * scale.length)];
+                        const newInterval = scale[Math.floor(this.random.next() * scale.length)];
                         note.note = Tone.Frequency(baseOctave * 12 + 60 + newInterval, "midi").toNote();
                     }
                 });
@@ -526,11 +529,11 @@ class AudioEngine {
         ];
         
         // Choose a new chord type
-        const chordType = chordTypes[Math.floor(Math.random() * chordTypes.length)];
+        const chordType = chordTypes[Math.floor(this.random.next() * chordTypes.length)];
         
         // Choose a root note from C, F, G, Am (common chord progression roots)
         const roots = [60, 65, 67, 69]; // C, F, G, A in MIDI
-        const root = roots[Math.floor(Math.random() * roots.length)];
+        const root = roots[Math.floor(this.random.next() * roots.length)];
         
         // Generate new chord
         const chordNotes = chordType.notes.map(interval => 
@@ -834,7 +837,7 @@ class AudioEngine {
             }
             
             // Use quantum data to trigger pattern variations
-            if (this.playing && Math.random() < 0.1) { // 10% chance on each update
+            if (this.playing && this.random.next() < 0.1) { // 10% chance on each update
                 console.log("Quantum fluctuation triggering pattern variation");
                 this.generateVariedPattern();
             }
@@ -898,7 +901,7 @@ class AudioEngine {
         ];
         
         // Select a random chord type
-        const chordType = chordTypes[Math.floor(Math.random() * chordTypes.length)];
+        const chordType = chordTypes[Math.floor(this.random.next() * chordTypes.length)];
         
         // Generate chord notes
         const notes = chordType.intervals.map(interval => rootNote + interval);
@@ -985,7 +988,7 @@ class AudioEngine {
             }
             
             // Trigger ambient pad notes based on mouse position
-            if (data.speed > 0.5 && Math.random() > 0.7) {
+            if (data.speed > 0.5 && this.random.next() > 0.7) {
                 // Generate chord based on mouse position
                 const rootNote = 48 + Math.floor(this.lastMousePosition.x * 24);
                 const chord = this.generateChord(rootNote);
@@ -1014,8 +1017,8 @@ class AudioEngine {
         bassPositions.forEach((pos, i) => {
             bassPattern.push({
                 time: pos,
-                note: bassNotes[Math.floor(Math.random() * bassNotes.length)],
-                velocity: 0.6 + (Math.random() * 0.2),
+                note: bassNotes[Math.floor(this.random.next() * bassNotes.length)],
+                velocity: 0.6 + (this.random.next() * 0.2),
                 duration: '8n'
             });
         });
@@ -1039,10 +1042,10 @@ class AudioEngine {
         ];
         
         // Add some ghost notes to make drums more interesting
-        if (Math.random() < 0.7) {
+        if (this.random.next() < 0.7) {
             drumPattern.push({ time: "8n", note: "D1", velocity: 0.3, duration: "16n" });
         }
-        if (Math.random() < 0.7) {
+        if (this.random.next() < 0.7) {
             drumPattern.push({ time: "2n+8n", note: "D1", velocity: 0.3, duration: "16n" });
         }
         
@@ -1051,13 +1054,13 @@ class AudioEngine {
         const leadPattern = [
             {
                 time: "2n",
-                note: melodyNotes[Math.floor(Math.random() * melodyNotes.length)],
+                note: melodyNotes[Math.floor(this.random.next() * melodyNotes.length)],
                 velocity: 0.5,
                 duration: "4n"
             },
             {
                 time: "2n+4n",
-                note: melodyNotes[Math.floor(Math.random() * melodyNotes.length)],
+                note: melodyNotes[Math.floor(this.random.next() * melodyNotes.length)],
                 velocity: 0.5,
                 duration: "4n"
             }
@@ -1068,7 +1071,7 @@ class AudioEngine {
             ["C3", "E3", "G3"],   // C major
             ["A2", "C3", "E3"]    // A minor
         ];
-        const selectedChord = padChords[Math.floor(Math.random() * padChords.length)];
+        const selectedChord = padChords[Math.floor(this.random.next() * padChords.length)];
         
         const padPattern = [
             {
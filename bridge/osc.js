@@ -0,0 +1,119 @@
+/**
+ * osc - Open Sound Control 1.0 packet encoding and decoding
+ *
+ * Messages are { address, args }; bundles are flattened into their
+ * messages. Arguments decode to numbers (i, f, d, h), strings (s), Buffers
+ * (b), booleans (T, F) and null (N, I). Encoding writes numbers as float32,
+ * strings as s and booleans as T/F, which is what biosensor apps send.
+ */
+
+/**
+ * All messages in a packet (bundles are opened recursively)
+ * @param {Buffer} buffer - One UDP datagram
+ * @returns {Array} [{ address, args }]
+ */
+function decode(buffer) {
+    if (buffer.toString('ascii', 0, 8) === '#bundle\0') {
+        const messages = [];
+        let offset = 16; // '#bundle\0' and the time tag
+        while (offset + 4 <= buffer.length) {
+            const size = buffer.readInt32BE(offset);
+            offset += 4;
+            messages.push(...decode(buffer.subarray(offset, offset + size)));
+            offset += size;
+        }
+        return messages;
+    }
+    
+    const address = readString(buffer, 0);
+    if (!address.value.startsWith('/')) {
+        throw new Error('Not an OSC packet');
+    }
+    
+    // Old senders may leave out the type tags; there are no arguments then
+    if (address.next >= buffer.length || buffer[address.next] !== 0x2c) {
+        return [{ address: address.value, args: [] }];
+    }
+    const tags = readString(buffer, address.next);
+    let offset = tags.next;
+    const args = [];
+    
+    for (const tag of tags.value.slice(1)) {
+        switch (tag) {
+            case 'i': args.push(buffer.readInt32BE(offset)); offset += 4; break;
+            case 'f': args.push(buffer.readFloatBE(offset)); offset += 4; break;
+            case 'd': args.push(buffer.readDoubleBE(offset)); offset += 8; break;
+            case 'h': args.push(Number(buffer.readBigInt64BE(offset))); offset += 8; break;
+            case 's': {
+                const string = readString(buffer, offset);
+                args.push(string.value);
+                offset = string.next;
+                break;
+            }
+            case 'b': {
+                const size = buffer.readInt32BE(offset);
+                args.push(Buffer.from(buffer.subarray(offset + 4, offset + 4 + size)));
+                offset += 4 + pad(size);
+                break;
+            }
+            case 'T': args.push(true); break;
+            case 'F': args.push(false); break;
+            case 'N':
+            case 'I': args.push(null); break;
+            default:
+                throw new Error(`Unsupported OSC type tag "${tag}"`);
+        }
+    }
+    
+    return [{ address: address.value, args }];
+}
+
+/**
+ * @param {String} address - OSC address, e.g. '/muse/elements/alpha_absolute'
+ * @param {Array} args - Numbers, strings and booleans
+ * @returns {Buffer} One OSC message
+ */
+function encode(address, args = []) {
+    const parts = [writeString(address)];
+    let tags = ',';
+    const data = [];
+    
+    args.forEach(arg => {
+        if (typeof arg === 'number') {
+            tags += 'f';
+            const value = Buffer.alloc(4);
+            value.writeFloatBE(arg);
+            data.push(value);
+        } else if (typeof arg === 'boolean') {
+            tags += arg ? 'T' : 'F';
+        } else {
+            tags += 's';
+            data.push(writeString(String(arg)));
+        }
+    });
+    
+    parts.push(writeString(tags), ...data);
+    return Buffer.concat(parts);
+}
+
+/**
+ * Null-terminated string padded to a multiple of 4 bytes
+ */
+function readString(buffer, offset) {
+    let end = offset;
+    while (end < buffer.length && buffer[end] !== 0) end++;
+    return { value: buffer.toString('utf8', offset, end), next: offset + pad(end - offset + 1) };
+}
+
+function writeString(value) {
+    const bytes = Buffer.from(value, 'utf8');
+    const padded = Buffer.alloc(pad(bytes.length + 1));
+    bytes.copy(padded);
+    return padded;
+}
+
+function pad(size) {
+    return (size + 3) & ~3;
+}
+
+module.exports = { decode, encode };
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * oscBridge - Relays OSC from UDP to the composer over a WebSocket
+ *
+ *     node bridge/oscBridge.js [--udp 5000] [--ws 8080] [--host 127.0.0.1] [--record file.csv]
+ *                              [--origin https://example.com,other.host]
+ *
+ * Every OSC message received on the UDP port (e.g. from Mind Monitor or
+ * another biosensor app) goes to each connected WebSocket client as JSON
+ * { address, args, time }, time being ms since the bridge started. Bundles
+ * are split into their messages and blob arguments are dropped. With
+ * --record, messages are also written to a CSV that oscSimulator.js replays.
+ * Pages from localhost (or file://) may connect; --origin allows others,
+ * as a comma-separated list of origins or host names.
+ */
+const dgram = require('dgram');
+const fs = require('fs');
+const http = require('http');
+const osc = require('./osc');
+const WebSocketServer = require('./webSocketServer');
+
+function main(argv) {
+    const options = parseOptions(argv, { udp: 5000, ws: 8080, host: '127.0.0.1', record: null, origin: '' });
+    const started = Date.now();
+    const recording = options.record ? fs.createWriteStream(options.record) : null;
+    if (recording) recording.write('time,address,args...\n');
+    
+    const server = http.createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('Connect with a WebSocket to receive OSC messages\n');
+    });
+    const sockets = new WebSocketServer(server, {
+        origins: options.origin.split(',').map(origin => origin.trim()).filter(Boolean),
+        onConnection: () => console.log(`Client connected (${sockets.clients.size} total)`)
+    });
+    
+    const udp = dgram.createSocket('udp4');
+    let count = 0;
+    udp.on('message', packet => {
+        let messages;
+        try {
+            messages = osc.decode(packet);
+        } catch (error) {
+            console.warn('Ignoring malformed OSC packet:', error.message);
+            return;
+        }
+        
+        const time = Date.now() - started;
+        messages.forEach(({ address, args }) => {
+            const values = args.filter(arg => !Buffer.isBuffer(arg));
+            sockets.broadcast(JSON.stringify({ address, args: values, time }));
+            if (recording) recording.write([(time / 1000).toFixed(3), address, ...values].join(',') + '\n');
+        });
+        count += messages.length;
+    });
+    
+    udp.bind(options.udp, options.host, () => console.log(`Listening for OSC on udp://${options.host}:${options.udp}`));
+    server.listen(options.ws, options.host, () => console.log(`Relaying to ws://${options.host}:${options.ws}`));
+    
+    // A line of throughput now and then, so a silent sender is noticed
+    const report = setInterval(() => {
+        if (count > 0) console.log(`${count} messages relayed to ${sockets.clients.size} client(s)`);
+        count = 0;
+    }, 10000);
+    
+    const shutdown = () => {
+        clearInterval(report);
+        sockets.close();
+        udp.close();
+        server.close();
+        if (recording) recording.end();
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    
+    return { server, udp, sockets, shutdown };
+}
+
+/**
+ * --name value flags over defaults (numbers stay numbers)
+ */
+function parseOptions(argv, defaults) {
+    const options = { ...defaults, _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--(.+)$/.exec(argv[i]);
+        if (!match) {
+            options._.push(argv[i]);
+            continue;
+        }
+        
+        const name = match[1];
+        if (typeof defaults[name] === 'boolean') {
+            options[name] = true;
+            continue;
+        }
+        const value = argv[++i];
+        options[name] = typeof defaults[name] === 'number' ? Number(value) : value;
+    }
+    return options;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { main, parseOptions };
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * oscSimulator - Replays recorded OSC messages over UDP, for testing
+ * without a headset
+ *
+ *     node bridge/oscSimulator.js [recording.csv] [--port 5000] [--host 127.0.0.1] [--speed 1] [--loop]
+ *
+ * A recording is a CSV of time (seconds), address and arguments per line,
+ * as written by oscBridge.js --record; lines starting with # are comments.
+ * Numeric arguments are sent as float32, everything else as strings. The
+ * default is recordings/muse-sample.csv, so with the bridge running
+ *
+ *     node bridge/oscBridge.js & node bridge/oscSimulator.js --loop
+ *
+ * feeds the composer's OSC input source.
+ */
+const dgram = require('dgram');
+const fs = require('fs');
+const path = require('path');
+const osc = require('./osc');
+const { parseOptions } = require('./oscBridge');
+
+const DEFAULT_RECORDING = path.join(__dirname, 'recordings', 'muse-sample.csv');
+
+/**
+ * @param {String} text - Recording CSV
+ * @returns {Array} [{ time (s), address, args }] in time order
+ */
+function parseRecording(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#') && !line.startsWith('time,'))
+        .map(line => {
+            const [time, address, ...args] = line.split(',');
+            return {
+                time: Number(time),
+                address,
+                args: args.map(arg => (arg !== '' && !isNaN(Number(arg)) ? Number(arg) : arg))
+            };
+        })
+        .filter(message => isFinite(message.time) && message.address && message.address.startsWith('/'))
+        .sort((a, b) => a.time - b.time);
+}
+
+function main(argv) {
+    const options = parseOptions(argv, { port: 5000, host: '127.0.0.1', speed: 1, loop: false });
+    const file = options._[0] || DEFAULT_RECORDING;
+    const messages = parseRecording(fs.readFileSync(file, 'utf8'));
+    if (messages.length === 0) {
+        throw new Error(`No OSC messages in ${file}`);
+    }
+    
+    const socket = dgram.createSocket('udp4');
+    const duration = messages[messages.length - 1].time;
+    console.log(`Replaying ${messages.length} messages (${duration.toFixed(1)} s) from ${file}` +
+        ` to udp://${options.host}:${options.port}${options.loop ? ', looping' : ''}`);
+    
+    // Each pass schedules its messages relative to when the pass started
+    let timers = [];
+    const pass = () => {
+        timers = messages.map(({ time, address, args }) => setTimeout(() => {
+            socket.send(osc.encode(address, args), options.port, options.host);
+        }, (time - messages[0].time) * 1000 / options.speed));
+        
+        // A short gap before the next pass, or time for the last send to leave
+        timers.push(setTimeout(() => (options.loop ? pass() : socket.close()),
+            (duration - messages[0].time) * 1000 / options.speed + 100));
+    };
+    pass();
+    
+    const stop = () => {
+        timers.forEach(clearTimeout);
+        socket.close();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+    
+    return { socket, stop };
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { main, parseRecording };
@@ -0,0 +1,196 @@
+/**
+ * WebSocketServer - Just enough of RFC 6455 to push text to browsers
+ *
+ * Accepts WebSocket upgrades on an http.Server, broadcasts text frames to
+ * every client, answers pings and closes. Messages from clients are not
+ * needed by the bridge: their bytes are skipped as they arrive, never
+ * buffered, and a frame declaring more than MAX_PAYLOAD closes the
+ * connection. Only pages served from this machine (or opened from a
+ * file) may connect unless more origins are allowed, so a web page
+ * elsewhere cannot read the stream through the user's browser.
+ */
+const crypto = require('crypto');
+
+// Appended to the client's key to prove the server speaks WebSocket
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+class WebSocketServer {
+    /**
+     * @param {http.Server} server - Server whose upgrade requests are taken
+     * @param {Object} options
+     * @param {Function} options.onConnection - Called with each new socket
+     * @param {Array} options.origins - Further origins allowed to connect, as
+     *                                  origins ('https://example.com') or host names
+     */
+    constructor(server, options = {}) {
+        this.clients = new Set();
+        this.origins = options.origins || [];
+        this.onConnection = options.onConnection || (() => {});
+        server.on('upgrade', (request, socket) => this._upgrade(request, socket));
+    }
+    
+    /**
+     * Send text to every connected client
+     */
+    broadcast(text) {
+        const frame = WebSocketServer.frame(0x1, Buffer.from(text, 'utf8'));
+        this.clients.forEach(socket => socket.write(frame));
+    }
+    
+    close() {
+        const frame = WebSocketServer.frame(0x8, Buffer.alloc(0));
+        this.clients.forEach(socket => socket.end(frame));
+        this.clients.clear();
+    }
+    
+    _upgrade(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        if (!this.allowsOrigin(request.headers.origin)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+        
+        const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        
+        this.clients.add(socket);
+        const reader = { pending: Buffer.alloc(0), skip: 0, closed: false };
+        socket.on('data', data => this._receive(socket, reader, data));
+        socket.on('close', () => this.clients.delete(socket));
+        socket.on('error', () => this.clients.delete(socket));
+        this.onConnection(socket);
+    }
+    
+    /**
+     * Whether a browser page from an origin may connect: requests without
+     * one (not from a browser), file:// pages ('null'), this machine and
+     * the allowed origins
+     */
+    allowsOrigin(origin) {
+        if (!origin || origin === 'null') return true;
+        
+        let hostname;
+        try {
+            hostname = new URL(origin).hostname;
+        } catch (error) {
+            return false;
+        }
+        return WebSocketServer.LOCAL_HOSTS.includes(hostname) ||
+            this.origins.some(allowed => allowed === origin || allowed === hostname);
+    }
+    
+    /**
+     * Handle the frames in newly arrived bytes. Data frames (text, binary and
+     * their continuations) are skipped, so only frame headers and control
+     * frames are ever held in reader.pending
+     */
+    _receive(socket, reader, data) {
+        if (reader.closed) return;
+        
+        const skipped = Math.min(reader.skip, data.length);
+        reader.skip -= skipped;
+        let buffer = data.subarray(skipped);
+        if (reader.pending.length > 0) buffer = Buffer.concat([reader.pending, buffer]);
+        
+        while (buffer.length >= 2) {
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (buffer.length < 4) break;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) break;
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (length > WebSocketServer.MAX_PAYLOAD) {
+                this._reject(socket, reader, 1009);
+                return;
+            }
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (buffer.length < offset) break;
+            
+            // Not a control frame: nothing to do with it but step over it
+            if ((opcode & 0x8) === 0) {
+                const available = Math.min(length, buffer.length - offset);
+                reader.skip = length - available;
+                buffer = buffer.subarray(offset + available);
+                continue;
+            }
+            if (buffer.length < offset + length) break;
+            
+            const payload = Buffer.from(buffer.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+            buffer = buffer.subarray(offset + length);
+            
+            if (opcode === 0x8) {
+                socket.end(WebSocketServer.frame(0x8, payload.subarray(0, 2)));
+                this.clients.delete(socket);
+                reader.closed = true;
+                return;
+            }
+            if (opcode === 0x9) {
+                socket.write(WebSocketServer.frame(0xa, payload));
+            }
+        }
+        reader.pending = Buffer.from(buffer);
+    }
+    
+    /**
+     * Close a connection with a status code and drop it
+     */
+    _reject(socket, reader, code) {
+        const status = Buffer.alloc(2);
+        status.writeUInt16BE(code);
+        reader.closed = true;
+        reader.pending = Buffer.alloc(0);
+        this.clients.delete(socket);
+        socket.end(WebSocketServer.frame(0x8, status), () => socket.destroy());
+    }
+    
+    /**
+     * One unmasked, unfragmented frame (servers never mask)
+     */
+    static frame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        return Buffer.concat([header, payload]);
+    }
+}
+
+// Largest frame a client may declare, in bytes; the bridge ignores client
+// messages, so this only has to fit control frames
+WebSocketServer.MAX_PAYLOAD = 64 * 1024;
+
+// Host names of this machine, whose pages may always connect
+WebSocketServer.LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+module.exports = WebSocketServer;
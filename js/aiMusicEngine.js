@@ -40,6 +40,9 @@ class AIMusicEngine {
             dnb: 0.33
         };
         
+        // Seeded randomness for latent-space variation
+        this.random = RandomService.stream('ai-music');
+        
         // Initialize Magenta models
         this._initModels();
     }
@@ -226,7 +229,7 @@ class AIMusicEngine {
             // Create a slightly altered z-vector for variation
             const zAlt = z[0].slice();
             for (let i = 0; i < zAlt.length; i++) {
-                zAlt[i] += (Math.random() - 0.5) * 0.5; // Add some noise
+                zAlt[i] += (this.random.next() - 0.5) * 0.5; // Add some noise
             }
             
             // Generate the interpolated sequences
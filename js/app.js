@@ -6,6 +6,7 @@ class App {
     constructor() {
         // Components
         this.inputSystem = null;
+        this.inputSources = null;
         this.quantumLayer = null;
         this.aiMusicEngine = null;
         this.audioSystem = null;
@@ -18,20 +19,47 @@ class App {
         this.lastRhythmTriggerTime = 0;
         this.rhythmInterval = 1000; // 1 second between rhythm triggers
         
+        // 'hits' plays each measurement immediately; 'steps-N' and
+        // 'histogram-N' sample an N-step drum grid for the sequencer every bar
+        this.rhythmMode = 'hits';
+        this.patternLoopId = null;
+        
         // Performance optimization
         this.frameSkip = 0;
         this.frameCount = 0;
         
+        // Quantum simulation in a worker (null = on the main thread)
+        this.quantumWorker = null;
+        this.simulating = false;
+        
         // Input tracking for music responsiveness
         this.lastInputValues = {
             alpha: 0,
-            beta: 0
+            beta: 0,
+            jitter: 0
         };
         this.inputChangeThreshold = 0.05;
         
         // UI elements
         this.startBtn = document.getElementById('startBtn');
         this.stopBtn = document.getElementById('stopBtn');
+        this.seedInput = document.getElementById('seed-input');
+        this.qubitCountSelect = document.getElementById('qubit-count');
+        this.rhythmModeSelect = document.getElementById('rhythm-mode');
+        this.mappingModeSelect = document.getElementById('mapping-mode');
+        this.backendSelect = document.getElementById('quantum-backend');
+        this.melodyModeSelect = document.getElementById('melody-mode');
+        this.harmonyModeSelect = document.getElementById('harmony-mode');
+        this.evolvingCheckbox = document.getElementById('evolving-mode');
+        this.measuredQubitsInput = document.getElementById('measured-qubits');
+        this.resetRegisterBtn = document.getElementById('reset-register-btn');
+        this.favoriteBtn = document.getElementById('favorite-btn');
+        this.amplificationSlider = document.getElementById('amplification');
+        this.favoritesList = document.getElementById('favorites-list');
+        this.clearFavoritesBtn = document.getElementById('clear-favorites-btn');
+        this.circuitImportBtn = document.getElementById('circuit-import-btn');
+        this.circuitImportInput = document.getElementById('circuit-import');
+        this.circuitExportBtn = document.getElementById('circuit-export-btn');
         
         // Initialize
         this._init();
@@ -41,16 +69,63 @@ class App {
         try {
             console.log('Initializing NeuroQuantum Composer...');
             
+            // Session seed: from ?seed= in the URL, otherwise a fresh one
+            this._initSeed();
+            
             // Initialize components
             this.inputSystem = new InputSystem();
-            this.quantumLayer = new QuantumLayer();
+            this._initInputSources();
+            this.inputView = new InputSystemView(this.inputSystem, { source: this.inputSources });
+            this.quantumLayer = new QuantumLayer({
+                numQubits: this.qubitCountSelect ? Number(this.qubitCountSelect.value) : 2,
+                mappingMode: this.mappingModeSelect ? this.mappingModeSelect.value : 'threshold',
+                backend: this.backendSelect ? this.backendSelect.value : 'statevector',
+                evolving: this.evolvingCheckbox ? this.evolvingCheckbox.checked : false,
+                measuredQubits: this.measuredQubitsInput ? App._parseQubitList(this.measuredQubitsInput.value) : undefined
+            });
+            this.quantumStateView = new QuantumStateView('quantum-state', this.quantumLayer);
+            
+            // Page-wide event for other listeners (audio/engine.js, where it is loaded)
+            this.quantumLayer.on('metrics', detail => {
+                document.dispatchEvent(new CustomEvent('quantum-update', { detail }));
+            });
+            
+            // Simulate off the main thread where workers are available
+            this.quantumWorker = QuantumWorkerClient.create(this.quantumLayer, { seed: this.sessionSeed });
             this.aiMusicEngine = new AIMusicEngine();
             this.audioSystem = new AudioSystem();
+            
+            // Entropy and entanglement of each run shape the drum effects
+            this.quantumLayer.on('metrics', metrics => this.audioSystem.updateWithQuantumData(metrics));
+            
             this.visualizer = new Visualizer('visualizer-container');
             
             // Initialize catchy music generator for responsive music
             this.musicGenerator = new CatchyMusicGenerator(this.audioSystem);
             
+            // Measurement-to-instrument mappings saved with the session
+            this._initRhythmMappings();
+            
+            // Favorite rhythms persist between sessions
+            this._initFavorites();
+            
+            // Visual editor for the circuit processInput runs
+            this.circuitEditor = new CircuitEditor('circuit-editor', { quantumLayer: this.quantumLayer });
+            
+            // Train mode and saved styles
+            this.trainingPanel = new TrainingPanel('training-panel', {
+                quantumLayer: this.quantumLayer,
+                styles: SessionStore.load('styles', {}),
+                onStylesChange: styles => SessionStore.save('styles', styles),
+                onCircuitChange: circuit => this._showLoadedCircuit(circuit)
+            });
+            
+            // Observed vs theoretical measurement outcomes
+            this.statsPanel = new StatsPanel('measurement-stats', {
+                quantumLayer: this.quantumLayer,
+                onReset: () => this.quantumWorker && this.quantumWorker.resetStats()
+            });
+            
             // Set up event listeners
             this._bindEvents();
             
@@ -63,6 +138,182 @@ class App {
         }
     }
     
+    /**
+     * Input sources with their saved blend weights (mouse and keyboard
+     * alone until something else is chosen)
+     */
+    _initInputSources() {
+        this.inputSources = new InputSourceRegistry();
+        this.inputSources.register(new MouseKeyboardSource(this.inputSystem), 1);
+        this.eegSource = this.inputSources.register(new EEGFileSource());
+        this.oscSource = this.inputSources.register(new OSCSource(SessionStore.load('osc', {})));
+        this.oscSource.on('state', () => this._onOSCState());
+        this.syntheticSource = this.inputSources.register(new SyntheticBrainwaveSource(SessionStore.load('synthetic', {})));
+        this.replaySource = this.inputSources.register(new InputReplaySource());
+        
+        this.inputSources.setWeights(SessionStore.load('inputWeights', {}));
+        this._ensureInput();
+        this.inputSources.on('change', () => {
+            this._ensureInput();
+            SessionStore.save('inputWeights', this.inputSources.getWeights());
+        });
+        
+        this.inputSourcePanel = new InputSourcePanel('input-sources', { registry: this.inputSources });
+        this.eegPanel = new EEGPlaybackPanel('eeg-playback', {
+            onChange: playback => this.setEEGPlayback(playback)
+        });
+        this.oscPanel = new OSCSourcePanel('osc-source', {
+            source: this.oscSource,
+            onChange: settings => SessionStore.save('osc', settings)
+        });
+        this.syntheticPanel = new SyntheticSourcePanel('synthetic-source', {
+            source: this.syntheticSource,
+            onChange: settings => SessionStore.save('synthetic', settings)
+        });
+        
+        // Per-user ranges for mouse and keyboard
+        this.calibrationPanel = new CalibrationPanel('input-calibration', {
+            inputSystem: this.inputSystem,
+            profiles: SessionStore.load('calibrationProfiles', {}),
+            active: SessionStore.load('calibrationUser'),
+            onProfilesChange: profiles => SessionStore.save('calibrationProfiles', profiles),
+            onActiveChange: name => SessionStore.save('calibrationUser', name)
+        });
+        
+        // Recorded input sessions, replayed in place of live input
+        this.inputRecordingPanel = new InputRecordingPanel('input-recording', {
+            recorder: new InputSessionRecorder(this.inputSystem),
+            replaySource: this.replaySource,
+            getSeed: () => this.sessionSeed,
+            onReplay: session => this.setInputReplay(session)
+        });
+    }
+    
+    /**
+     * A live stream takes over input when it starts delivering values
+     * (unless it is already weighted), and hands back when it stops
+     */
+    _onOSCState() {
+        if (this.oscSource.available && this.inputSources.getWeight(this.oscSource.id) === 0) {
+            this.inputSources.select(this.oscSource.id);
+            console.log(`Playing live OSC input from ${this.oscSource.url}`);
+        }
+    }
+    
+    /**
+     * Fall back to mouse and keyboard when no weighted source can deliver
+     * values (checked after every change to the sources or their weights,
+     * so the performance never goes silent)
+     */
+    _ensureInput() {
+        const live = this.inputSources.list()
+            .some(source => source.available && this.inputSources.getWeight(source.id) > 0);
+        if (!live) {
+            this.inputSources.select('mouse-keyboard');
+        }
+    }
+    
+    _initRhythmMappings() {
+        const saved = SessionStore.load('rhythmMappings');
+        let mappings = [];
+        try {
+            mappings = saved ? saved.mappings.map(mapping => RhythmMapping.fromJSON(mapping)) : [];
+        } catch (error) {
+            console.error('Ignoring invalid saved rhythm mappings:', error);
+        }
+        
+        this.mappingEditor = new RhythmMappingEditor('rhythm-mapping-editor', {
+            mappings,
+            activeName: saved && saved.active,
+            onChange: (edited, activeName) => this._applyRhythmMappings(edited, activeName)
+        });
+        
+        if (this.mappingEditor.activeMapping) {
+            this.quantumLayer.setRhythmMapping(this.mappingEditor.activeMapping);
+        }
+    }
+    
+    _initFavorites() {
+        const saved = SessionStore.load('favorites', { patterns: [], strength: 0.5 });
+        (saved.patterns || []).forEach(pattern => {
+            try {
+                this.quantumLayer.addFavorite(pattern);
+            } catch (error) {
+                console.error('Ignoring invalid saved favorite:', error);
+            }
+        });
+        this.quantumLayer.setAmplification(saved.strength);
+        
+        if (this.amplificationSlider) {
+            this.amplificationSlider.value = String(this.quantumLayer.amplification);
+        }
+        this._renderFavorites();
+    }
+    
+    /**
+     * Save favorites and amplification strength, and refresh their list
+     */
+    _saveFavorites() {
+        SessionStore.save('favorites', {
+            patterns: this.quantumLayer.favorites,
+            strength: this.quantumLayer.amplification
+        });
+        this._renderFavorites();
+    }
+    
+    _renderFavorites() {
+        if (!this.favoritesList) return;
+        
+        this.favoritesList.innerHTML = '';
+        this.quantumLayer.favorites.forEach(pattern => {
+            const item = document.createElement('span');
+            item.textContent = `|${pattern}⟩`;
+            item.title = 'Click to remove';
+            item.addEventListener('click', () => {
+                this.quantumLayer.removeFavorite(pattern);
+                this._saveFavorites();
+            });
+            this.favoritesList.appendChild(item);
+        });
+    }
+    
+    /**
+     * Use the selected track's mapping and save all mappings with the session
+     */
+    _applyRhythmMappings(mappings, activeName) {
+        this.quantumLayer.setRhythmMapping(mappings.find(mapping => mapping.name === activeName));
+        SessionStore.save('rhythmMappings', {
+            active: activeName,
+            mappings: mappings.map(mapping => mapping.toJSON())
+        });
+    }
+    
+    _initSeed() {
+        const urlSeed = new URLSearchParams(window.location.search).get('seed');
+        const seed = urlSeed !== null && /^\d+$/.test(urlSeed)
+            ? Number(urlSeed)
+            : RandomService.createSeed();
+        
+        this.setSeed(seed);
+    }
+    
+    /**
+     * Set the session seed; every seeded stream restarts from it
+     * @param {Number} seed - 32-bit unsigned integer
+     */
+    setSeed(seed) {
+        RandomService.setSeed(seed);
+        this.sessionSeed = RandomService.getSeed();
+        console.log(`Session seed: ${this.sessionSeed}`);
+        
+        if (this.seedInput) {
+            this.seedInput.value = String(this.sessionSeed);
+        }
+        if (this.quantumWorker) {
+            this.quantumWorker.setSeed(this.sessionSeed);
+        }
+    }
+    
     _detectPerformance() {
         // Simple performance test
         const start = performance.now();
@@ -100,8 +351,152 @@ class App {
             this.stopBtn.addEventListener('click', this.stop.bind(this));
         }
         
+        // Enter a seed to replay a session
+        if (this.seedInput) {
+            this.seedInput.addEventListener('change', () => {
+                const value = this.seedInput.value.trim();
+                if (/^\d+$/.test(value)) {
+                    this.setSeed(Number(value));
+                } else {
+                    this.seedInput.value = String(this.sessionSeed);
+                }
+            });
+        }
+        
+        // Resize the quantum register
+        if (this.qubitCountSelect) {
+            this.qubitCountSelect.addEventListener('change', () => {
+                try {
+                    this.quantumLayer.setNumQubits(Number(this.qubitCountSelect.value));
+                } catch (error) {
+                    console.error('Error resizing quantum register:', error);
+                    this.qubitCountSelect.value = String(this.quantumLayer.numQubits);
+                }
+                if (this.measuredQubitsInput) {
+                    this.measuredQubitsInput.value = this.quantumLayer.measuredQubits.join(',');
+                }
+                
+                // Built-in circuits are rebuilt for the new size, edited ones keep their gates
+                if (this.quantumLayer.circuit) {
+                    this.circuitEditor.refresh();
+                } else {
+                    this.circuitEditor.load(this.quantumLayer.getCircuit());
+                }
+                this.statsPanel.update();
+            });
+        }
+        
+        // Switch between threshold and continuous input mapping
+        if (this.mappingModeSelect) {
+            this.mappingModeSelect.addEventListener('change', () => {
+                this.trainingPanel.setTraining(false);
+                this.quantumLayer.setMappingMode(this.mappingModeSelect.value);
+                this.circuitEditor.load(this.quantumLayer.getCircuit());
+            });
+        }
+        
+        // Pure-state or noisy density-matrix simulation
+        if (this.backendSelect) {
+            this.backendSelect.addEventListener('change', () => {
+                this.quantumLayer.setBackend(this.backendSelect.value);
+            });
+        }
+        
+        // Evolving register with partial measurement
+        if (this.evolvingCheckbox) {
+            this.evolvingCheckbox.addEventListener('change', () => {
+                this.quantumLayer.setEvolving(this.evolvingCheckbox.checked);
+            });
+        }
+        
+        if (this.measuredQubitsInput) {
+            this.measuredQubitsInput.addEventListener('change', () => {
+                try {
+                    this.quantumLayer.setMeasuredQubits(App._parseQubitList(this.measuredQubitsInput.value));
+                } catch (error) {
+                    console.error('Error setting measured qubits:', error);
+                }
+                this.measuredQubitsInput.value = this.quantumLayer.measuredQubits.join(',');
+            });
+        }
+        
+        if (this.resetRegisterBtn) {
+            this.resetRegisterBtn.addEventListener('click', () => {
+                this.quantumLayer.reset();
+                if (this.quantumWorker) this.quantumWorker.reset();
+            });
+        }
+        
+        // Favorites: amplify the last measured rhythm from now on
+        if (this.favoriteBtn) {
+            this.favoriteBtn.addEventListener('click', () => {
+                const pattern = this.quantumLayer.favoriteLastMeasurement();
+                if (pattern) {
+                    console.log(`Favorited |${pattern}⟩`);
+                    this._saveFavorites();
+                }
+            });
+        }
+        
+        if (this.amplificationSlider) {
+            this.amplificationSlider.addEventListener('input', () => {
+                this.quantumLayer.setAmplification(Number(this.amplificationSlider.value));
+                this._saveFavorites();
+            });
+        }
+        
+        if (this.clearFavoritesBtn) {
+            this.clearFavoritesBtn.addEventListener('click', () => {
+                this.quantumLayer.clearFavorites();
+                this._saveFavorites();
+            });
+        }
+        
+        // Lead melodies from the quantum walk or the fixed patterns
+        if (this.melodyModeSelect) {
+            this.musicGenerator.setMelodyMode(this.melodyModeSelect.value);
+            this.melodyModeSelect.addEventListener('change', () => {
+                this.musicGenerator.setMelodyMode(this.melodyModeSelect.value);
+            });
+        }
+        
+        // Chords from the quantum progression or the fixed patterns
+        if (this.harmonyModeSelect) {
+            this.musicGenerator.setHarmonyMode(this.harmonyModeSelect.value);
+            this.harmonyModeSelect.addEventListener('change', () => {
+                this.musicGenerator.setHarmonyMode(this.harmonyModeSelect.value);
+            });
+        }
+        
+        // Immediate hits or per-bar drum grids
+        if (this.rhythmModeSelect) {
+            this.rhythmMode = this.rhythmModeSelect.value;
+            this.rhythmModeSelect.addEventListener('change', () => {
+                this.setRhythmMode(this.rhythmModeSelect.value);
+            });
+        }
+        
+        // Circuit import (OpenQASM 2.0 or JSON) and export
+        if (this.circuitImportBtn && this.circuitImportInput) {
+            this.circuitImportBtn.addEventListener('click', () => this.circuitImportInput.click());
+            this.circuitImportInput.addEventListener('change', () => {
+                const file = this.circuitImportInput.files[0];
+                if (file) {
+                    file.text().then(text => this.loadCircuit(text));
+                }
+                this.circuitImportInput.value = '';
+            });
+        }
+        
+        if (this.circuitExportBtn) {
+            this.circuitExportBtn.addEventListener('click', () => this.exportCircuit());
+        }
+        
         // Add keyboard shortcuts
         document.addEventListener('keydown', (event) => {
+            // Leave typing in form fields alone
+            if (event.target.closest && event.target.closest('input, select, textarea')) return;
+            
             // Space key toggles start/stop
             if (event.code === 'Space' && !event.repeat) {
                 event.preventDefault();
@@ -120,21 +515,34 @@ class App {
         this.isRunning = true;
         this._updateUI();
         
+        // Every performance starts the seeded streams from the session seed
+        RandomService.setSeed(this.sessionSeed);
+        if (this.quantumWorker) {
+            this.quantumWorker.setSeed(this.sessionSeed);
+        }
+        
         // Start Tone.js audio context
         Tone.start().then(() => {
             // Set initial volume
             this.audioSystem.setVolume(0.8);
             
             // Get initial input values
-            const inputData = this.inputSystem.update();
+            const inputData = this._readInput();
             this.lastInputValues = {
                 alpha: inputData.alpha,
-                beta: inputData.beta
+                beta: inputData.beta,
+                jitter: inputData.jitter
             };
             
             // Start background music immediately for better UX
             this.musicGenerator.startMusic(inputData.alpha, inputData.beta);
             
+            // Input sources run with the performance
+            this.inputSources.start();
+            
+            // Quantum drum grids, if that rhythm mode is selected
+            this._startPatternLoop();
+            
             // Start the update loop
             this._startUpdateLoop();
         });
@@ -159,7 +567,10 @@ class App {
             this.updateInterval = null;
         }
         
+        this.inputSources.stop();
+        
         // Stop audio
+        this._stopPatternLoop();
         this.audioSystem.stop();
         this.musicGenerator.stopMusic();
     }
@@ -208,7 +619,7 @@ class App {
         if (!this.isRunning) return;
         
         // Get input values
-        const inputData = this.inputSystem.update();
+        const inputData = this._readInput();
         const alphaValue = inputData.alpha;
         const betaValue = inputData.beta;
         
@@ -229,6 +640,10 @@ class App {
             // Update stored input values
             this.lastInputValues.alpha = alphaValue;
             this.lastInputValues.beta = betaValue;
+            this.lastInputValues.jitter = inputData.jitter;
+            
+            // Live probability bars in the circuit editor
+            this.circuitEditor.setInput(this.lastInputValues);
             
             // Check if we should trigger a new rhythm
             const now = Date.now();
@@ -240,22 +655,188 @@ class App {
             const minInterval = 300; // 300ms (fastest possible trigger)
             const adjustedInterval = baseInterval - (alphaValue * (baseInterval - minInterval));
             
-            if (timeSinceLastRhythm >= adjustedInterval) {
+            // Pattern modes generate their grids once per bar instead; a
+            // trigger waits while the previous run is still being simulated
+            if (this.rhythmMode === 'hits' && timeSinceLastRhythm >= adjustedInterval && !this.simulating) {
                 rhythmTrigger = true;
                 this.lastRhythmTriggerTime = now;
+                this.simulating = true;
                 
                 // Process input through quantum layer
-                const rhythmPattern = this.quantumLayer.processInput(alphaValue, betaValue);
-                
-                // Trigger immediate rhythm sound for feedback
-                this.audioSystem.playRhythmPattern(rhythmPattern);
-                
-                // Update visualization with rhythm trigger
-                this.visualizer.update(quantumState, alphaValue, betaValue, true);
+                this._simulate('processInput', alphaValue, betaValue, { jitter: inputData.jitter })
+                    .then(rhythmPattern => {
+                        if (!this.isRunning) return;
+                        
+                        // Trigger immediate rhythm sound for feedback
+                        this.audioSystem.playRhythmPattern(rhythmPattern);
+                        this.statsPanel.update();
+                        
+                        // Update visualization with rhythm trigger
+                        const measuredState = this.quantumLayer.getStateForVisualization();
+                        this.visualizer.update(measuredState, alphaValue, betaValue, true);
+                    })
+                    .catch(error => console.error('Error processing input:', error))
+                    .finally(() => { this.simulating = false; });
             }
         }
     }
     
+    /**
+     * Play a recorded EEG file as input (alone, until other weights are
+     * set), or eject it
+     * @param {EEGPlayback|null} playback
+     */
+    setEEGPlayback(playback) {
+        this.eegSource.setPlayback(playback);
+        if (playback) {
+            this.inputSources.select(this.eegSource.id);
+            console.log(`Playing EEG "${playback.recording.name}" (${playback.recording.labels.join(', ')})`);
+        } else {
+            this.inputSources.setWeight(this.eegSource.id, 0);
+        }
+    }
+    
+    /**
+     * Replay a recorded input session (alone, from its start and with its
+     * session seed), or eject it
+     * @param {InputSession|null} session
+     */
+    setInputReplay(session) {
+        this.replaySource.setSession(session);
+        if (session) {
+            this.inputSources.select(this.replaySource.id);
+            if (session.seed !== null) this.setSeed(session.seed);
+            console.log(`Replaying input session "${session.name}" (${session.events.length} events)`);
+        } else {
+            this.inputSources.setWeight(this.replaySource.id, 0);
+        }
+    }
+    
+    /**
+     * Current alpha/beta/jitter, blended from the weighted input sources
+     */
+    _readInput() {
+        return this.inputSources.update();
+    }
+    
+    /**
+     * Choose how quantum measurements become rhythm
+     * @param {String} mode - 'hits', 'steps-16', 'steps-32', 'histogram-16' or 'histogram-32'
+     */
+    setRhythmMode(mode) {
+        this._stopPatternLoop();
+        this.rhythmMode = mode;
+        
+        if (this.isRunning) {
+            this._startPatternLoop();
+        }
+    }
+    
+    /**
+     * Generate a fresh drum grid at every bar line while a pattern mode is active
+     */
+    _startPatternLoop() {
+        if (this.rhythmMode === 'hits') return;
+        
+        // Play a grid from the next bar on, then refresh it every bar
+        this._generateBarPattern();
+        this.patternLoopId = Tone.Transport.scheduleRepeat(
+            () => this._generateBarPattern(),
+            '1m',
+            Tone.Transport.nextSubdivision('1m')
+        );
+    }
+    
+    _stopPatternLoop() {
+        if (this.patternLoopId !== null) {
+            Tone.Transport.clear(this.patternLoopId);
+            this.patternLoopId = null;
+        }
+        this.audioSystem.clearStepPattern();
+    }
+    
+    _generateBarPattern() {
+        const [mode, steps] = this.rhythmMode.split('-');
+        const { alpha, beta, jitter } = this.lastInputValues;
+        
+        const rhythmMode = this.rhythmMode;
+        
+        this._simulate('generatePattern', alpha, beta, {
+            steps: Number(steps),
+            mode: mode === 'histogram' ? 'histogram' : 'per-step',
+            bindings: { jitter }
+        }).then(pattern => {
+            // Ignore grids that arrive after a stop or a mode switch
+            if (!this.isRunning || this.rhythmMode !== rhythmMode) return;
+            
+            this.audioSystem.setStepPattern(pattern);
+            this.statsPanel.update();
+            
+            this.visualizer.update(this.quantumLayer.getStateForVisualization(), alpha, beta, true);
+        }).catch(error => console.error('Error generating pattern:', error));
+    }
+    
+    /**
+     * Call a QuantumLayer simulation method in the worker, or on the main
+     * thread when there is no worker or it has failed; the layer's views
+     * update either way
+     * @param {String} method - 'processInput' or 'generatePattern'
+     * @returns {Promise} The method's result
+     */
+    _simulate(method, ...args) {
+        if (!this.quantumWorker) {
+            return new Promise(resolve => resolve(this.quantumLayer[method](...args)));
+        }
+        
+        return this.quantumWorker[method](...args).catch(error => {
+            if (!this.quantumWorker.failed) throw error;
+            
+            console.warn('Quantum worker failed, simulating on the main thread:', error);
+            this.quantumWorker = null;
+            return this.quantumLayer[method](...args);
+        });
+    }
+    
+    /**
+     * Load a circuit for the quantum layer to execute
+     * @param {String|Object} circuit - OpenQASM 2.0 source or circuit JSON
+     */
+    loadCircuit(circuit) {
+        try {
+            this.trainingPanel.setTraining(false);
+            const loaded = this.quantumLayer.loadCircuit(circuit);
+            this._showLoadedCircuit(loaded);
+            console.log(`Loaded circuit "${loaded.name}" (${loaded.gates.length} gates)`);
+        } catch (error) {
+            console.error('Error loading circuit:', error);
+        }
+    }
+    
+    /**
+     * Bring the panels in line with a circuit the layer just loaded (it may
+     * have grown the register)
+     */
+    _showLoadedCircuit(circuit) {
+        if (this.qubitCountSelect) {
+            this.qubitCountSelect.value = String(this.quantumLayer.numQubits);
+        }
+        this.circuitEditor.load(circuit);
+        this.statsPanel.update();
+    }
+    
+    /**
+     * Download the current circuit as OpenQASM 2.0
+     */
+    exportCircuit() {
+        const circuit = this.quantumLayer.getCircuit();
+        const blob = new Blob([circuit.toQASM()], { type: 'text/plain' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${circuit.name.replace(/\s+/g, '-')}.qasm`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
     /**
      * Update UI based on current state
      */
@@ -268,6 +849,13 @@ class App {
             this.stopBtn.disabled = !this.isRunning;
         }
     }
+    
+    /**
+     * Parse a qubit list such as "0, 1, 3"
+     */
+    static _parseQubitList(text) {
+        return text.split(/[\s,]+/).filter(Boolean).map(Number);
+    }
 }
 
 // Initialize the application when the page is loaded
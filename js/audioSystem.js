@@ -12,6 +12,10 @@ class AudioSystem {
         this.currentPart = null;
         this.tempo = 120;
         
+        // Step sequencer for quantum-generated drum grids
+        this.stepPattern = null;
+        this.stepSequence = null;
+        
         // Initialize audio components
         this._initAudio();
     }
@@ -135,6 +139,27 @@ class AudioSystem {
                 release: 3
             }
         }).connect(this.effects.qReverb);
+        
+        // Bass synth for melodic rhythm mappings
+        this.synths.bass = new Tone.MonoSynth({
+            oscillator: {
+                type: "sawtooth"
+            },
+            envelope: {
+                attack: 0.02,
+                decay: 0.2,
+                sustain: 0.5,
+                release: 0.4
+            },
+            filterEnvelope: {
+                attack: 0.02,
+                decay: 0.3,
+                sustain: 0.3,
+                release: 0.8,
+                baseFrequency: 150,
+                octaves: 2.5
+            }
+        }).connect(this.effects.compressor);
     }
     
     /**
@@ -279,43 +304,139 @@ class AudioSystem {
         }
     }
     
+    /**
+     * Let the quantum state shape the drum effects chain
+     * @param {Object} metrics - QuantumLayer 'metrics' event: entropy and
+     *                           complexity (mean entanglement), each 0-1
+     */
+    updateWithQuantumData(metrics) {
+        if (!metrics || !this.effects.filter) return;
+        
+        const entropy = isFinite(metrics.entropy) ? metrics.entropy : 0.5;
+        const complexity = isFinite(metrics.complexity) ? metrics.complexity : 0.5;
+        
+        // Uncertain outcomes open the filter (500-5000Hz)
+        this.effects.filter.frequency.rampTo(500 + entropy * 4500, 0.5);
+        
+        // Entangled qubits feed back into the delay (0.1-0.6)
+        this.effects.delay.feedback.rampTo(0.1 + complexity * 0.5, 1);
+        
+        // and higher entropy sounds more spacious (reverb wet 0.15-0.5)
+        this.effects.reverb.wet.rampTo(0.15 + entropy * 0.35, 1);
+    }
+    
     /**
      * Trigger a single drum sound
-     * @param {String} type - 'kick', 'snare', 'hihat', or 'clap'
+     * @param {String} type - 'kick', 'snare', 'hihat', 'clap', or one of the
+     *                        extra voices ('tom', 'rim', 'shaker', 'cowbell', 'ride', 'crash')
      * @param {Number} velocity - Volume (0-1)
+     * @param {Number} time - Tone.js time to play at (default: now)
      */
-    triggerDrum(type, velocity = 0.8) {
+    triggerDrum(type, velocity = 0.8, time) {
         if (type === 'kick') {
-            this.synths.kick.triggerAttackRelease('C1', '8n', undefined, velocity);
+            this.synths.kick.triggerAttackRelease('C1', '8n', time, velocity);
         } else if (type === 'snare' || type === 'clap') {
-            this.synths.snare.triggerAttackRelease('16n', undefined, velocity);
+            this.synths.snare.triggerAttackRelease('16n', time, velocity);
         } else if (type === 'hihat') {
-            this.synths.hihat.triggerAttackRelease('32n', undefined, velocity * 0.6);
+            this.synths.hihat.triggerAttackRelease('32n', time, velocity * 0.6);
+        } else if (type === 'tom') {
+            // Tuned-up membrane for a tom
+            this.synths.kick.triggerAttackRelease('G2', '8n', time, velocity * 0.8);
+        } else if (type === 'rim') {
+            this.synths.snare.triggerAttackRelease('64n', time, velocity * 0.5);
+        } else if (type === 'shaker') {
+            this.synths.hihat.triggerAttackRelease('64n', time, velocity * 0.3);
+        } else if (type === 'cowbell') {
+            this.synths.hihat.triggerAttackRelease('16n', time, velocity * 0.5);
+        } else if (type === 'ride') {
+            this.synths.hihat.triggerAttackRelease('8n', time, velocity * 0.4);
+        } else if (type === 'crash') {
+            this.synths.hihat.triggerAttackRelease('2n', time, velocity * 0.5);
         }
     }
     
     /**
-     * Play drum pattern from quantum rhythm
-     * @param {Object} rhythmPattern - Object with kick, snare, hihat, clap booleans
+     * Trigger one instrument hit from a rhythm mapping
+     * @param {Object} event - { instrument, velocity, note } (note for melodic instruments)
+     * @param {Number} time - Tone.js time to play at (default: now)
      */
-    playRhythmPattern(rhythmPattern) {
-        if (rhythmPattern.kick) {
-            this.triggerDrum('kick', 0.8);
+    triggerInstrument({ instrument, velocity, note }, time) {
+        if (instrument === 'bass') {
+            this.synths.bass.triggerAttackRelease(note, '8n', time, velocity);
+        } else if (instrument === 'lead') {
+            this.synths.lead.triggerAttackRelease(note, '16n', time, velocity);
+        } else if (instrument === 'pad') {
+            this.synths.pad.triggerAttackRelease(note, '2n', time, velocity * 0.7);
+        } else {
+            this.triggerDrum(instrument, velocity, time);
         }
+    }
+    
+    /**
+     * Play the instrument hits of one quantum measurement
+     * @param {Array} events - [{ instrument, velocity, offset, note }] from the rhythm mapping
+     */
+    playRhythmPattern(events) {
+        // Drums are strummed in a fixed order for immediate feedback; step
+        // offsets push a hit further back by whole 16th notes
+        const stepMs = Tone.Time('16n').toSeconds() * 1000;
+        
+        events.forEach(event => {
+            const delay = (AudioSystem.HIT_STAGGER_MS[event.instrument] || 0) + Math.max(0, event.offset) * stepMs;
+            if (delay === 0) {
+                this.triggerInstrument(event);
+            } else {
+                setTimeout(() => this.triggerInstrument(event), delay);
+            }
+        });
+    }
+    
+    /**
+     * Hand a drum grid to the step sequencer; it loops one bar and picks up
+     * replacement patterns on the next step
+     * @param {Object} pattern - { steps, grid: [[{ instrument, velocity, note }] per step] }
+     */
+    setStepPattern(pattern) {
+        const stepsChanged = !this.stepPattern || this.stepPattern.steps !== pattern.steps;
+        this.stepPattern = pattern;
         
-        // Delay snare slightly
-        if (rhythmPattern.snare) {
-            setTimeout(() => this.triggerDrum('snare', 0.7), 150);
-        }
+        if (this.stepSequence && !stepsChanged) return;
         
-        // Delay hi-hat even more
-        if (rhythmPattern.hihat) {
-            setTimeout(() => this.triggerDrum('hihat', 0.5), 250);
-        }
+        this._disposeStepSequence();
+        
+        // One bar: 16 steps of 16th notes or 32 steps of 32nd notes
+        const stepIndices = Array.from({ length: pattern.steps }, (_, i) => i);
+        this.stepSequence = new Tone.Sequence((time, step) => {
+            if (!this.stepPattern) return;
+            
+            // Accent the downbeats
+            const accent = step % (this.stepPattern.steps / 4) === 0 ? 1.1 : 0.85;
+            this.stepPattern.grid[step].forEach(event => {
+                this.triggerInstrument({ ...event, velocity: Math.min(1, event.velocity * accent) }, time);
+            });
+        }, stepIndices, `${pattern.steps}n`);
+        
+        // Align the grid with the next bar line
+        this.stepSequence.start(Tone.Transport.nextSubdivision('1m'));
         
-        // Delay clap the most
-        if (rhythmPattern.clap) {
-            setTimeout(() => this.triggerDrum('snare', 0.9), 350);
+        if (Tone.Transport.state !== "started") {
+            Tone.Transport.start();
+        }
+    }
+    
+    /**
+     * Stop the step sequencer
+     */
+    clearStepPattern() {
+        this.stepPattern = null;
+        this._disposeStepSequence();
+    }
+    
+    _disposeStepSequence() {
+        if (this.stepSequence) {
+            this.stepSequence.stop();
+            this.stepSequence.dispose();
+            this.stepSequence = null;
         }
     }
     
@@ -329,6 +450,8 @@ class AudioSystem {
             this.currentPart = null;
         }
         
+        this.clearStepPattern();
+        
         this.isPlaying = false;
     }
     
@@ -341,5 +464,19 @@ class AudioSystem {
     }
 }
 
+// Immediate-mode delay of each drum, so simultaneous hits play as a short fill
+AudioSystem.HIT_STAGGER_MS = {
+    kick: 0,
+    snare: 150,
+    hihat: 250,
+    clap: 350,
+    tom: 450,
+    rim: 550,
+    shaker: 650,
+    cowbell: 750,
+    ride: 850,
+    crash: 950
+};
+
 // Export the class for use in other modules
 window.AudioSystem = AudioSystem;
\ No newline at end of file
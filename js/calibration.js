@@ -0,0 +1,216 @@
+/**
+ * InputCalibration - One user's ranges for the InputSystem's raw measures
+ *
+ * The InputSystem's fixed scales suit some hardware and not others: a
+ * trackpad hardly moves alpha while a gaming mouse pins it. A calibration
+ * holds statistics of each measure (InputSystem.MEASURES) while the user
+ * rests and while they are active, and maps a measure onto 0-1 from them:
+ *   'minmax' - resting mean to active 95th percentile, clipped
+ *   'zscore' - standard scores over both phases, soft-clipped with tanh
+ * A measure the user left idle while active keeps InputCalibration.DEFAULT_RANGES.
+ */
+class InputCalibration {
+    /**
+     * @param {Object} profile
+     * @param {String} profile.name - Whose calibration it is
+     * @param {String} profile.method - 'minmax' or 'zscore' (default 'minmax')
+     * @param {Object} profile.stats - Per measure { rest, active, all }, each
+     *                                 { low, high, mean, std, count }
+     */
+    constructor(profile) {
+        if (!profile || !profile.stats) {
+            throw new Error('Calibration profile has no statistics');
+        }
+        this.name = profile.name || 'Unnamed';
+        this.stats = profile.stats;
+        this.setMethod(profile.method || 'minmax');
+    }
+    
+    /**
+     * @param {String} method - One of InputCalibration.METHODS
+     * @throws {Error} If the method is unknown
+     */
+    setMethod(method) {
+        if (!InputCalibration.METHODS.includes(method)) {
+            throw new Error(`Unknown normalization method "${method}"`);
+        }
+        this.method = method;
+    }
+    
+    /**
+     * Map a raw measure onto 0-1
+     * @param {String} measure - 'speed', 'keys' or 'keyRate'
+     * @param {Number} value - Raw value from the InputSystem
+     */
+    normalize(measure, value) {
+        const stats = this.stats[measure];
+        if (!stats || !InputCalibration._usable(stats)) {
+            const [low, high] = InputCalibration.DEFAULT_RANGES[measure];
+            return Math.max(0, Math.min(1, (value - low) / (high - low)));
+        }
+        
+        if (this.method === 'zscore') {
+            const z = (value - stats.all.mean) / stats.all.std;
+            return 0.5 + 0.5 * Math.tanh(z);
+        }
+        const low = stats.rest.mean;
+        return Math.max(0, Math.min(1, (value - low) / (stats.active.high - low)));
+    }
+    
+    toJSON() {
+        return { name: this.name, method: this.method, stats: this.stats };
+    }
+    
+    /**
+     * Build a calibration from recorded measures
+     * @param {String} name - Profile name
+     * @param {Object} samples - { rest: [measures], active: [measures] }, each
+     *                           measures object as in InputSystem.update().measures
+     * @param {String} method - Normalization method
+     */
+    static fromSamples(name, samples, method = 'minmax') {
+        const stats = {};
+        InputSystem.MEASURES.forEach(measure => {
+            const rest = samples.rest.map(sample => sample[measure]);
+            const active = samples.active.map(sample => sample[measure]);
+            stats[measure] = {
+                rest: InputCalibration.describe(rest),
+                active: InputCalibration.describe(active),
+                all: InputCalibration.describe([...rest, ...active])
+            };
+        });
+        return new InputCalibration({ name, method, stats });
+    }
+    
+    /**
+     * { low (5th percentile), high (95th), mean, std, count } of numbers
+     */
+    static describe(values) {
+        const sorted = values.filter(isFinite).sort((a, b) => a - b);
+        if (sorted.length === 0) {
+            return { low: 0, high: 0, mean: 0, std: 0, count: 0 };
+        }
+        
+        const at = fraction => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+        const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+        const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length;
+        return { low: at(0.05), high: at(0.95), mean, std: Math.sqrt(variance), count: sorted.length };
+    }
+    
+    /**
+     * Whether the active phase reached clearly above rest
+     */
+    static _usable(stats) {
+        return stats.active.high > stats.rest.mean + 1e-6 && stats.all.std > 1e-6;
+    }
+}
+
+InputCalibration.METHODS = ['minmax', 'zscore'];
+
+// Raw ranges the InputSystem's fixed constants amount to (speed at 60 frames/s)
+InputCalibration.DEFAULT_RANGES = {
+    speed: [0, 1200],
+    keys: [0, 5],
+    keyRate: [0, 5]
+};
+
+/**
+ * CalibrationRecorder - Records a rest phase and an active phase of an
+ * InputSystem's measures and builds an InputCalibration from them
+ *
+ * Samples come from the input system's 'update' events. While nothing else
+ * updates it (the performance is stopped), the recorder updates it itself.
+ * Emits 'progress' with { phase, remaining (s) } and 'done' with the
+ * calibration, or 'cancel'.
+ */
+class CalibrationRecorder extends EventEmitter {
+    /**
+     * @param {InputSystem} inputSystem - Input to record
+     * @param {Object} options
+     * @param {Number} options.duration - Seconds per phase (default CalibrationRecorder.PHASE_DURATION)
+     * @param {Function} options.now - Clock in ms (default Date.now)
+     */
+    constructor(inputSystem, options = {}) {
+        super();
+        this.inputSystem = inputSystem;
+        this.duration = options.duration || CalibrationRecorder.PHASE_DURATION;
+        this.now = options.now || (() => Date.now());
+        this.phase = null;
+        this.timer = null;
+        this.unsubscribe = null;
+    }
+    
+    get isRecording() {
+        return this.phase !== null;
+    }
+    
+    /**
+     * Start with the rest phase
+     * @param {String} name - Name of the profile being recorded
+     * @param {String} method - Normalization method of the result
+     */
+    start(name, method = 'minmax') {
+        this.cancel();
+        this.name = name;
+        this.method = method;
+        this.samples = { rest: [], active: [] };
+        this.lastSample = this.now();
+        this.unsubscribe = this.inputSystem.on('update', data => this._record(data));
+        this.timer = setInterval(() => this._tick(), CalibrationRecorder.TICK_INTERVAL);
+        this._enter('rest');
+    }
+    
+    cancel() {
+        if (!this.isRecording) return;
+        this._finish();
+        this.emit('cancel');
+    }
+    
+    _enter(phase) {
+        this.phase = phase;
+        this.phaseStart = this.now();
+        this.emit('progress', { phase, remaining: this.duration });
+    }
+    
+    _record(data) {
+        if (!this.isRecording || !data.measures) return;
+        this.lastSample = this.now();
+        this.samples[this.phase].push(data.measures);
+    }
+    
+    _tick() {
+        const now = this.now();
+        if (now - this.lastSample > CalibrationRecorder.TICK_INTERVAL / 2) {
+            this.inputSystem.update(now);
+        }
+        
+        const remaining = this.duration - (now - this.phaseStart) / 1000;
+        if (remaining > 0) {
+            this.emit('progress', { phase: this.phase, remaining });
+        } else if (this.phase === 'rest') {
+            this._enter('active');
+        } else {
+            const calibration = InputCalibration.fromSamples(this.name, this.samples, this.method);
+            this._finish();
+            this.emit('done', calibration);
+        }
+    }
+    
+    _finish() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.unsubscribe();
+        this.unsubscribe = null;
+        this.phase = null;
+    }
+}
+
+// Seconds of rest and of activity
+CalibrationRecorder.PHASE_DURATION = 10;
+
+// Milliseconds between progress reports (and self-driven updates)
+CalibrationRecorder.TICK_INTERVAL = 50;
+
+// Export for use in other modules
+globalThis.InputCalibration = InputCalibration;
+globalThis.CalibrationRecorder = CalibrationRecorder;
@@ -0,0 +1,184 @@
+/**
+ * CalibrationPanel - Debug-panel wizard for per-user input calibration
+ *
+ * Calibrate records the user at rest and then active (see
+ * CalibrationRecorder) and saves the result as that user's profile. The
+ * user select applies a profile to the input system, or the fixed scales.
+ */
+class CalibrationPanel {
+    /**
+     * @param {String} containerId - Element to render into
+     * @param {Object} options
+     * @param {InputSystem} options.inputSystem - Input to calibrate
+     * @param {Object} options.profiles - Saved profiles by user name (InputCalibration JSON)
+     * @param {String} options.active - User whose profile is applied (null: none)
+     * @param {Function} options.onProfilesChange - Called with the profiles after a save or delete
+     * @param {Function} options.onActiveChange - Called with the applied user's name, or null
+     */
+    constructor(containerId, options = {}) {
+        this.inputSystem = options.inputSystem;
+        this.profiles = { ...options.profiles };
+        this.onProfilesChange = options.onProfilesChange || (() => {});
+        this.onActiveChange = options.onActiveChange || (() => {});
+        this.recorder = new CalibrationRecorder(this.inputSystem);
+        this.message = '';
+        
+        this.recorder.on('progress', progress => this._renderProgress(progress));
+        this.recorder.on('done', calibration => this._saveProfile(calibration));
+        this.recorder.on('cancel', () => {
+            this.message = 'Calibration cancelled';
+            this._render();
+        });
+        
+        this.container = document.getElementById(containerId);
+        if (this.container) {
+            this._build();
+        } else {
+            console.error(`Container element '${containerId}' not found`);
+        }
+        this.selectProfile(options.active || null);
+    }
+    
+    /**
+     * Apply a user's profile (null: the fixed scales)
+     */
+    selectProfile(name) {
+        let calibration = null;
+        if (name && this.profiles[name]) {
+            try {
+                calibration = new InputCalibration(this.profiles[name]);
+            } catch (error) {
+                console.error(`Error loading calibration "${name}":`, error);
+            }
+        }
+        
+        this.inputSystem.setCalibration(calibration);
+        this.active = calibration ? name : null;
+        this.onActiveChange(this.active);
+        this._render();
+    }
+    
+    /**
+     * Record a profile for a user (replacing theirs, if any)
+     */
+    calibrate(name) {
+        const method = this.active ? this.inputSystem.calibration.method : 'minmax';
+        this.recorder.start(name, method);
+    }
+    
+    setMethod(method) {
+        if (!this.active) return;
+        
+        this.inputSystem.calibration.setMethod(method);
+        this.profiles[this.active] = this.inputSystem.calibration.toJSON();
+        this.onProfilesChange(this.profiles);
+    }
+    
+    deleteProfile(name) {
+        if (!this.profiles[name]) return;
+        
+        delete this.profiles[name];
+        this.onProfilesChange(this.profiles);
+        this.message = `Deleted ${name}`;
+        this.selectProfile(this.active === name ? null : this.active);
+    }
+    
+    _saveProfile(calibration) {
+        this.profiles[calibration.name] = calibration.toJSON();
+        this.onProfilesChange(this.profiles);
+        this.message = `Saved ${calibration.name}`;
+        this.selectProfile(calibration.name);
+    }
+    
+    _build() {
+        this.container.innerHTML = '';
+        
+        const userRow = document.createElement('div');
+        userRow.className = 'option';
+        
+        const userLabel = document.createElement('label');
+        userLabel.textContent = 'User:';
+        this.userSelect = document.createElement('select');
+        this.userSelect.addEventListener('change', () => this.selectProfile(this.userSelect.value || null));
+        userLabel.appendChild(this.userSelect);
+        userRow.appendChild(userLabel);
+        
+        this.methodSelect = document.createElement('select');
+        this.methodSelect.title = 'How measures are scaled to the recorded ranges';
+        [['minmax', 'Min/max'], ['zscore', 'Z-score']].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            this.methodSelect.appendChild(option);
+        });
+        this.methodSelect.addEventListener('change', () => this.setMethod(this.methodSelect.value));
+        userRow.appendChild(this.methodSelect);
+        this.container.appendChild(userRow);
+        
+        const actionRow = document.createElement('div');
+        actionRow.className = 'option';
+        this.calibrateButton = this._button('Calibrate…', () => {
+            if (this.recorder.isRecording) {
+                this.recorder.cancel();
+                return;
+            }
+            const name = (window.prompt('Calibrate for user', this.active || 'Me') || '').trim();
+            if (name) this.calibrate(name);
+        });
+        actionRow.appendChild(this.calibrateButton);
+        this.deleteButton = this._button('Delete', () => this.deleteProfile(this.userSelect.value));
+        actionRow.appendChild(this.deleteButton);
+        this.container.appendChild(actionRow);
+        
+        this.status = document.createElement('div');
+        this.status.className = 'calibration-status';
+        this.container.appendChild(this.status);
+    }
+    
+    _render() {
+        if (!this.container) return;
+        
+        this.userSelect.innerHTML = '';
+        [['', 'Default scales'], ...Object.keys(this.profiles).sort().map(name => [name, name])]
+            .forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                this.userSelect.appendChild(option);
+            });
+        this.userSelect.value = this.active || '';
+        
+        const recording = this.recorder.isRecording;
+        this.userSelect.disabled = recording;
+        this.methodSelect.disabled = recording || !this.active;
+        this.methodSelect.value = this.active ? this.inputSystem.calibration.method : 'minmax';
+        this.deleteButton.disabled = recording || !this.active;
+        this.calibrateButton.textContent = recording ? 'Cancel' : 'Calibrate…';
+        if (!recording) this.status.textContent = this.message;
+    }
+    
+    _renderProgress({ phase, remaining }) {
+        if (!this.container) return;
+        
+        if (this.calibrateButton.textContent !== 'Cancel') this._render();
+        const instruction = CalibrationPanel.INSTRUCTIONS[phase];
+        this.status.textContent = `${instruction} ${Math.ceil(remaining)} s`;
+    }
+    
+    _button(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'small';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
+
+// What to do in each recording phase
+CalibrationPanel.INSTRUCTIONS = {
+    rest: 'Rest: hands still, off the mouse and keys…',
+    active: 'Active: move the mouse and type as you would while playing…'
+};
+
+// Export the class for use in other modules
+window.CalibrationPanel = CalibrationPanel;
@@ -26,6 +26,17 @@ class CatchyMusicGenerator {
         this.currentPattern = 'simple';
         this.isPlaying = false;
         
+        // Lead melody source: 'walk' (quantum walk over the scale) or 'fixed' patterns
+        this.melodyMode = 'walk';
+        this.melodyWalk = new QuantumWalkMelody();
+        this.leadMelody = [];
+        
+        // Harmony source: 'quantum' (a measured chord every bar) or 'fixed' patterns
+        this.harmonyMode = 'quantum';
+        this.progression = new QuantumChordProgression();
+        this.chord = this.progression.chord(this.progression.current);
+        this.chordBar = null;
+        
         // Initialize instruments
         this._initInstruments();
     }
@@ -138,6 +149,14 @@ class CatchyMusicGenerator {
             complex: ["C2", "E2", "G1", "C3", "A1", "C2", "F1", "G1"]
         };
         
+        // Bass lines over the bar's chord: indexes into its bass tones
+        // (0 root, 1 third, 2 fifth, 3 octave)
+        this.patterns.chordBass = {
+            simple: [0, null, 2, null, 0, null, 2, null],
+            medium: [0, 1, 2, null, 0, 2, 3, 2],
+            complex: [0, 1, 2, 3, 0, 2, 1, 2]
+        };
+        
         // Lead patterns
         this.patterns.lead = {
             simple: [null, "E4", null, "C4", null, "G3", null, null],
@@ -189,25 +208,51 @@ class CatchyMusicGenerator {
         // Subdivision based on alpha (faster = 16th notes, slower = 8th notes)
         const subdivision = alpha > 0.5 ? "16n" : "8n";
         
-        // Set up bass pattern
+        // Set up bass pattern (chords follow the input from the first bar)
+        this.progression.setInput(alpha, beta);
+        const bassTemplate = this.patterns.bass[complexity];
+        const chordBass = this.patterns.chordBass[complexity];
         const bassPattern = new Tone.Sequence(
-            (time, note) => {
+            (time, step) => {
+                let note = bassTemplate[step];
+                if (this.harmonyMode === 'quantum') {
+                    const tone = chordBass[step];
+                    note = tone === null ? null : this._chordAt(time).bass[tone];
+                }
                 if (note !== null) {
                     this.instruments.bass.triggerAttackRelease(note, "8n", time, 0.8);
                 }
             },
-            this.patterns.bass[complexity],
+            bassTemplate.map((_, step) => step),
             subdivision
         );
         
-        // Set up lead pattern
+        // Pad holds the bar's chord
+        const padPart = new Tone.Loop(time => {
+            if (this.harmonyMode === 'quantum') {
+                this.instruments.pad.triggerAttackRelease(this._chordAt(time).pad, "1m", time, 0.25);
+            }
+        }, "1m");
+        
+        // Set up lead pattern (walk melodies are redrawn every time the loop comes round)
+        this.melodyWalk.setInput(alpha, beta);
+        const leadTemplate = this.patterns.lead[complexity];
         const leadPattern = new Tone.Sequence(
-            (time, note) => {
+            (time, step) => {
+                if (step === 0) {
+                    this.leadMelody = this._nextLeadMelody(leadTemplate);
+                }
+                let note = this.leadMelody[step];
+                
+                // On the beat the lead lands on a tone of the bar's chord
+                if (note !== null && this.harmonyMode === 'quantum' && step % 2 === 0) {
+                    note = QuantumChordProgression.nearestChordTone(note, this._chordAt(time));
+                }
                 if (note !== null) {
                     this.instruments.lead.triggerAttackRelease(note, "16n", time, 0.6);
                 }
             },
-            this.patterns.lead[complexity],
+            leadTemplate.map((_, step) => step),
             subdivision
         );
         
@@ -238,12 +283,13 @@ class CatchyMusicGenerator {
         
         // Start all patterns
         bassPattern.start(0);
+        padPart.start(0);
         leadPattern.start(0);
         kickPattern.start(0);
         snarePattern.start(0);
         
         // Store references for disposal
-        this.currentParts = [bassPattern, leadPattern, kickPattern, snarePattern];
+        this.currentParts = [bassPattern, padPart, leadPattern, kickPattern, snarePattern];
         
         // Start Transport if not already started
         if (Tone.Transport.state !== "started") {
@@ -285,6 +331,10 @@ class CatchyMusicGenerator {
         
         // Update synth parameters
         
+        // Walk coin and chord choice follow the input
+        this.melodyWalk.setInput(alpha, beta);
+        this.progression.setInput(alpha, beta);
+        
         // Bass filter cutoff based on alpha
         if (this.instruments.bass.filterEnvelope) {
             const filterFreq = 100 + (alpha * 400);
@@ -302,6 +352,55 @@ class CatchyMusicGenerator {
         }
     }
     
+    /**
+     * Choose where lead melodies come from
+     * @param {String} mode - 'walk' (quantum walk) or 'fixed' (built-in patterns)
+     */
+    setMelodyMode(mode) {
+        if (mode !== 'walk' && mode !== 'fixed') {
+            throw new Error(`Unknown melody mode "${mode}"`);
+        }
+        this.melodyMode = mode;
+    }
+    
+    /**
+     * Choose where harmony comes from
+     * @param {String} mode - 'quantum' (chord progression) or 'fixed' (built-in patterns)
+     */
+    setHarmonyMode(mode) {
+        if (mode !== 'quantum' && mode !== 'fixed') {
+            throw new Error(`Unknown harmony mode "${mode}"`);
+        }
+        this.harmonyMode = mode;
+    }
+    
+    /**
+     * Chord of the bar a scheduled time falls in. The first part to ask
+     * about a new bar measures the next chord (the very first bar stays on
+     * the tonic); bass, pad and lead then all get the same one, whatever
+     * order their callbacks run in
+     */
+    _chordAt(time) {
+        const bar = Math.floor(Tone.Transport.getTicksAtTime(time) / Tone.Time("1m").toTicks());
+        if (bar !== this.chordBar) {
+            if (this.chordBar !== null) {
+                this.chord = this.progression.next();
+            }
+            this.chordBar = bar;
+        }
+        return this.chord;
+    }
+    
+    /**
+     * Lead melody for the next loop: the walk fills the template's note slots
+     */
+    _nextLeadMelody(template) {
+        if (this.melodyMode === 'walk') {
+            return this.melodyWalk.generate(template);
+        }
+        return template;
+    }
+    
     /**
      * Stop all music playback
      */
@@ -0,0 +1,261 @@
+/**
+ * QuantumChordProgression - Picks each bar's chord by measuring a small
+ * register prepared over a functional-harmony transition graph
+ *
+ * The seven diatonic triads of a major key are the basis states of a
+ * 3-qubit register. For every bar the register is prepared so that the
+ * chords the current one may move to carry amplitude √(edge weight), with a
+ * tree of (multi-)controlled RY rotations. Input then shapes the amplitudes
+ * with one amplitude-amplification step, the same oracle-plus-reflection
+ * QuantumLayer uses for favorites: more beta than alpha amplifies the
+ * dominant-function chords (tension), more alpha than beta the tonic ones
+ * (rest). Measuring the register gives the next chord.
+ */
+class QuantumChordProgression {
+    /**
+     * @param {Object} options
+     * @param {String} options.key - Root of the major key, e.g. 'C' or 'F#' (default 'C')
+     * @param {Object} options.graph - Transition weights by chord:
+     *                                 { I: { IV: 3, V: 3, ... }, ... }
+     *                                 (default QuantumChordProgression.GRAPH)
+     * @param {SeededRandom} options.random - Measurement randomness (default: the 'chord-progression' stream)
+     */
+    constructor(options = {}) {
+        this.key = options.key || 'C';
+        this.graph = options.graph || QuantumChordProgression.GRAPH;
+        this.random = options.random || RandomService.stream('chord-progression');
+        
+        if (!QuantumWalkMelody.NOTE_NAMES.includes(this.key)) {
+            throw new Error(`Unknown key "${this.key}"`);
+        }
+        Object.entries(this.graph).forEach(([from, targets]) => {
+            [from, ...Object.keys(targets)].forEach(numeral => {
+                if (!QuantumChordProgression.CHORDS[numeral]) {
+                    throw new Error(`Unknown chord "${numeral}" in progression graph`);
+                }
+            });
+        });
+        
+        this.numQubits = Math.ceil(Math.log2(QuantumChordProgression.CHORD_ORDER.length));
+        this.backend = new StateVectorBackend(this.numQubits);
+        this.tension = 0;
+        this.probabilities = {};
+        
+        this.reset();
+    }
+    
+    /**
+     * Start the progression over from a chord
+     */
+    reset(numeral = 'I') {
+        this.current = numeral;
+    }
+    
+    /**
+     * Shape the next measurements from input
+     * @param {Number} alpha - Alpha wave value (0-1): pulls toward tonic chords
+     * @param {Number} beta - Beta wave value (0-1): pulls toward dominant chords
+     */
+    setInput(alpha, beta) {
+        this.tension = Math.max(-1, Math.min(1, beta - alpha));
+    }
+    
+    /**
+     * Move to the next chord
+     * @returns {Object} The chord, see chord()
+     */
+    next() {
+        const targets = this.graph[this.current] || { I: 1 };
+        const weights = QuantumChordProgression.CHORD_ORDER.map(numeral => targets[numeral] || 0);
+        while (weights.length < this.backend.dimension) weights.push(0);
+        
+        this._prepare(weights);
+        this._shape();
+        
+        const probabilities = this.backend.probabilities();
+        this.probabilities = {};
+        QuantumChordProgression.CHORD_ORDER.forEach((numeral, i) => {
+            if (probabilities[i] > 1e-12) this.probabilities[numeral] = probabilities[i];
+        });
+        
+        const index = this._draw(probabilities);
+        this.backend.collapseTo(index);
+        this.current = QuantumChordProgression.CHORD_ORDER[index];
+        return this.chord(this.current);
+    }
+    
+    /**
+     * Notes of a chord in this key
+     * @returns {Object} {
+     *   numeral, function ('tonic', 'subdominant' or 'dominant'), quality,
+     *   pitchClasses: [root, third, fifth] as 0-11,
+     *   bass: [root, third, fifth, octave] around octave 1-2,
+     *   pad: [root, third, fifth] in octave 3
+     * }
+     */
+    chord(numeral) {
+        const { degree, quality } = QuantumChordProgression.CHORDS[numeral];
+        const scale = QuantumWalkMelody.SCALES.major;
+        const keyIndex = QuantumWalkMelody.NOTE_NAMES.indexOf(this.key);
+        
+        // Stacked thirds within the scale, as semitones above the key's C
+        const triad = [0, 2, 4].map(step => {
+            const position = degree + step;
+            return keyIndex + scale[position % scale.length] + 12 * Math.floor(position / scale.length);
+        });
+        const root = triad[0] % 12;
+        const intervals = triad.map(semitone => semitone - triad[0]);
+        
+        // Bass roots stay between F1 and E2
+        const bassRoot = 12 * (root <= 4 ? 2 : 1) + root;
+        const padRoot = 12 * 3 + root;
+        
+        return {
+            numeral,
+            function: QuantumChordProgression.FUNCTIONS[numeral],
+            quality,
+            pitchClasses: triad.map(semitone => semitone % 12),
+            bass: [...intervals, 12].map(interval => QuantumChordProgression._noteName(bassRoot + interval)),
+            pad: intervals.map(interval => QuantumChordProgression._noteName(padRoot + interval))
+        };
+    }
+    
+    /**
+     * Amplitude encoding: √(w / Σw) on every basis state. Qubits are
+     * rotated from the highest down, each by RY conditioned on the bits
+     * above it, splitting the weight under every prefix between its 0 and
+     * 1 branches
+     */
+    _prepare(weights) {
+        this.backend.reset();
+        
+        for (let qubit = this.numQubits - 1; qubit >= 0; qubit--) {
+            const controls = [];
+            for (let q = qubit + 1; q < this.numQubits; q++) controls.push(q);
+            
+            for (let prefix = 0; prefix < 1 << controls.length; prefix++) {
+                const branch = bit => weights.reduce(
+                    (sum, w, i) => ((i >> qubit) === ((prefix << 1) | bit) ? sum + w : sum),
+                    0
+                );
+                const zero = branch(0);
+                const one = branch(1);
+                if (one === 0) continue;
+                
+                // Controls fire on 1, so prefix bits that are 0 are flipped around the rotation
+                const flipped = controls.filter((q, j) => ((prefix >> j) & 1) === 0);
+                flipped.forEach(q => this.backend.applyMatrix(QuantumLayer.GATES.X, [q]));
+                this.backend.applyMatrix(
+                    QuantumLayer._rotationMatrix('y', 2 * Math.atan2(Math.sqrt(one), Math.sqrt(zero))),
+                    [qubit],
+                    controls
+                );
+                flipped.forEach(q => this.backend.applyMatrix(QuantumLayer.GATES.X, [q]));
+            }
+        }
+    }
+    
+    /**
+     * One amplification step toward the tonic or dominant chords, moving
+     * their probability |tension| of the way to MAX_FAVORITE_PROBABILITY
+     */
+    _shape() {
+        if (this.tension === 0) return;
+        
+        const goal = this.tension > 0 ? 'dominant' : 'tonic';
+        const marked = this.backend.amplitudes.map((_, i) => {
+            const numeral = QuantumChordProgression.CHORD_ORDER[i];
+            return Boolean(numeral) && QuantumChordProgression.FUNCTIONS[numeral] === goal;
+        });
+        
+        const psi = this.backend.dominantState();
+        const p = psi.reduce((sum, a, i) => (marked[i] ? sum + Complex.abs2(a) : sum), 0);
+        const ceiling = QuantumLayer.MAX_FAVORITE_PROBABILITY;
+        if (p < 1e-9 || p >= ceiling) return;
+        
+        const phi = QuantumLayer._amplificationPhase(p, p + Math.abs(this.tension) * (ceiling - p));
+        const phase = Complex.fromPolar(1, phi);
+        this.backend.applyDiagonal(marked.map(isMarked => (isMarked ? phase : Complex.create(1, 0))));
+        this.backend.reflectAbout(psi, phi);
+    }
+    
+    _draw(probabilities) {
+        const rand = this.random.next();
+        let cumulative = 0;
+        for (let i = 0; i < probabilities.length; i++) {
+            cumulative += probabilities[i];
+            if (rand < cumulative) return i;
+        }
+        
+        // Rounding left the sum just under 1: fall back to the last possible chord
+        let last = probabilities.length - 1;
+        while (last > 0 && probabilities[last] < 1e-12) last--;
+        return last;
+    }
+    
+    /**
+     * The chord tone nearest to a note, in the same register
+     * @param {String} note - Note name, e.g. 'D4'
+     * @param {Object} chord - From chord()
+     * @returns {String} Note name (the note itself if it is a chord tone or
+     *                   cannot be read)
+     */
+    static nearestChordTone(note, chord) {
+        const match = /^([A-G]#?)(-?\d+)$/.exec(note);
+        if (!match) return note;
+        
+        const semitone = 12 * Number(match[2]) + QuantumWalkMelody.NOTE_NAMES.indexOf(match[1]);
+        for (let distance = 0; distance < 12; distance++) {
+            for (const candidate of [semitone - distance, semitone + distance]) {
+                if (chord.pitchClasses.includes(((candidate % 12) + 12) % 12)) {
+                    return QuantumChordProgression._noteName(candidate);
+                }
+            }
+        }
+        return note;
+    }
+    
+    /**
+     * Note name of a semitone count above C0
+     */
+    static _noteName(semitone) {
+        return `${QuantumWalkMelody.NOTE_NAMES[((semitone % 12) + 12) % 12]}${Math.floor(semitone / 12)}`;
+    }
+}
+
+// Diatonic triads of a major key; a chord's basis state is its place in CHORD_ORDER
+QuantumChordProgression.CHORDS = {
+    'I': { degree: 0, quality: 'major' },
+    'ii': { degree: 1, quality: 'minor' },
+    'iii': { degree: 2, quality: 'minor' },
+    'IV': { degree: 3, quality: 'major' },
+    'V': { degree: 4, quality: 'major' },
+    'vi': { degree: 5, quality: 'minor' },
+    'vii°': { degree: 6, quality: 'diminished' }
+};
+QuantumChordProgression.CHORD_ORDER = ['I', 'ii', 'iii', 'IV', 'V', 'vi', 'vii°'];
+
+QuantumChordProgression.FUNCTIONS = {
+    'I': 'tonic',
+    'ii': 'subdominant',
+    'iii': 'tonic',
+    'IV': 'subdominant',
+    'V': 'dominant',
+    'vi': 'tonic',
+    'vii°': 'dominant'
+};
+
+// Common-practice moves: tonic goes anywhere, predominants lead to the
+// dominant, dominants resolve home (or deceptively to vi)
+QuantumChordProgression.GRAPH = {
+    'I': { 'ii': 2, 'iii': 1, 'IV': 3, 'V': 3, 'vi': 2 },
+    'ii': { 'IV': 1, 'V': 4, 'vii°': 1 },
+    'iii': { 'IV': 2, 'vi': 3 },
+    'IV': { 'I': 3, 'ii': 1, 'V': 3, 'vii°': 1 },
+    'V': { 'I': 5, 'vi': 2 },
+    'vi': { 'ii': 3, 'IV': 3, 'V': 1 },
+    'vii°': { 'I': 4, 'iii': 1 }
+};
+
+// Export the class for use in other modules
+globalThis.QuantumChordProgression = QuantumChordProgression;
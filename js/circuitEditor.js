@@ -0,0 +1,570 @@
+/**
+ * CircuitEditor - Debug-panel editor for the circuit processInput runs
+ *
+ * Draws one wire per qubit (qubit 0 on top) and one column per gate. Gates
+ * are dragged from the palette onto a wire, moved by dragging them to another
+ * wire or column, and removed by dropping them back on the palette. Clicking
+ * a gate opens its settings: qubits, condition and a knob per parameter
+ * that scales π by a constant or by an input (alpha, beta, jitter).
+ *
+ * Every valid edit is loaded into the quantum layer straight away, and the
+ * probability bars show what the circuit prepares for the current input.
+ */
+class CircuitEditor {
+    /**
+     * @param {String} containerId - Element to render into
+     * @param {Object} options
+     * @param {QuantumLayer} options.quantumLayer - Layer whose circuit is edited
+     * @param {Function} options.onChange - Called with the edited QuantumCircuit
+     *                                      after it has been loaded
+     */
+    constructor(containerId, options = {}) {
+        this.quantumLayer = options.quantumLayer;
+        this.onChange = options.onChange || (() => {});
+        
+        // Gates as edited: [{ gate, qubits, params, when }] with expression strings
+        this.gates = [];
+        this.selected = -1;
+        this.input = { alpha: 0, beta: 0, jitter: 0 };
+        
+        // Pure-state copy of the register for the probability preview; it
+        // never measures and has no views
+        this.preview = new QuantumLayer({ numQubits: this.quantumLayer.numQubits });
+        
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error(`Container element '${containerId}' not found`);
+            return;
+        }
+        
+        this._build();
+        this.load(this.quantumLayer.getCircuit());
+    }
+    
+    /**
+     * Show a circuit without loading it into the layer, e.g. after an import
+     * or a switch of mapping mode
+     * @param {QuantumCircuit} circuit
+     */
+    load(circuit) {
+        this.gates = circuit.toJSON().gates.map(gate => ({
+            gate: gate.gate,
+            qubits: [...gate.qubits],
+            params: gate.params ? [...gate.params] : [],
+            when: gate.when || ''
+        }));
+        this.selected = -1;
+        this.refresh();
+    }
+    
+    /**
+     * Input values the parameter knobs are bound to
+     * @param {Object} input - { alpha, beta, jitter }
+     */
+    setInput(input) {
+        this.input = { ...this.input, ...input };
+        if (this.container) {
+            this._renderProbabilities();
+        }
+    }
+    
+    /**
+     * Redraw after the register size changed or the circuit was edited elsewhere
+     */
+    refresh() {
+        if (!this.container) return;
+        
+        if (this.preview.numQubits !== this.quantumLayer.numQubits) {
+            this.preview.setNumQubits(this.quantumLayer.numQubits);
+        }
+        this._renderWires();
+        this._renderInspector();
+        this._renderProbabilities();
+    }
+    
+    _build() {
+        this.container.innerHTML = '';
+        
+        // Gate palette; dropping a placed gate here removes it
+        this.palette = document.createElement('div');
+        this.palette.className = 'circuit-palette';
+        this.palette.title = 'Drag a gate onto a wire; drop a placed gate here to remove it';
+        CircuitEditor.PALETTE.forEach(name => {
+            const chip = document.createElement('span');
+            chip.className = 'circuit-gate';
+            chip.textContent = CircuitEditor._symbol(name);
+            chip.title = name;
+            chip.draggable = true;
+            chip.addEventListener('dragstart', event => this._startDrag(event, { gate: name }));
+            this.palette.appendChild(chip);
+        });
+        this._dropTarget(this.palette, drag => {
+            if (drag.index !== undefined) this._removeGate(drag.index);
+        });
+        this.container.appendChild(this.palette);
+        
+        this.grid = document.createElement('div');
+        this.grid.className = 'circuit-grid';
+        this.container.appendChild(this.grid);
+        
+        this.inspector = document.createElement('div');
+        this.inspector.className = 'circuit-inspector';
+        this.container.appendChild(this.inspector);
+        
+        const footer = document.createElement('div');
+        footer.className = 'option';
+        footer.appendChild(this._button('Clear', () => {
+            this.gates = [];
+            this.selected = -1;
+            this._commit();
+        }));
+        footer.appendChild(this._button('Built-in Mapping', () => {
+            this.quantumLayer.setMappingMode(this.quantumLayer.mappingMode);
+            this.load(this.quantumLayer.getCircuit());
+            this.onChange(this.quantumLayer.getCircuit());
+        }));
+        this.status = document.createElement('span');
+        this.status.className = 'circuit-status';
+        footer.appendChild(this.status);
+        this.container.appendChild(footer);
+        
+        this.bars = document.createElement('div');
+        this.bars.className = 'circuit-bars';
+        this.container.appendChild(this.bars);
+    }
+    
+    /**
+     * One row per qubit, one column per gate plus an empty one to append to
+     */
+    _renderWires() {
+        const numQubits = this.quantumLayer.numQubits;
+        const columns = this.gates.length + 1;
+        
+        this.grid.innerHTML = '';
+        this.grid.style.gridTemplateColumns = `2.5rem repeat(${columns}, 2.2rem)`;
+        
+        for (let q = 0; q < numQubits; q++) {
+            const label = document.createElement('span');
+            label.className = 'circuit-label';
+            label.textContent = `q${q}`;
+            this.grid.appendChild(label);
+            
+            for (let column = 0; column < columns; column++) {
+                this.grid.appendChild(this._renderCell(q, column));
+            }
+        }
+    }
+    
+    _renderCell(qubit, column) {
+        const cell = document.createElement('div');
+        cell.className = 'circuit-cell';
+        this._dropTarget(cell, drag => this._drop(drag, qubit, column));
+        
+        const gate = this.gates[column];
+        if (!gate) return cell;
+        
+        const role = gate.qubits.indexOf(qubit);
+        const low = Math.min(...gate.qubits);
+        const high = Math.max(...gate.qubits);
+        
+        // Vertical connector through the qubits a multi-qubit gate spans
+        if (qubit > low && qubit <= high) cell.classList.add('link-up');
+        if (qubit >= low && qubit < high) cell.classList.add('link-down');
+        if (role === -1) return cell;
+        
+        const block = document.createElement('span');
+        block.className = 'circuit-gate placed';
+        block.textContent = CircuitEditor._roleSymbol(gate.gate, role);
+        block.title = CircuitEditor._describe(gate);
+        block.draggable = true;
+        block.classList.toggle('selected', column === this.selected);
+        block.classList.toggle('conditional', Boolean(gate.when));
+        block.classList.toggle('invalid', !CircuitEditor._isValid(gate, this.quantumLayer.numQubits));
+        block.addEventListener('dragstart', event => this._startDrag(event, { index: column, qubit }));
+        block.addEventListener('click', () => {
+            this.selected = this.selected === column ? -1 : column;
+            this._renderWires();
+            this._renderInspector();
+        });
+        cell.appendChild(block);
+        
+        return cell;
+    }
+    
+    /**
+     * Settings of the selected gate: qubits, condition and parameter knobs
+     */
+    _renderInspector() {
+        this.inspector.innerHTML = '';
+        const gate = this.gates[this.selected];
+        if (!gate) return;
+        
+        const spec = QuantumCircuit.GATE_SET[gate.gate];
+        const row = document.createElement('div');
+        row.className = 'option';
+        
+        const title = document.createElement('strong');
+        title.textContent = gate.gate;
+        row.appendChild(title);
+        
+        gate.qubits.forEach((qubit, role) => {
+            const label = document.createElement('label');
+            label.textContent = `${CircuitEditor._roleName(gate.gate, role, spec.qubits)}:`;
+            const select = document.createElement('select');
+            for (let q = 0; q < this.quantumLayer.numQubits; q++) {
+                const option = document.createElement('option');
+                option.value = String(q);
+                option.textContent = `q${q}`;
+                option.selected = q === qubit;
+                select.appendChild(option);
+            }
+            select.addEventListener('change', () => {
+                gate.qubits[role] = Number(select.value);
+                this._commit();
+            });
+            label.appendChild(select);
+            row.appendChild(label);
+        });
+        
+        const when = this._input('text', gate.when, value => {
+            gate.when = value;
+            this._commit();
+        });
+        when.size = 12;
+        when.placeholder = 'always';
+        when.title = 'Condition, e.g. alpha > 0.5 (empty = always applied)';
+        const whenLabel = document.createElement('label');
+        whenLabel.textContent = 'When:';
+        whenLabel.appendChild(when);
+        row.appendChild(whenLabel);
+        
+        row.appendChild(this._button('Remove', () => this._removeGate(this.selected)));
+        this.inspector.appendChild(row);
+        
+        gate.params.forEach((_, index) => this.inspector.appendChild(this._renderKnob(gate, index)));
+    }
+    
+    /**
+     * Knob for one gate parameter: angle = binding × coefficient × π. The
+     * expression can also be typed; knobs are disabled for expressions that
+     * are not of that form
+     */
+    _renderKnob(gate, index) {
+        const row = document.createElement('div');
+        row.className = 'option';
+        
+        const binding = document.createElement('select');
+        CircuitEditor.KNOB_BINDINGS.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name === 'const' ? 'constant' : name;
+            binding.appendChild(option);
+        });
+        
+        const knob = document.createElement('input');
+        knob.type = 'range';
+        Object.assign(knob, { min: -2, max: 2, step: 0.05 });
+        
+        const readout = document.createElement('span');
+        readout.className = 'circuit-status';
+        
+        const expression = this._input('text', gate.params[index], value => {
+            gate.params[index] = value;
+            sync();
+            this._commit();
+        });
+        expression.size = 14;
+        
+        // Show the knob position for the current expression
+        const sync = () => {
+            const parsed = CircuitEditor._parseKnob(gate.params[index]);
+            knob.disabled = binding.disabled = !parsed;
+            if (parsed) {
+                binding.value = parsed.binding;
+                knob.value = String(parsed.coefficient);
+            }
+            readout.textContent = parsed ? `${parsed.coefficient.toFixed(2)}π` : 'custom';
+        };
+        
+        const fromKnob = () => {
+            gate.params[index] = CircuitEditor._formatKnob(binding.value, Number(knob.value));
+            expression.value = gate.params[index];
+            readout.textContent = `${Number(knob.value).toFixed(2)}π`;
+            this._commit();
+        };
+        knob.addEventListener('input', fromKnob);
+        binding.addEventListener('change', fromKnob);
+        sync();
+        
+        const label = document.createElement('label');
+        label.textContent = gate.params.length > 1 ? `Angle ${index + 1}:` : 'Angle:';
+        [label, binding, knob, readout, expression].forEach(element => row.appendChild(element));
+        return row;
+    }
+    
+    /**
+     * Probability of each basis state for the edited circuit and current input
+     */
+    _renderProbabilities() {
+        const probabilities = this._previewProbabilities();
+        const numQubits = this.quantumLayer.numQubits;
+        
+        this.bars.innerHTML = '';
+        if (!probabilities) return;
+        
+        probabilities.forEach((probability, index) => {
+            const bar = document.createElement('div');
+            bar.className = 'circuit-bar';
+            const ket = QuantumLayer._indexToBits(index, numQubits).join('');
+            bar.title = `|${ket}⟩: ${(probability * 100).toFixed(1)}%`;
+            
+            const fill = document.createElement('div');
+            fill.style.height = `${probability * 100}%`;
+            bar.appendChild(fill);
+            
+            // Kets fit under the bars of small registers only
+            if (numQubits <= 4) {
+                const label = document.createElement('span');
+                label.textContent = ket;
+                bar.appendChild(label);
+            }
+            this.bars.appendChild(bar);
+        });
+    }
+    
+    _previewProbabilities() {
+        try {
+            const circuit = this._buildCircuit();
+            this.preview.reset();
+            circuit.run(this.preview, this._bindings());
+            return this.preview.state.probabilities;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Knob inputs plus the values of free (e.g. trained) parameters
+     */
+    _bindings() {
+        return { jitter: 0, ...this.quantumLayer.circuitParameters, ...this.input };
+    }
+    
+    /**
+     * Compile the edited gates; throws on the first invalid one
+     */
+    _buildCircuit() {
+        const used = this.gates.reduce((max, gate) => Math.max(max, ...gate.qubits), 0);
+        return new QuantumCircuit({
+            name: 'edited circuit',
+            // Only as wide as the gates need, so the register can still shrink
+            numQubits: used + 1,
+            gates: this.gates.map(gate => {
+                const entry = { gate: gate.gate, qubits: gate.qubits };
+                if (gate.params.length > 0) entry.params = gate.params;
+                if (gate.when) entry.when = gate.when;
+                return entry;
+            })
+        });
+    }
+    
+    /**
+     * Redraw and, if every gate is valid, load the circuit into the layer
+     */
+    _commit() {
+        this._renderWires();
+        this._renderInspector();
+        this._renderProbabilities();
+        
+        let circuit;
+        try {
+            this.gates.forEach(gate => {
+                if (!CircuitEditor._isValid(gate, this.quantumLayer.numQubits)) {
+                    throw new Error(`${gate.gate} needs distinct qubits`);
+                }
+            });
+            circuit = this._buildCircuit();
+            
+            // Dry run so that bad expressions never reach processInput
+            circuit.run(this.preview, this._bindings());
+        } catch (error) {
+            this.status.textContent = error.message;
+            return;
+        }
+        
+        this.status.textContent = `${circuit.gates.length} gates`;
+        this.quantumLayer.loadCircuit(circuit);
+        this.onChange(circuit);
+    }
+    
+    _startDrag(event, drag) {
+        event.dataTransfer.setData('text/plain', JSON.stringify(drag));
+        event.dataTransfer.effectAllowed = 'move';
+    }
+    
+    _dropTarget(element, onDrop) {
+        element.addEventListener('dragover', event => {
+            event.preventDefault();
+            element.classList.add('drag-over');
+        });
+        element.addEventListener('dragleave', () => element.classList.remove('drag-over'));
+        element.addEventListener('drop', event => {
+            event.preventDefault();
+            element.classList.remove('drag-over');
+            try {
+                onDrop(JSON.parse(event.dataTransfer.getData('text/plain')));
+            } catch (error) {
+                console.warn('Ignoring unknown drop:', error);
+            }
+        });
+    }
+    
+    /**
+     * Place a palette gate, or move a placed one, so that the dragged wire
+     * lands on the target qubit and the gate sits in the target column
+     */
+    _drop(drag, qubit, column) {
+        const numQubits = this.quantumLayer.numQubits;
+        
+        if (drag.gate) {
+            const spec = QuantumCircuit.GATE_SET[drag.gate];
+            if (spec.qubits > numQubits) return;
+            
+            // Controls above the target: the dropped wire is the gate's last qubit
+            const qubits = [];
+            for (let role = 0; role < spec.qubits; role++) {
+                qubits.push((qubit - (spec.qubits - 1 - role) + numQubits) % numQubits);
+            }
+            this.gates.splice(column, 0, {
+                gate: drag.gate,
+                qubits,
+                params: new Array(spec.params).fill(CircuitEditor.DEFAULT_ANGLE),
+                when: ''
+            });
+            this.selected = column;
+        } else {
+            const [gate] = this.gates.splice(drag.index, 1);
+            const shift = qubit - drag.qubit;
+            gate.qubits = gate.qubits.map(q => (q + shift + numQubits) % numQubits);
+            
+            const target = column > drag.index ? column - 1 : column;
+            this.gates.splice(Math.min(target, this.gates.length), 0, gate);
+            this.selected = this.gates.indexOf(gate);
+        }
+        
+        this._commit();
+    }
+    
+    _removeGate(index) {
+        this.gates.splice(index, 1);
+        this.selected = -1;
+        this._commit();
+    }
+    
+    _input(type, value, assign) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value;
+        input.addEventListener('change', () => assign(input.value.trim()));
+        return input;
+    }
+    
+    _button(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'small';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Multi-qubit gates need distinct qubits inside the register
+     */
+    static _isValid(gate, numQubits) {
+        return new Set(gate.qubits).size === gate.qubits.length && gate.qubits.every(q => q < numQubits);
+    }
+    
+    /**
+     * Read "binding × coefficient × π" back from a parameter expression
+     * @returns {Object|null} { binding, coefficient }, null if the expression
+     *                        is not linear in a single knob binding
+     */
+    static _parseKnob(source) {
+        let expression;
+        try {
+            expression = new ParameterExpression(source);
+        } catch (error) {
+            return null;
+        }
+        
+        const variables = expression.variables;
+        if (variables.length === 0) {
+            return { binding: 'const', coefficient: expression.evaluate() / Math.PI };
+        }
+        
+        const [name] = variables;
+        if (variables.length > 1 || !CircuitEditor.KNOB_BINDINGS.includes(name)) return null;
+        
+        const coefficient = expression.evaluate({ [name]: 1 }) / Math.PI;
+        const linear = Math.abs(expression.evaluate({ [name]: 0 })) < 1e-9 &&
+            Math.abs(expression.evaluate({ [name]: 0.5 }) - coefficient * Math.PI / 2) < 1e-9;
+        return linear ? { binding: name, coefficient } : null;
+    }
+    
+    static _formatKnob(binding, coefficient) {
+        const value = +coefficient.toFixed(2);
+        const angle = value === 1 ? 'pi' : value === -1 ? '-pi' : `${value}*pi`;
+        return binding === 'const' ? angle : `${binding}*${angle}`;
+    }
+    
+    static _symbol(name) {
+        return CircuitEditor.SYMBOLS[name] || name.toUpperCase();
+    }
+    
+    /**
+     * Symbol drawn on one of a gate's wires: controls are dots, the target
+     * carries the gate name (without its leading "c")
+     */
+    static _roleSymbol(name, role) {
+        if (name === 'swap') return '×';
+        
+        const spec = QuantumCircuit.GATE_SET[name];
+        const controls = CircuitEditor._controlCount(name, spec.qubits);
+        if (role < controls) return '●';
+        return CircuitEditor._symbol(controls > 0 ? name.slice(controls) : name);
+    }
+    
+    static _roleName(name, role, qubitCount) {
+        if (qubitCount === 1) return 'Qubit';
+        if (name === 'swap') return `Qubit ${role + 1}`;
+        return role < CircuitEditor._controlCount(name, qubitCount) ? 'Control' : 'Target';
+    }
+    
+    static _controlCount(name, qubitCount) {
+        return name === 'swap' ? 0 : qubitCount - 1;
+    }
+    
+    static _describe(gate) {
+        const params = gate.params.length ? `(${gate.params.join(', ')})` : '';
+        const when = gate.when ? ` when ${gate.when}` : '';
+        return `${gate.gate}${params} on ${gate.qubits.map(q => `q${q}`).join(', ')}${when}`;
+    }
+}
+
+// Gates offered in the palette
+CircuitEditor.PALETTE = ['h', 'x', 'y', 'z', 's', 't', 'rx', 'ry', 'rz', 'p', 'cx', 'cz', 'cp', 'cry', 'crz', 'swap', 'ccx'];
+
+// What a knob can scale its angle by
+CircuitEditor.KNOB_BINDINGS = ['const', 'alpha', 'beta', 'jitter'];
+
+// Starting angle of newly placed parametric gates
+CircuitEditor.DEFAULT_ANGLE = 'alpha*pi';
+
+CircuitEditor.SYMBOLS = {
+    sdg: 'S†',
+    tdg: 'T†',
+    id: 'I'
+};
+
+// Export the class for use in other modules
+window.CircuitEditor = CircuitEditor;
@@ -0,0 +1,78 @@
+/**
+ * Complex - Minimal complex-number helpers for the quantum simulation
+ * Values are plain { re, im } objects and every helper returns a new value
+ */
+const Complex = {
+    /**
+     * Create a complex number
+     */
+    create(re = 0, im = 0) {
+        return { re, im };
+    },
+    
+    /**
+     * Create a complex number from magnitude and angle: r * e^(i*theta)
+     */
+    fromPolar(r, theta) {
+        return { re: r * Math.cos(theta), im: r * Math.sin(theta) };
+    },
+    
+    /**
+     * Accept either a real number or a { re, im } object
+     */
+    from(value) {
+        if (typeof value === 'number') {
+            return { re: value, im: 0 };
+        }
+        return { re: value.re || 0, im: value.im || 0 };
+    },
+    
+    add(a, b) {
+        return { re: a.re + b.re, im: a.im + b.im };
+    },
+    
+    sub(a, b) {
+        return { re: a.re - b.re, im: a.im - b.im };
+    },
+    
+    mul(a, b) {
+        return {
+            re: a.re * b.re - a.im * b.im,
+            im: a.re * b.im + a.im * b.re
+        };
+    },
+    
+    scale(a, factor) {
+        return { re: a.re * factor, im: a.im * factor };
+    },
+    
+    conj(a) {
+        return { re: a.re, im: -a.im };
+    },
+    
+    /**
+     * Squared magnitude |a|^2 (the Born-rule probability of an amplitude)
+     */
+    abs2(a) {
+        return a.re * a.re + a.im * a.im;
+    },
+    
+    abs(a) {
+        return Math.sqrt(a.re * a.re + a.im * a.im);
+    },
+    
+    arg(a) {
+        return Math.atan2(a.im, a.re);
+    },
+    
+    /**
+     * Format as "0.707+0.000i" for debug output
+     */
+    toString(a, digits = 3) {
+        const sign = a.im < 0 ? '-' : '+';
+        return `${a.re.toFixed(digits)}${sign}${Math.abs(a.im).toFixed(digits)}i`;
+    }
+};
+
+// Export for use in other modules
+globalThis.Complex = Complex;
@@ -0,0 +1,256 @@
+/**
+ * EEGPlayback - Plays an EEGRecording back in real time as alpha/beta input
+ *
+ * At every update the last window of samples before the playback position
+ * is Hann-windowed and transformed with an FFT on each channel; the power
+ * in the alpha (8-12 Hz) and beta (13-30 Hz) bands is averaged over the
+ * channels. Band power spans orders of magnitude between people and
+ * headsets, so its logarithm is mapped to 0-1 between the 5th and 95th
+ * percentile of the whole recording, found once when it is loaded.
+ * Emits 'update' with the same { alpha, beta, jitter } as InputSystem, and
+ * 'state' when it plays, pauses or seeks.
+ */
+class EEGPlayback extends EventEmitter {
+    /**
+     * @param {EEGRecording} recording
+     * @param {Object} options
+     * @param {Number} options.windowSeconds - Sliding FFT window, rounded up to a power of two samples (default 2)
+     * @param {Boolean} options.loop - Start over at the end (default true)
+     * @param {Number} options.speed - Playback rate (default 1)
+     */
+    constructor(recording, options = {}) {
+        super();
+        this.recording = recording;
+        this.loop = options.loop !== false;
+        this.speed = options.speed || 1;
+        
+        // Power-of-two window, no longer than the recording
+        const wanted = (options.windowSeconds || 2) * recording.sampleRate;
+        this.windowSize = 1 << Math.ceil(Math.log2(Math.max(wanted, EEGPlayback.MIN_WINDOW)));
+        while (this.windowSize > recording.length && this.windowSize > EEGPlayback.MIN_WINDOW) {
+            this.windowSize >>= 1;
+        }
+        this.hann = Float64Array.from({ length: this.windowSize },
+            (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (this.windowSize - 1)));
+        
+        this.position = 0;
+        this.playing = false;
+        this.startedAt = 0;
+        
+        this.ranges = this._findRanges();
+    }
+    
+    get duration() {
+        return this.recording.duration;
+    }
+    
+    get isPlaying() {
+        return this.playing;
+    }
+    
+    /**
+     * @param {Number} now - Clock time in ms (default Date.now())
+     */
+    play(now = Date.now()) {
+        if (this.playing) return;
+        this.startedAt = now;
+        this.playing = true;
+        this.emit('state', this);
+    }
+    
+    pause(now = Date.now()) {
+        if (!this.playing) return;
+        this.position = this.currentTime(now);
+        this.playing = false;
+        this.emit('state', this);
+    }
+    
+    /**
+     * Jump to a time in seconds
+     */
+    seek(seconds, now = Date.now()) {
+        this.position = Math.max(0, Math.min(this.duration, seconds));
+        this.startedAt = now;
+        this.emit('state', this);
+    }
+    
+    /**
+     * Playback position in seconds; without looping, playback stops at the end
+     */
+    currentTime(now = Date.now()) {
+        if (!this.playing) return this.position;
+        
+        const time = this.position + (now - this.startedAt) / 1000 * this.speed;
+        if (time < this.duration) return time;
+        if (this.loop) return time % this.duration;
+        
+        this.position = this.duration;
+        this.playing = false;
+        this.emit('state', this);
+        return this.position;
+    }
+    
+    /**
+     * Band values at the playback position
+     * @returns {Object} { alpha, beta, jitter, position, duration } with
+     *                   alpha and beta normalized 0-1 (EEG has no jitter, so it is 0)
+     */
+    update(now = Date.now()) {
+        const position = this.currentTime(now);
+        const power = this.bandPower(Math.round(position * this.recording.sampleRate));
+        
+        const data = {
+            alpha: EEGPlayback._normalize(power.alpha, this.ranges.alpha),
+            beta: EEGPlayback._normalize(power.beta, this.ranges.beta),
+            jitter: 0,
+            position,
+            duration: this.duration
+        };
+        
+        this.emit('update', data);
+        return data;
+    }
+    
+    /**
+     * Mean band power over the channels in the window ending at a sample
+     * @returns {Object} Power per band, e.g. { alpha, beta }
+     */
+    bandPower(endSample) {
+        const start = Math.max(0, Math.min(endSample, this.recording.length) - this.windowSize);
+        const totals = {};
+        Object.keys(EEGPlayback.BANDS).forEach(band => { totals[band] = 0; });
+        
+        this.recording.channels.forEach(({ samples }) => {
+            const power = this._spectrum(samples, start);
+            Object.entries(EEGPlayback.BANDS).forEach(([band, [low, high]]) => {
+                totals[band] += EEGPlayback._sumBins(power, low, high, this.recording.sampleRate, this.windowSize);
+            });
+        });
+        
+        Object.keys(totals).forEach(band => { totals[band] /= this.recording.channels.length; });
+        return totals;
+    }
+    
+    /**
+     * Power spectrum of one window: mean removed, Hann-windowed
+     * @returns {Float64Array} |X[k]|² for bins 0 to windowSize / 2
+     */
+    _spectrum(samples, start) {
+        const size = this.windowSize;
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+        
+        const end = Math.min(start + size, samples.length);
+        let mean = 0;
+        for (let i = start; i < end; i++) mean += samples[i];
+        mean /= (end - start) || 1;
+        for (let i = start; i < end; i++) re[i - start] = (samples[i] - mean) * this.hann[i - start];
+        
+        EEGPlayback.fft(re, im);
+        
+        const power = new Float64Array(size / 2 + 1);
+        for (let k = 0; k <= size / 2; k++) power[k] = re[k] * re[k] + im[k] * im[k];
+        return power;
+    }
+    
+    /**
+     * 5th-95th percentile range of each band's log power over the
+     * recording, sampled at up to MAX_CALIBRATION_WINDOWS positions
+     */
+    _findRanges() {
+        const { length } = this.recording;
+        const count = Math.max(1, Math.min(EEGPlayback.MAX_CALIBRATION_WINDOWS,
+            Math.floor((length - this.windowSize) / (this.windowSize / 4)) + 1));
+        const values = {};
+        Object.keys(EEGPlayback.BANDS).forEach(band => { values[band] = []; });
+        
+        for (let i = 0; i < count; i++) {
+            const end = this.windowSize + Math.round(i * Math.max(0, length - this.windowSize) / Math.max(1, count - 1));
+            const power = this.bandPower(end);
+            Object.keys(values).forEach(band => values[band].push(Math.log10(power[band] + 1e-12)));
+        }
+        
+        const ranges = {};
+        Object.entries(values).forEach(([band, logs]) => {
+            logs.sort((a, b) => a - b);
+            const at = q => logs[Math.min(logs.length - 1, Math.floor(q * logs.length))];
+            ranges[band] = { low: at(0.05), high: at(0.95) };
+        });
+        return ranges;
+    }
+    
+    /**
+     * Sum of the power bins between two frequencies (inclusive)
+     */
+    static _sumBins(power, low, high, sampleRate, size) {
+        const resolution = sampleRate / size;
+        let sum = 0;
+        for (let k = Math.ceil(low / resolution); k <= Math.floor(high / resolution) && k < power.length; k++) {
+            sum += power[k];
+        }
+        return sum;
+    }
+    
+    /**
+     * Log power to 0-1 within a range (a flat range reads as 0.5)
+     */
+    static _normalize(power, { low, high }) {
+        const value = Math.log10(power + 1e-12);
+        if (high - low < 1e-9) return 0.5;
+        return Math.max(0, Math.min(1, (value - low) / (high - low)));
+    }
+    
+    /**
+     * In-place iterative radix-2 FFT
+     * @param {Float64Array} re - Real parts (length a power of two)
+     * @param {Float64Array} im - Imaginary parts
+     */
+    static fft(re, im) {
+        const n = re.length;
+        
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = -2 * Math.PI / size;
+            const half = size >> 1;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < half; k++) {
+                    const wRe = Math.cos(angle * k);
+                    const wIm = Math.sin(angle * k);
+                    const a = start + k;
+                    const b = a + half;
+                    const tRe = re[b] * wRe - im[b] * wIm;
+                    const tIm = re[b] * wIm + im[b] * wRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                }
+            }
+        }
+    }
+}
+
+// Frequency bands in Hz
+EEGPlayback.BANDS = {
+    alpha: [8, 12],
+    beta: [13, 30]
+};
+
+// Smallest FFT window in samples
+EEGPlayback.MIN_WINDOW = 64;
+
+// Windows examined when a recording is loaded to find its band power range
+EEGPlayback.MAX_CALIBRATION_WINDOWS = 2000;
+
+// Export the class for use in other modules
+globalThis.EEGPlayback = EEGPlayback;
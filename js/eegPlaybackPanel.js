@@ -0,0 +1,156 @@
+/**
+ * EEGPlaybackPanel - Debug-panel controls for playing an EEG file as input
+ *
+ * Loads a CSV export or EDF file into an EEGPlayback, with play/pause,
+ * eject and the playback position. The EEG file input source plays it
+ * while the performance runs. CSV files without a timestamp column
+ * need their sample rate entered first.
+ */
+class EEGPlaybackPanel {
+    /**
+     * @param {String} containerId - Element to render into
+     * @param {Object} options
+     * @param {Function} options.onChange - Called with the new EEGPlayback,
+     *                                      or null after eject
+     */
+    constructor(containerId, options = {}) {
+        this.onChange = options.onChange || (() => {});
+        this.playback = null;
+        this.unsubscribe = [];
+        
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error(`Container element '${containerId}' not found`);
+            return;
+        }
+        
+        this._build();
+        this._render();
+    }
+    
+    /**
+     * Read an EEG file and hand it to the input sources
+     * @param {File} file - .csv/.txt export or .edf
+     */
+    async load(file) {
+        const rate = Number(this.rateInput.value);
+        try {
+            const recording = EEGRecording.parse(file.name, await file.arrayBuffer(), {
+                sampleRate: rate > 0 ? rate : undefined
+            });
+            this.setPlayback(new EEGPlayback(recording));
+        } catch (error) {
+            console.error(`Error loading EEG file "${file.name}":`, error);
+            this.status.textContent = error.message;
+        }
+    }
+    
+    /**
+     * Switch to another playback (null ejects the file)
+     */
+    setPlayback(playback) {
+        this.unsubscribe.forEach(unsubscribe => unsubscribe());
+        this.unsubscribe = [];
+        
+        this.playback = playback;
+        if (playback) {
+            this.unsubscribe = [
+                playback.on('update', () => this._render()),
+                playback.on('state', () => this._render())
+            ];
+        }
+        this.onChange(playback);
+        this._render();
+    }
+    
+    togglePlaying() {
+        if (!this.playback) return;
+        
+        if (this.playback.isPlaying) {
+            this.playback.pause();
+        } else {
+            if (this.playback.currentTime() >= this.playback.duration) this.playback.seek(0);
+            this.playback.play();
+        }
+        this._render();
+    }
+    
+    _build() {
+        this.container.innerHTML = '';
+        
+        const row = document.createElement('div');
+        row.className = 'option';
+        
+        const label = document.createElement('label');
+        label.textContent = 'EEG file:';
+        row.appendChild(label);
+        
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.csv,.txt,.edf';
+        this.fileInput.hidden = true;
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            if (file) this.load(file);
+            this.fileInput.value = '';
+        });
+        row.appendChild(this.fileInput);
+        
+        row.appendChild(this._button('Load…', () => this.fileInput.click()));
+        this.playButton = this._button('Play', () => this.togglePlaying());
+        row.appendChild(this.playButton);
+        this.ejectButton = this._button('Eject', () => this.setPlayback(null));
+        row.appendChild(this.ejectButton);
+        
+        this.rateInput = document.createElement('input');
+        this.rateInput.type = 'number';
+        this.rateInput.min = '1';
+        this.rateInput.placeholder = 'Hz';
+        this.rateInput.className = 'eeg-rate';
+        this.rateInput.title = 'Sample rate of CSV files without a timestamp column';
+        row.appendChild(this.rateInput);
+        this.container.appendChild(row);
+        
+        this.status = document.createElement('div');
+        this.status.className = 'eeg-status';
+        this.container.appendChild(this.status);
+    }
+    
+    _render() {
+        if (!this.container) return;
+        
+        const playback = this.playback;
+        this.playButton.disabled = !playback;
+        this.ejectButton.disabled = !playback;
+        this.playButton.textContent = playback && playback.isPlaying ? 'Pause' : 'Play';
+        
+        if (!playback) {
+            this.status.textContent = 'No EEG file loaded';
+            return;
+        }
+        
+        const { recording } = playback;
+        this.status.textContent = `${recording.name} · ${EEGPlaybackPanel._formatTime(playback.currentTime())}` +
+            ` / ${EEGPlaybackPanel._formatTime(playback.duration)}` +
+            ` · ${recording.channels.length} ch @ ${recording.sampleRate} Hz`;
+    }
+    
+    _button(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'small';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Seconds as m:ss
+     */
+    static _formatTime(seconds) {
+        const whole = Math.floor(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
+}
+
+// Export the class for use in other modules
+window.EEGPlaybackPanel = EEGPlaybackPanel;
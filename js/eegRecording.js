@@ -0,0 +1,243 @@
+/**
+ * EEGRecording - EEG channels read from a CSV export or an EDF file
+ *
+ * CSV exports differ between headsets (Muse/Mind Monitor, OpenBCI, Emotiv,
+ * ...), so columns are found by name: comment and metadata lines before the
+ * header are skipped, raw EEG columns are preferred over precomputed ones,
+ * and the sample rate comes from a timestamp column when it is not given.
+ * EDF files carry their own labels, scaling and rates; the channels that
+ * share the first EEG channel's rate are kept.
+ */
+class EEGRecording {
+    /**
+     * @param {Object} data
+     * @param {Number} data.sampleRate - Samples per second
+     * @param {Array} data.channels - [{ label, samples: Float64Array }], all the same length
+     * @param {String} data.name - File name or description
+     */
+    constructor({ sampleRate, channels, name = 'EEG recording' }) {
+        if (!(sampleRate > 0)) {
+            throw new Error('EEG recording needs a positive sample rate');
+        }
+        if (!channels || channels.length === 0 || channels[0].samples.length === 0) {
+            throw new Error('EEG recording has no samples');
+        }
+        
+        this.sampleRate = sampleRate;
+        this.channels = channels;
+        this.name = name;
+        this.length = channels[0].samples.length;
+    }
+    
+    /**
+     * Length in seconds
+     */
+    get duration() {
+        return this.length / this.sampleRate;
+    }
+    
+    get labels() {
+        return this.channels.map(channel => channel.label);
+    }
+    
+    /**
+     * Read a file by its extension: .edf is EDF, anything else CSV
+     * @param {String} name - File name
+     * @param {ArrayBuffer} buffer - File contents
+     * @param {Object} options - Passed to fromCSV()
+     */
+    static parse(name, buffer, options = {}) {
+        const recording = /\.edf$/i.test(name)
+            ? EEGRecording.fromEDF(buffer)
+            : EEGRecording.fromCSV(new TextDecoder().decode(buffer), options);
+        recording.name = name;
+        return recording;
+    }
+    
+    /**
+     * @param {String} text - CSV (comma, semicolon or tab separated)
+     * @param {Object} options
+     * @param {Number} options.sampleRate - Samples per second, if the file
+     *                                      has no timestamp column
+     * @param {Array} options.channels - Column names to use (default: found by name)
+     */
+    static fromCSV(text, options = {}) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() && !/^\s*[%#]/.test(line));
+        if (lines.length === 0) {
+            throw new Error('EEG CSV is empty');
+        }
+        
+        const delimiter = [',', ';', '\t']
+            .reduce((best, d) => (lines[0].split(d).length > lines[0].split(best).length ? d : best), ',');
+        const rows = lines.map(line => line.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, '')));
+        
+        // The header is the last row before the data that is mostly text
+        const isNumeric = cell => cell !== '' && !isNaN(Number(cell));
+        const firstData = rows.findIndex(row => row.filter(isNumeric).length > row.length / 2);
+        if (firstData < 1) {
+            throw new Error('No header row found in EEG CSV');
+        }
+        const header = rows[firstData - 1];
+        const data = rows.slice(firstData);
+        
+        const columns = options.channels
+            ? options.channels.map(name => {
+                const index = header.indexOf(name);
+                if (index < 0) throw new Error(`No column "${name}" in EEG CSV`);
+                return index;
+            })
+            : EEGRecording._eegColumns(header, data[0]);
+        if (columns.length === 0) {
+            throw new Error('No EEG channels found in CSV');
+        }
+        
+        let sampleRate = options.sampleRate;
+        if (!sampleRate) {
+            const timeColumn = header.findIndex((name, i) =>
+                EEGRecording.TIME_COLUMN.test(name) && isFinite(EEGRecording._timeValue(data[0][i])));
+            if (timeColumn < 0) {
+                throw new Error('EEG CSV has no timestamp column; give its sample rate');
+            }
+            sampleRate = EEGRecording._rateFromTimestamps(data.map(row => EEGRecording._timeValue(row[timeColumn])));
+        }
+        
+        // Gaps (e.g. rows of other sensors in between) hold the previous value
+        const channels = columns.map(column => {
+            const samples = new Float64Array(data.length);
+            let last = 0;
+            data.forEach((row, i) => {
+                const value = Number(row[column]);
+                if (row[column] !== '' && row[column] !== undefined && isFinite(value)) last = value;
+                samples[i] = last;
+            });
+            return { label: header[column], samples };
+        });
+        
+        return new EEGRecording({ sampleRate, channels });
+    }
+    
+    /**
+     * @param {ArrayBuffer} buffer - EDF or EDF+ file
+     */
+    static fromEDF(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const field = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length)).trim();
+        
+        const headerBytes = Number(field(184, 8));
+        const numRecords = Number(field(236, 8));
+        const recordDuration = Number(field(244, 8));
+        const numSignals = Number(field(252, 4));
+        if (!(numSignals > 0) || !(recordDuration > 0) || headerBytes !== 256 * (numSignals + 1)) {
+            throw new Error('Not an EDF file');
+        }
+        
+        // Per-signal header fields are stored field by field for all signals
+        let offset = 256;
+        const signalField = length => {
+            const values = [];
+            for (let s = 0; s < numSignals; s++) values.push(field(offset + s * length, length));
+            offset += numSignals * length;
+            return values;
+        };
+        const labels = signalField(16);
+        signalField(80); // transducer
+        signalField(8); // physical dimension
+        const physicalMin = signalField(8).map(Number);
+        const physicalMax = signalField(8).map(Number);
+        const digitalMin = signalField(8).map(Number);
+        const digitalMax = signalField(8).map(Number);
+        signalField(80); // prefiltering
+        const samplesPerRecord = signalField(8).map(Number);
+        
+        // A file still being written says -1 records; count what is there
+        const recordSize = samplesPerRecord.reduce((sum, n) => sum + n, 0) * 2;
+        const records = numRecords >= 0
+            ? Math.min(numRecords, Math.floor((bytes.length - headerBytes) / recordSize))
+            : Math.floor((bytes.length - headerBytes) / recordSize);
+        
+        const signals = labels
+            .map((label, s) => ({ label, s }))
+            .filter(({ label }) => !/annotations/i.test(label));
+        if (signals.length === 0 || records === 0) {
+            throw new Error('EDF file has no signal data');
+        }
+        const rateOf = s => samplesPerRecord[s] / recordDuration;
+        const rate = rateOf(signals[0].s);
+        
+        const view = new DataView(buffer, headerBytes);
+        const channels = signals.filter(({ s }) => rateOf(s) === rate).map(({ label, s }) => {
+            const scale = (physicalMax[s] - physicalMin[s]) / (digitalMax[s] - digitalMin[s]);
+            const start = samplesPerRecord.slice(0, s).reduce((sum, n) => sum + n, 0) * 2;
+            const samples = new Float64Array(records * samplesPerRecord[s]);
+            
+            for (let r = 0; r < records; r++) {
+                for (let i = 0; i < samplesPerRecord[s]; i++) {
+                    const digital = view.getInt16(r * recordSize + start + i * 2, true);
+                    samples[r * samplesPerRecord[s] + i] = (digital - digitalMin[s]) * scale + physicalMin[s];
+                }
+            }
+            return { label, samples };
+        });
+        
+        return new EEGRecording({ sampleRate: rate, channels });
+    }
+    
+    /**
+     * Numeric columns that hold EEG: raw channels if the export names them,
+     * otherwise every numeric column that is not a timestamp, counter or
+     * other sensor
+     */
+    static _eegColumns(header, firstRow) {
+        const numeric = header
+            .map((name, i) => i)
+            .filter(i => firstRow[i] !== undefined && firstRow[i] !== '' && !isNaN(Number(firstRow[i])));
+        const raw = numeric.filter(i => EEGRecording.RAW_COLUMN.test(header[i]));
+        if (raw.length > 0) return raw;
+        
+        return numeric.filter(i => !EEGRecording.OTHER_COLUMN.test(header[i]) && !EEGRecording.TIME_COLUMN.test(header[i]));
+    }
+    
+    /**
+     * A timestamp cell as a number: numbers as they are, dates (as in
+     * "2021-03-04 10:15:00.250") in seconds
+     */
+    static _timeValue(cell) {
+        if (cell === undefined || cell === '') return NaN;
+        const value = Number(cell);
+        return isNaN(value) ? Date.parse(cell) / 1000 : value;
+    }
+    
+    /**
+     * Sample rate from the typical timestamp step, in seconds or (for steps
+     * of a millisecond or more) milliseconds
+     */
+    static _rateFromTimestamps(times) {
+        const steps = [];
+        for (let i = 1; i < times.length; i++) {
+            const step = times[i] - times[i - 1];
+            if (step > 0) steps.push(step);
+        }
+        if (steps.length === 0) {
+            throw new Error('EEG CSV timestamps do not advance; give its sample rate');
+        }
+        
+        // Average the steps near the median, so rounded timestamps still give the exact rate
+        steps.sort((a, b) => a - b);
+        const median = steps[Math.floor(steps.length / 2)];
+        const typical = steps.filter(step => step > median / 2 && step < median * 1.5);
+        const mean = typical.reduce((sum, step) => sum + step, 0) / typical.length;
+        return Math.round((median >= 1 ? 1000 : 1) / mean);
+    }
+}
+
+// Column names of raw EEG in common exports (RAW_TP9, EXG Channel 0, EEG.AF3, ...)
+EEGRecording.RAW_COLUMN = /^raw|^exg|^eeg[._ ]/i;
+
+// Timestamp columns, used for the sample rate
+EEGRecording.TIME_COLUMN = /time|^t$|^ts$/i;
+
+// Numeric columns that are not EEG
+EEGRecording.OTHER_COLUMN = /index|sample|counter|marker|event|accel|gyro|aux|battery|hsi|headband|elements|interpolated|quality|cq|^(delta|theta|alpha|beta|gamma)/i;
+
+// Export the class for use in other modules
+globalThis.EEGRecording = EEGRecording;
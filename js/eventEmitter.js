@@ -0,0 +1,36 @@
+/**
+ * EventEmitter - Minimal publish/subscribe for the DOM-free cores
+ *
+ * QuantumLayer and InputSystem report changes through it instead of touching
+ * the page, so they run unchanged in Node and Web Workers; the panels
+ * subscribe as views.
+ */
+class EventEmitter {
+    constructor() {
+        this._listeners = {};
+    }
+    
+    /**
+     * @param {String} type - Event name
+     * @param {Function} listener - Called with the event's payload
+     * @returns {Function} Call to unsubscribe
+     */
+    on(type, listener) {
+        (this._listeners[type] = this._listeners[type] || []).push(listener);
+        return () => this.off(type, listener);
+    }
+    
+    off(type, listener) {
+        const listeners = this._listeners[type];
+        if (listeners) {
+            this._listeners[type] = listeners.filter(existing => existing !== listener);
+        }
+    }
+    
+    emit(type, payload) {
+        (this._listeners[type] || []).forEach(listener => listener(payload));
+    }
+}
+
+// Export the class for use in other modules
+globalThis.EventEmitter = EventEmitter;
@@ -0,0 +1,287 @@
+/**
+ * Input sessions - Recording the raw input stream and replaying it
+ *
+ * An InputSession is a JSON timeline of everything an InputSystem was told
+ * (pointer moves, key downs and ups) and everything it derived (each
+ * update's alpha/beta/jitter), in the order it happened, with the input
+ * system's state, calibration and the session seed at the start. Replaying
+ * the events through a fresh InputSystem at the recorded update times gives
+ * back exactly the recorded values, so a session is a fixture: the same
+ * input for A/B listening and regression tests.
+ */
+class InputSession {
+    /**
+     * @param {Object} data
+     * @param {Array} data.events - [{ t (ms), type, ... }] in the order recorded
+     *                              (which is the order they replay in):
+     *                              'move' { x, y }, 'keydown'/'keyup' { key },
+     *                              'update' { alpha, beta, jitter }
+     * @param {Object} data.state - InputSystem.getState() at the start (lastUpdate relative to it)
+     * @param {Object} data.calibration - InputCalibration JSON in use, or null
+     * @param {Number} data.seed - Session seed of the performance, or null
+     * @param {String} data.created - ISO date
+     * @param {String} data.name - Label (default: from the date)
+     */
+    constructor(data) {
+        this.version = InputSession.VERSION;
+        this.created = data.created || new Date().toISOString();
+        this.name = data.name || `Input ${this.created.slice(0, 19).replace('T', ' ')}`;
+        this.seed = data.seed === undefined ? null : data.seed;
+        this.calibration = data.calibration || null;
+        this.state = data.state || null;
+        this.events = data.events || [];
+    }
+    
+    /**
+     * Milliseconds from the start to the last event
+     */
+    get duration() {
+        return this.events.reduce((latest, event) => Math.max(latest, event.t), 0);
+    }
+    
+    get updateCount() {
+        return this.events.filter(event => event.type === 'update').length;
+    }
+    
+    toJSON() {
+        return {
+            version: this.version,
+            name: this.name,
+            created: this.created,
+            seed: this.seed,
+            calibration: this.calibration,
+            state: this.state,
+            events: this.events
+        };
+    }
+    
+    /**
+     * @param {Object|String} json - A saved session, parsed or as text
+     * @throws {Error} If it is not an input session this version reads
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || !Array.isArray(data.events)) {
+            throw new Error('Not an input session: no events');
+        }
+        if (data.version !== InputSession.VERSION) {
+            throw new Error(`Unsupported input session version ${data.version}`);
+        }
+        
+        data.events.forEach((event, index) => {
+            if (!isFinite(event.t) || !InputSession.EVENT_TYPES.includes(event.type)) {
+                throw new Error(`Input session event ${index} is invalid`);
+            }
+        });
+        return new InputSession(data);
+    }
+}
+
+InputSession.VERSION = 1;
+InputSession.EVENT_TYPES = ['move', 'keydown', 'keyup', 'update'];
+
+/**
+ * InputSessionRecorder - Records an InputSystem's events and updates
+ */
+class InputSessionRecorder {
+    /**
+     * @param {InputSystem} inputSystem - Input to record
+     * @param {Object} options
+     * @param {Function} options.now - Clock in ms (default Date.now); must
+     *                                 match the times passed to update()
+     */
+    constructor(inputSystem, options = {}) {
+        this.inputSystem = inputSystem;
+        this.now = options.now || (() => Date.now());
+        this.session = null;
+        this.unsubscribe = [];
+    }
+    
+    get isRecording() {
+        return this.session !== null;
+    }
+    
+    /**
+     * Milliseconds recorded so far
+     */
+    get elapsed() {
+        return this.isRecording ? this.now() - this.startTime : 0;
+    }
+    
+    /**
+     * @param {Number} seed - Session seed to store with the recording
+     */
+    start(seed = null) {
+        this.stop();
+        this.startTime = this.now();
+        
+        const state = this.inputSystem.getState();
+        if (state.lastUpdate !== null) state.lastUpdate -= this.startTime;
+        const calibration = this.inputSystem.calibration;
+        this.session = new InputSession({
+            seed,
+            state,
+            calibration: calibration ? calibration.toJSON() : null
+        });
+        
+        this.unsubscribe = [
+            this.inputSystem.on('input', event => this._add(this.now(), event)),
+            this.inputSystem.on('update', ({ alpha, beta, jitter }) => {
+                this._add(this.inputSystem.lastUpdate, { type: 'update', alpha, beta, jitter });
+            })
+        ];
+    }
+    
+    /**
+     * @returns {InputSession|null} The recording, or null if none was running
+     */
+    stop() {
+        const session = this.session;
+        this.unsubscribe.forEach(unsubscribe => unsubscribe());
+        this.unsubscribe = [];
+        this.session = null;
+        return session;
+    }
+    
+    _add(time, event) {
+        this.session.events.push({ t: time - this.startTime, ...event });
+    }
+}
+
+/**
+ * InputReplay - Feeds a session's events through its own InputSystem
+ */
+class InputReplay {
+    /**
+     * @param {InputSession} session
+     */
+    constructor(session) {
+        this.session = session;
+        this.inputSystem = new InputSystem();
+        if (session.state) this.inputSystem.setState(session.state);
+        if (session.calibration) this.inputSystem.setCalibration(new InputCalibration(session.calibration));
+        
+        this.index = 0;
+        this.data = null;
+    }
+    
+    get finished() {
+        return this.index >= this.session.events.length;
+    }
+    
+    /**
+     * Play the events up to a time, in recorded order (an update's clock can
+     * read a little earlier than an event that came before it)
+     * @param {Number} position - Milliseconds since the start
+     * @returns {Object|null} The last update's data from the input system
+     */
+    advance(position) {
+        const { events } = this.session;
+        while (this.index < events.length && events[this.index].t <= position) {
+            const event = events[this.index++];
+            if (event.type === 'move') {
+                this.inputSystem.handleMouseMove(event.x, event.y);
+            } else if (event.type === 'keydown') {
+                this.inputSystem.handleKeyDown(event.key);
+            } else if (event.type === 'keyup') {
+                this.inputSystem.handleKeyUp(event.key);
+            } else {
+                this.data = this.inputSystem.update(event.t);
+            }
+        }
+        return this.data;
+    }
+    
+    /**
+     * Replay a whole session and compare with what was recorded
+     * @returns {Object} { updates, mismatches, maxError }
+     */
+    static verify(session) {
+        const replay = new InputReplay(session);
+        let updates = 0;
+        let mismatches = 0;
+        let maxError = 0;
+        
+        replay.inputSystem.on('update', data => {
+            const recorded = session.events[replay.index - 1];
+            const error = Math.max(...InputSource.CHANNELS.map(channel => Math.abs(data[channel] - recorded[channel])));
+            updates++;
+            if (error > InputReplay.TOLERANCE) mismatches++;
+            maxError = Math.max(maxError, error);
+        });
+        replay.advance(Infinity);
+        return { updates, mismatches, maxError };
+    }
+}
+
+// Largest difference from a recorded value still counted as the same
+InputReplay.TOLERANCE = 1e-9;
+
+/**
+ * InputReplaySource - A recorded input session as an input source; it
+ * plays while the sources run and holds its last values at the end
+ */
+class InputReplaySource extends InputSource {
+    constructor() {
+        super('input-replay', { label: 'Input replay', kind: 'file' });
+        this.session = null;
+        this.duration = 0;
+        this.replay = null;
+        this.position = 0;
+        this.lastNow = null;
+    }
+    
+    get available() {
+        return this.session !== null;
+    }
+    
+    get metadata() {
+        const metadata = super.metadata;
+        if (this.session) {
+            metadata.session = this.session.name;
+            metadata.duration = this.duration;
+            metadata.position = this.position;
+        }
+        return metadata;
+    }
+    
+    /**
+     * @param {InputSession|null} session
+     */
+    setSession(session) {
+        this.session = session;
+        this.duration = session ? session.duration : 0;
+        this.restart();
+        this.emit('state', this);
+    }
+    
+    /**
+     * Back to the start of the session
+     */
+    restart() {
+        this.replay = this.session ? new InputReplay(this.session) : null;
+        this.position = 0;
+        this.lastNow = null;
+    }
+    
+    start() {
+        super.start();
+        this.lastNow = null;
+    }
+    
+    read(now) {
+        if (this.running && this.lastNow !== null) {
+            this.position += Math.max(0, now - this.lastNow);
+        }
+        this.lastNow = now;
+        
+        const data = this.replay.advance(this.position);
+        return data ? { ...data, position: this.position } : { alpha: 0, beta: 0, jitter: 0, position: this.position };
+    }
+}
+
+// Export for use in other modules
+globalThis.InputSession = InputSession;
+globalThis.InputSessionRecorder = InputSessionRecorder;
+globalThis.InputReplay = InputReplay;
+globalThis.InputReplaySource = InputReplaySource;
@@ -0,0 +1,181 @@
+/**
+ * InputRecordingPanel - Debug-panel controls for recording and replaying input
+ *
+ * Records the mouse and keyboard into an InputSession, saves it as JSON and
+ * loads one back to replay as input. A loaded session is checked first: its
+ * events must replay to the values that were recorded.
+ */
+class InputRecordingPanel {
+    /**
+     * @param {String} containerId - Element to render into
+     * @param {Object} options
+     * @param {InputSessionRecorder} options.recorder - Records the live input
+     * @param {InputReplaySource} options.replaySource - Plays sessions back
+     * @param {Function} options.getSeed - Session seed to store with a recording
+     * @param {Function} options.onReplay - Called with the session to replay,
+     *                                      or null after eject
+     */
+    constructor(containerId, options = {}) {
+        this.recorder = options.recorder;
+        this.replaySource = options.replaySource;
+        this.getSeed = options.getSeed || (() => null);
+        this.onReplay = options.onReplay || (() => {});
+        this.session = null;
+        this.message = '';
+        this.timer = null;
+        
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error(`Container element '${containerId}' not found`);
+            return;
+        }
+        
+        this._build();
+        this._render();
+        this.replaySource.on('update', () => this._render());
+    }
+    
+    toggleRecording() {
+        if (this.recorder.isRecording) {
+            this.session = this.recorder.stop();
+            clearInterval(this.timer);
+            this.timer = null;
+            this.message = `Recorded ${this._describe(this.session)}`;
+        } else {
+            this.recorder.start(this.getSeed());
+            this.timer = setInterval(() => this._render(), 250);
+        }
+        this._render();
+    }
+    
+    /**
+     * Replay a session (default: the last one recorded or loaded)
+     */
+    replay(session = this.session) {
+        if (!session) return;
+        
+        const { updates, mismatches } = InputReplay.verify(session);
+        this.message = mismatches === 0
+            ? `${updates} updates replay exactly`
+            : `${mismatches} of ${updates} updates replay differently`;
+        this.session = session;
+        this.onReplay(session);
+        this._render();
+    }
+    
+    /**
+     * Read a saved session and replay it
+     * @param {File} file - .json from save()
+     */
+    async load(file) {
+        try {
+            const session = InputSession.fromJSON(await file.text());
+            this.replay(session);
+        } catch (error) {
+            console.error(`Error loading input session "${file.name}":`, error);
+            this.message = error.message;
+            this._render();
+        }
+    }
+    
+    /**
+     * Download the last session as JSON
+     */
+    save() {
+        if (!this.session) return;
+        
+        const blob = new Blob([JSON.stringify(this.session)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.session.name.replace(/[\s:]+/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    eject() {
+        this.message = '';
+        this.onReplay(null);
+        this._render();
+    }
+    
+    _build() {
+        this.container.innerHTML = '';
+        
+        const row = document.createElement('div');
+        row.className = 'option';
+        
+        const label = document.createElement('label');
+        label.textContent = 'Input session:';
+        row.appendChild(label);
+        
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json';
+        this.fileInput.hidden = true;
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            if (file) this.load(file);
+            this.fileInput.value = '';
+        });
+        row.appendChild(this.fileInput);
+        
+        this.recordButton = this._button('Record', () => this.toggleRecording());
+        row.appendChild(this.recordButton);
+        this.replayButton = this._button('Replay', () => this.replay());
+        row.appendChild(this.replayButton);
+        this.saveButton = this._button('Save', () => this.save());
+        row.appendChild(this.saveButton);
+        row.appendChild(this._button('Load…', () => this.fileInput.click()));
+        this.ejectButton = this._button('Eject', () => this.eject());
+        row.appendChild(this.ejectButton);
+        this.container.appendChild(row);
+        
+        this.status = document.createElement('div');
+        this.status.className = 'input-recording-status';
+        this.container.appendChild(this.status);
+    }
+    
+    _render() {
+        if (!this.container) return;
+        
+        const recording = this.recorder.isRecording;
+        const replaying = this.replaySource.session;
+        this.recordButton.textContent = recording ? 'Stop' : 'Record';
+        this.replayButton.disabled = recording || !this.session;
+        this.saveButton.disabled = recording || !this.session;
+        this.ejectButton.disabled = !replaying;
+        
+        if (recording) {
+            this.status.textContent = `● Recording ${InputRecordingPanel._formatTime(this.recorder.elapsed)}` +
+                ` · ${this.recorder.session.events.length} events`;
+        } else if (replaying) {
+            this.status.textContent = `${replaying.name} · ${InputRecordingPanel._formatTime(this.replaySource.position)}` +
+                ` / ${InputRecordingPanel._formatTime(this.replaySource.duration)} · ${this.message}`;
+        } else {
+            this.status.textContent = this.message;
+        }
+    }
+    
+    _describe(session) {
+        return `${InputRecordingPanel._formatTime(session.duration)} · ${session.events.length} events`;
+    }
+    
+    _button(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'small';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Milliseconds as m:ss
+     */
+    static _formatTime(ms) {
+        const whole = Math.floor(ms / 1000);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
+}
+
+// Export the class for use in other modules
+window.InputRecordingPanel = InputRecordingPanel;
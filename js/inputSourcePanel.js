@@ -0,0 +1,112 @@
+/**
+ * InputSourcePanel - Debug-panel selector and blend weights for input sources
+ *
+ * The select uses one source alone; the sliders set each source's weight
+ * for blending (the select then shows "Blend"). Sources that cannot deliver
+ * values yet, like a file source without a file, are marked and skipped.
+ */
+class InputSourcePanel {
+    /**
+     * @param {String} containerId - Element to render into
+     * @param {Object} options
+     * @param {InputSourceRegistry} options.registry - Sources and weights to edit
+     */
+    constructor(containerId, options = {}) {
+        this.registry = options.registry;
+        this.rows = new Map();
+        
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error(`Container element '${containerId}' not found`);
+            return;
+        }
+        
+        this._build();
+        this.render();
+        this.registry.on('change', () => this.render());
+    }
+    
+    /**
+     * Show the registry's sources and weights
+     */
+    render() {
+        if (!this.container) return;
+        
+        const sources = this.registry.list();
+        if (sources.map(source => source.id).join() !== [...this.rows.keys()].join()) {
+            this._buildRows(sources);
+        }
+        
+        // Select: the only weighted source, or Blend
+        this.sourceSelect.innerHTML = '';
+        const weighted = sources.filter(source => this.registry.getWeight(source.id) > 0);
+        const options = [...sources.map(source => [source.id, this._label(source)]), ['', 'Blend']];
+        options.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            this.sourceSelect.appendChild(option);
+        });
+        this.sourceSelect.value = weighted.length === 1 ? weighted[0].id : '';
+        
+        sources.forEach(source => {
+            const { label, slider, value } = this.rows.get(source.id);
+            const weight = this.registry.getWeight(source.id);
+            label.textContent = this._label(source);
+            if (document.activeElement !== slider) slider.value = String(weight);
+            value.textContent = weight.toFixed(2);
+        });
+    }
+    
+    _build() {
+        this.container.innerHTML = '';
+        
+        const row = document.createElement('div');
+        row.className = 'option';
+        const label = document.createElement('label');
+        label.textContent = 'Source:';
+        this.sourceSelect = document.createElement('select');
+        this.sourceSelect.addEventListener('change', () => {
+            if (this.sourceSelect.value) this.registry.select(this.sourceSelect.value);
+        });
+        label.appendChild(this.sourceSelect);
+        row.appendChild(label);
+        this.container.appendChild(row);
+        
+        this.weightList = document.createElement('div');
+        this.container.appendChild(this.weightList);
+    }
+    
+    _buildRows(sources) {
+        this.weightList.innerHTML = '';
+        this.rows.clear();
+        
+        sources.forEach(source => {
+            const row = document.createElement('div');
+            row.className = 'input-source-weight';
+            
+            const label = document.createElement('span');
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = '0';
+            slider.max = '1';
+            slider.step = '0.05';
+            slider.title = `Blend weight of ${source.label}`;
+            slider.addEventListener('input', () => this.registry.setWeight(source.id, Number(slider.value)));
+            const value = document.createElement('span');
+            
+            row.appendChild(label);
+            row.appendChild(slider);
+            row.appendChild(value);
+            this.weightList.appendChild(row);
+            this.rows.set(source.id, { label, slider, value });
+        });
+    }
+    
+    _label(source) {
+        return source.available ? source.label : `${source.label} (unavailable)`;
+    }
+}
+
+// Export the class for use in other modules
+window.InputSourcePanel = InputSourcePanel;
@@ -0,0 +1,306 @@
+/**
+ * Input sources - Everything that can drive the music's alpha/beta/jitter
+ *
+ * An InputSource is started and stopped with the performance and read once
+ * per frame with update(), which returns a value 0-1 for each of
+ * InputSource.CHANNELS and emits it as 'update'. Its metadata says what it
+ * is and whether it can deliver values right now (a file source without a
+ * file cannot); a source emits 'state' when that changes. The
+ * InputSourceRegistry holds the sources with a blend weight each; its
+ * update() is the weighted mean of the available sources with a weight
+ * above 0, so sources can be swapped (one weight) or blended.
+ */
+class InputSource extends EventEmitter {
+    /**
+     * @param {String} id - Registry key
+     * @param {Object} options
+     * @param {String} options.label - Name shown in the UI
+     * @param {String} options.kind - 'interactive', 'file', 'synthetic' or 'network'
+     */
+    constructor(id, options = {}) {
+        super();
+        this.id = id;
+        this.label = options.label || id;
+        this.kind = options.kind || 'interactive';
+        this.running = false;
+    }
+    
+    /**
+     * { id, label, kind, channels, available, running }
+     */
+    get metadata() {
+        return {
+            id: this.id,
+            label: this.label,
+            kind: this.kind,
+            channels: [...InputSource.CHANNELS],
+            available: this.available,
+            running: this.running
+        };
+    }
+    
+    /**
+     * Whether update() gives real values now
+     */
+    get available() {
+        return true;
+    }
+    
+    start() {
+        this.running = true;
+    }
+    
+    stop() {
+        this.running = false;
+    }
+    
+    /**
+     * Read the current values
+     * @param {Number} now - Clock time in ms (default Date.now())
+     * @returns {Object} A 0-1 value per channel, plus any source-specific fields
+     */
+    update(now = Date.now()) {
+        const data = this.read(now);
+        this.emit('update', data);
+        return data;
+    }
+    
+    /**
+     * Values of this source; subclasses implement it
+     */
+    read() {
+        throw new Error(`Input source "${this.id}" does not implement read()`);
+    }
+}
+
+/**
+ * MouseKeyboardSource - Simulated brainwaves from an InputSystem
+ */
+class MouseKeyboardSource extends InputSource {
+    constructor(inputSystem) {
+        super('mouse-keyboard', { label: 'Mouse & keyboard', kind: 'interactive' });
+        this.inputSystem = inputSystem;
+    }
+    
+    read(now) {
+        return this.inputSystem.update(now);
+    }
+}
+
+/**
+ * EEGFileSource - A recorded EEG file; playback follows start/stop
+ */
+class EEGFileSource extends InputSource {
+    constructor() {
+        super('eeg-file', { label: 'EEG file', kind: 'file' });
+        this.playback = null;
+    }
+    
+    get available() {
+        return this.playback !== null;
+    }
+    
+    get metadata() {
+        const metadata = super.metadata;
+        if (this.playback) {
+            const { recording } = this.playback;
+            metadata.file = recording.name;
+            metadata.sampleRate = recording.sampleRate;
+            metadata.labels = recording.labels;
+        }
+        return metadata;
+    }
+    
+    /**
+     * @param {EEGPlayback|null} playback
+     */
+    setPlayback(playback) {
+        if (this.playback && this.playback !== playback) this.playback.pause();
+        this.playback = playback;
+        if (playback && this.running) playback.play();
+        this.emit('state', this);
+    }
+    
+    start() {
+        super.start();
+        if (this.playback) this.playback.play();
+    }
+    
+    stop() {
+        super.stop();
+        if (this.playback) this.playback.pause();
+    }
+    
+    read(now) {
+        return this.playback.update(now);
+    }
+}
+
+/**
+ * InputSourceRegistry - Sources by id with blend weights
+ *
+ * Emits 'update' with the blended values after every update(), and
+ * 'change' when sources, their availability or weights change.
+ */
+class InputSourceRegistry extends EventEmitter {
+    constructor() {
+        super();
+        this.sources = new Map();
+        this.weights = new Map();
+        this.unsubscribers = new Map();
+        this.running = false;
+    }
+    
+    /**
+     * @param {InputSource} source
+     * @param {Number} weight - Blend weight 0-1 (default 0)
+     */
+    register(source, weight = 0) {
+        if (this.sources.has(source.id)) {
+            throw new Error(`Input source "${source.id}" is already registered`);
+        }
+        this.sources.set(source.id, source);
+        this.weights.set(source.id, InputSourceRegistry._clampWeight(weight));
+        this.unsubscribers.set(source.id, source.on('state', () => this.emit('change', this)));
+        
+        if (this.running) this._syncRunning(source);
+        this.emit('change', this);
+        return source;
+    }
+    
+    unregister(id) {
+        const source = this.sources.get(id);
+        if (!source) return;
+        
+        if (source.running) source.stop();
+        this.unsubscribers.get(id)();
+        this.sources.delete(id);
+        this.weights.delete(id);
+        this.unsubscribers.delete(id);
+        this.emit('change', this);
+    }
+    
+    get(id) {
+        return this.sources.get(id) || null;
+    }
+    
+    /**
+     * Sources in registration order
+     */
+    list() {
+        return [...this.sources.values()];
+    }
+    
+    getWeight(id) {
+        return this.weights.get(id) || 0;
+    }
+    
+    /**
+     * Set a source's blend weight; while running, a source plays only with a weight above 0
+     */
+    setWeight(id, weight) {
+        const source = this._source(id);
+        this.weights.set(id, InputSourceRegistry._clampWeight(weight));
+        
+        if (this.running) this._syncRunning(source);
+        this.emit('change', this);
+    }
+    
+    /**
+     * Use one source alone
+     */
+    select(id) {
+        this._source(id);
+        this.sources.forEach((_, other) => this.weights.set(other, other === id ? 1 : 0));
+        
+        if (this.running) this.sources.forEach(source => this._syncRunning(source));
+        this.emit('change', this);
+    }
+    
+    /**
+     * Weights by id, e.g. for saving
+     */
+    getWeights() {
+        return Object.fromEntries(this.weights);
+    }
+    
+    /**
+     * Apply saved weights; unknown ids are ignored
+     */
+    setWeights(weights) {
+        Object.entries(weights || {}).forEach(([id, weight]) => {
+            if (this.sources.has(id)) this.setWeight(id, weight);
+        });
+    }
+    
+    start() {
+        this.running = true;
+        this.sources.forEach(source => this._syncRunning(source));
+    }
+    
+    stop() {
+        this.running = false;
+        this.sources.forEach(source => {
+            if (source.running) source.stop();
+        });
+    }
+    
+    /**
+     * Read every weighted, available source and blend them
+     * @returns {Object} The weighted mean per channel, plus sources: the
+     *                   values read from each source by id
+     */
+    update(now = Date.now()) {
+        const blended = {};
+        InputSource.CHANNELS.forEach(channel => { blended[channel] = 0; });
+        const sources = {};
+        let total = 0;
+        
+        this.sources.forEach((source, id) => {
+            const weight = this.weights.get(id);
+            if (weight <= 0 || !source.available) return;
+            
+            const data = source.update(now);
+            sources[id] = data;
+            total += weight;
+            InputSource.CHANNELS.forEach(channel => {
+                blended[channel] += weight * (data[channel] || 0);
+            });
+        });
+        
+        if (total > 0) {
+            InputSource.CHANNELS.forEach(channel => { blended[channel] /= total; });
+        }
+        
+        const data = { ...blended, sources };
+        this.emit('update', data);
+        return data;
+    }
+    
+    _source(id) {
+        const source = this.sources.get(id);
+        if (!source) {
+            throw new Error(`Unknown input source "${id}"`);
+        }
+        return source;
+    }
+    
+    _syncRunning(source) {
+        const wanted = this.running && this.getWeight(source.id) > 0;
+        if (wanted && !source.running) source.start();
+        if (!wanted && source.running) source.stop();
+    }
+    
+    static _clampWeight(weight) {
+        return Math.max(0, Math.min(1, Number(weight) || 0));
+    }
+}
+
+// Values every source delivers, each 0-1
+InputSource.CHANNELS = ['alpha', 'beta', 'jitter'];
+
+// Export for use in other modules
+globalThis.InputSource = InputSource;
+globalThis.MouseKeyboardSource = MouseKeyboardSource;
+globalThis.EEGFileSource = EEGFileSource;
+globalThis.InputSourceRegistry = InputSourceRegistry;
@@ -1,8 +1,22 @@
 /**
  * InputSystem - Tracks user interactions and converts them into simulated brainwave data
+ *
+ * The core knows nothing about the page: pointer and key activity arrive
+ * through handleMouseMove/handleKeyDown/handleKeyUp (InputSystemView wires
+ * them to the document), each of which is emitted as 'input' ({ type:
+ * 'move', x, y } or { type: 'keydown'/'keyup', key }), and every update()
+ * is emitted as 'update'. getState()/setState() snapshot everything update()
+ * depends on, so a recording of the events replays to the same values.
+ *
+ * Besides the channels, update() reports raw measures (InputSystem.MEASURES)
+ * that do not depend on the frame rate. Without a calibration the channels
+ * come from fixed scales; with one (see InputCalibration) the measures are
+ * normalized to the user's own resting and active ranges instead.
  */
-class InputSystem {
+class InputSystem extends EventEmitter {
     constructor() {
+        super();
+        
         // Input tracking variables
         this.mouseX = 0;
         this.mouseY = 0;
@@ -10,59 +24,117 @@ class InputSystem {
         this.prevMouseY = 0;
         this.mouseVelocity = 0;
         this.mouseDirection = 0;
+        this.prevMouseDirection = 0;
         this.keysPressed = new Set();
         this.keyActivityLevel = 0;
         this.keyActivityDecay = 0.95; // Decay rate for key activity
+        
+        // Raw measures, per second rather than per frame
+        this.lastUpdate = null;
+        this.speed = 0;
+        this.keyRate = 0;
+        this.keyPresses = 0;
+        this.calibration = null;
 
         // Simulated brainwave values
         this.alphaValue = 0; // 0.0 - 1.0 (based on mouse movement)
         this.betaValue = 0;  // 0.0 - 1.0 (based on keyboard activity)
-        
-        // UI elements
-        this.alphaMeter = document.getElementById('alpha-meter').querySelector('.meter-value');
-        this.betaMeter = document.getElementById('beta-meter').querySelector('.meter-value');
-        this.alphaValueText = document.getElementById('alpha-value');
-        this.betaValueText = document.getElementById('beta-value');
-
-        // Bind event handlers
-        this._bindEvents();
-    }
-
-    _bindEvents() {
-        // Mouse movement tracking
-        document.addEventListener('mousemove', this._handleMouseMove.bind(this));
-        
-        // Keyboard tracking
-        document.addEventListener('keydown', this._handleKeyDown.bind(this));
-        document.addEventListener('keyup', this._handleKeyUp.bind(this));
+        this.jitterValue = 0; // 0.0 - 1.0 (based on erratic mouse direction changes)
     }
 
-    _handleMouseMove(event) {
-        this.mouseX = event.clientX;
-        this.mouseY = event.clientY;
+    /**
+     * @param {Number} x - Pointer position in pixels
+     * @param {Number} y
+     */
+    handleMouseMove(x, y) {
+        this.emit('input', { type: 'move', x, y });
+        this.mouseX = x;
+        this.mouseY = y;
     }
 
-    _handleKeyDown(event) {
+    /**
+     * @param {String} key - KeyboardEvent.key of the pressed key
+     */
+    handleKeyDown(key) {
+        this.emit('input', { type: 'keydown', key });
+        
         // Ignore keys like Shift, Ctrl, etc.
-        if (event.key.length === 1) {
-            this.keysPressed.add(event.key);
+        if (key.length === 1) {
+            this.keysPressed.add(key);
             this.keyActivityLevel = Math.min(1.0, this.keyActivityLevel + 0.2);
+            this.keyPresses++;
         }
-    }    _handleKeyUp(event) {
-        if (this.keysPressed.has(event.key)) {
-            this.keysPressed.delete(event.key);
+    }
+
+    handleKeyUp(key) {
+        this.emit('input', { type: 'keyup', key });
+        if (this.keysPressed.has(key)) {
+            this.keysPressed.delete(key);
         }
     }
     
-    update() {
+    /**
+     * Everything update() carries over from earlier updates and events
+     * (not the calibration), as plain JSON
+     */
+    getState() {
+        return {
+            mouseX: this.mouseX,
+            mouseY: this.mouseY,
+            prevMouseX: this.prevMouseX,
+            prevMouseY: this.prevMouseY,
+            mouseVelocity: this.mouseVelocity,
+            mouseDirection: this.mouseDirection,
+            prevMouseDirection: this.prevMouseDirection,
+            keysPressed: [...this.keysPressed],
+            keyActivityLevel: this.keyActivityLevel,
+            lastUpdate: this.lastUpdate,
+            speed: this.speed,
+            keyRate: this.keyRate,
+            keyPresses: this.keyPresses,
+            alphaValue: this.alphaValue,
+            betaValue: this.betaValue,
+            jitterValue: this.jitterValue
+        };
+    }
+    
+    /**
+     * Continue from a getState() snapshot
+     */
+    setState(state) {
+        Object.keys(this.getState()).forEach(name => {
+            if (state[name] !== undefined) this[name] = state[name];
+        });
+        this.keysPressed = new Set(state.keysPressed || []);
+    }
+    
+    /**
+     * Normalize measures with a user's calibration (null for the fixed scales)
+     * @param {InputCalibration|null} calibration
+     */
+    setCalibration(calibration) {
+        this.calibration = calibration;
+    }
+    
+    /**
+     * @param {Number} now - Clock time in ms, for the raw measures (default Date.now())
+     */
+    update(now = Date.now()) {
         // Calculate mouse velocity
         const dx = this.mouseX - this.prevMouseX;
         const dy = this.mouseY - this.prevMouseY;
         this.mouseVelocity = Math.sqrt(dx * dx + dy * dy);
+        const measures = this._measure(now);
         
         // Calculate direction (if moving)
+        let turn = 0;
         if (this.mouseVelocity > 0.1) {
             this.mouseDirection = Math.atan2(dy, dx);
+            
+            // Sharpness of the turn since the last frame, 0 (straight) to 1 (reversal)
+            const delta = Math.abs(this.mouseDirection - this.prevMouseDirection);
+            turn = Math.min(delta, 2 * Math.PI - delta) / Math.PI;
+            this.prevMouseDirection = this.mouseDirection;
         }
 
         // Update previous mouse position
@@ -71,7 +143,9 @@ class InputSystem {
 
         // Apply mouse velocity to alpha waves (with enhanced sensitivity)
         // Higher velocity = higher frequency simulation (more pronounced alpha waves)
-        const normalizedVelocity = Math.min(1.0, this.mouseVelocity / 20); // Increased sensitivity
+        const normalizedVelocity = this.calibration
+            ? this.calibration.normalize('speed', measures.speed)
+            : Math.min(1.0, this.mouseVelocity / 20); // Increased sensitivity
         
         // Apply frequency-focused weighting (exponential curve gives more dynamic range)
         const frequencyFactor = Math.pow(normalizedVelocity, 1.5);
@@ -81,31 +155,52 @@ class InputSystem {
         this.keyActivityLevel *= this.keyActivityDecay;
         
         // The more keys pressed simultaneously, the more complex the rhythm
-        const complexityFactor = Math.min(1.0, this.keysPressed.size / 5) * 0.5;
-        const activityFactor = this.keyActivityLevel * 0.5;
+        const complexityFactor = (this.calibration
+            ? this.calibration.normalize('keys', measures.keys)
+            : Math.min(1.0, this.keysPressed.size / 5)) * 0.5;
+        const activityFactor = (this.calibration
+            ? this.calibration.normalize('keyRate', measures.keyRate)
+            : this.keyActivityLevel) * 0.5;
         
         // Combine both factors for beta value (rhythm complexity)
         this.betaValue = this.betaValue * 0.7 + (complexityFactor + activityFactor) * 0.3;
+        
+        // Sharp turns at speed read as erratic movement (jitter)
+        const erraticFactor = turn * Math.min(1.0, normalizedVelocity * 2);
+        this.jitterValue = this.jitterValue * 0.9 + erraticFactor * 0.1;
 
-        // Update UI meters
-        this._updateMeters();
-
-        return {
+        const data = {
             alpha: this.alphaValue,
             beta: this.betaValue,
+            jitter: this.jitterValue,
             mouseDirection: this.mouseDirection,
-            keysActive: this.keysPressed.size
+            keysActive: this.keysPressed.size,
+            measures
         };
+
+        // Views (e.g. the input meters) follow along
+        this.emit('update', data);
+
+        return data;
     }
 
-    _updateMeters() {
-        // Update the visual meters
-        this.alphaMeter.style.width = `${this.alphaValue * 100}%`;
-        this.betaMeter.style.width = `${this.betaValue * 100}%`;
+    /**
+     * Pointer speed (px/s), keys held and keystrokes per second, the
+     * keystroke rate averaged over KEY_RATE_WINDOW seconds
+     */
+    _measure(now) {
+        const elapsed = this.lastUpdate === null ? 0 : (now - this.lastUpdate) / 1000;
+        this.lastUpdate = now;
+        
+        // Two updates within a millisecond keep the previous speed
+        if (elapsed > 0) {
+            this.speed = this.mouseVelocity / elapsed;
+            this.keyRate *= Math.exp(-elapsed / InputSystem.KEY_RATE_WINDOW);
+        }
+        this.keyRate += this.keyPresses / InputSystem.KEY_RATE_WINDOW;
+        this.keyPresses = 0;
         
-        // Update text values (formatted to 2 decimal places)
-        this.alphaValueText.textContent = this.alphaValue.toFixed(2);
-        this.betaValueText.textContent = this.betaValue.toFixed(2);
+        return { speed: this.speed, keys: this.keysPressed.size, keyRate: this.keyRate };
     }
 
     // Public getter methods
@@ -116,7 +211,17 @@ class InputSystem {
     getBetaWaves() {
         return this.betaValue;
     }
+    
+    getJitter() {
+        return this.jitterValue;
+    }
 }
 
+// Raw measures reported by update() and calibrated per user
+InputSystem.MEASURES = ['speed', 'keys', 'keyRate'];
+
+// Seconds the keystroke rate is averaged over
+InputSystem.KEY_RATE_WINDOW = 2;
+
 // Export the class for use in other modules
-window.InputSystem = InputSystem;
\ No newline at end of file
+globalThis.InputSystem = InputSystem;
\ No newline at end of file
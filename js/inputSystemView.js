@@ -0,0 +1,60 @@
+/**
+ * InputSystemView - Connects an InputSystem to the page
+ *
+ * Forwards mouse and key events from the document to the input system and
+ * draws alpha/beta on the Input Meters after every update of the input
+ * system, or of another source of the values such as an InputSourceRegistry.
+ */
+class InputSystemView {
+    /**
+     * @param {InputSystem} inputSystem - Core to feed and follow
+     * @param {Object} options
+     * @param {EventTarget} options.target - Where pointer/key events are read (default: document)
+     * @param {EventEmitter} options.source - Whose 'update' the meters show (default: the input system)
+     */
+    constructor(inputSystem, options = {}) {
+        this.inputSystem = inputSystem;
+        this.target = options.target || document;
+        
+        // Meter elements (any that are missing are skipped)
+        const alphaMeter = document.getElementById('alpha-meter');
+        const betaMeter = document.getElementById('beta-meter');
+        this.alphaMeter = alphaMeter && alphaMeter.querySelector('.meter-value');
+        this.betaMeter = betaMeter && betaMeter.querySelector('.meter-value');
+        this.alphaValueText = document.getElementById('alpha-value');
+        this.betaValueText = document.getElementById('beta-value');
+        
+        this._handlers = {
+            mousemove: event => this.inputSystem.handleMouseMove(event.clientX, event.clientY),
+            keydown: event => this.inputSystem.handleKeyDown(event.key),
+            keyup: event => this.inputSystem.handleKeyUp(event.key)
+        };
+        Object.entries(this._handlers).forEach(([type, handler]) => this.target.addEventListener(type, handler));
+        
+        this.unsubscribe = (options.source || inputSystem).on('update', data => this.render(data));
+    }
+    
+    /**
+     * Update the meters
+     * @param {Object} data - { alpha, beta } from InputSystem.update()
+     */
+    render({ alpha, beta }) {
+        if (this.alphaMeter) this.alphaMeter.style.width = `${alpha * 100}%`;
+        if (this.betaMeter) this.betaMeter.style.width = `${beta * 100}%`;
+        
+        // Text values formatted to 2 decimal places
+        if (this.alphaValueText) this.alphaValueText.textContent = alpha.toFixed(2);
+        if (this.betaValueText) this.betaValueText.textContent = beta.toFixed(2);
+    }
+    
+    /**
+     * Stop forwarding events and drawing
+     */
+    detach() {
+        Object.entries(this._handlers).forEach(([type, handler]) => this.target.removeEventListener(type, handler));
+        this.unsubscribe();
+    }
+}
+
+// Export the class for use in other modules
+window.InputSystemView = InputSystemView;
@@ -0,0 +1,277 @@
+/**
+ * MeasurementStats - Measurement counts per basis state and input regime
+ *
+ * Every shot records the outcome together with the distribution it was drawn
+ * from, so each regime keeps both the observed counts and the expected
+ * counts (the sum of the theoretical probabilities over its shots). Their
+ * chi-square distance tells whether the sampler follows the simulated state.
+ */
+class MeasurementStats {
+    /**
+     * @param {Number} dimension - Number of basis states (2^n)
+     */
+    constructor(dimension) {
+        this.dimension = dimension;
+        this.regimes = {};
+    }
+    
+    /**
+     * Count one shot
+     * @param {String} regime - Input regime key, see MeasurementStats.regimeFor()
+     * @param {Number} index - Measured basis state
+     * @param {Array} probabilities - Distribution the shot was drawn from
+     */
+    record(regime, index, probabilities) {
+        if (!this.regimes[regime]) {
+            this.regimes[regime] = {
+                shots: 0,
+                observed: new Array(this.dimension).fill(0),
+                expected: new Array(this.dimension).fill(0)
+            };
+        }
+        
+        const entry = this.regimes[regime];
+        entry.shots++;
+        entry.observed[index]++;
+        for (let i = 0; i < this.dimension; i++) {
+            entry.expected[i] += probabilities[i];
+        }
+    }
+    
+    /**
+     * Forget all counts; a new dimension starts a new basis
+     */
+    reset(dimension = this.dimension) {
+        this.dimension = dimension;
+        this.regimes = {};
+    }
+    
+    /**
+     * Regimes with at least one shot, in MeasurementStats.REGIMES order
+     */
+    get regimeKeys() {
+        return MeasurementStats.REGIMES.filter(key => this.regimes[key]);
+    }
+    
+    /**
+     * Counts of one regime, or of all regimes together
+     * @param {String} regime - Regime key, or 'all'
+     * @returns {Object} { shots, observed, expected }
+     */
+    get(regime = 'all') {
+        if (regime !== 'all') {
+            return this.regimes[regime] || this._empty();
+        }
+        
+        return Object.values(this.regimes).reduce((total, entry) => {
+            total.shots += entry.shots;
+            entry.observed.forEach((count, i) => { total.observed[i] += count; });
+            entry.expected.forEach((count, i) => { total.expected[i] += count; });
+            return total;
+        }, this._empty());
+    }
+    
+    /**
+     * Pearson chi-square test of the observed counts against the expected ones.
+     * States the theory rules out count as an infinite deviation if they
+     * were observed, and are left out otherwise
+     * @param {String} regime - Regime key, or 'all'
+     * @returns {Object} { statistic, degreesOfFreedom, pValue }; pValue is
+     *                   null while there is nothing to test
+     */
+    chiSquare(regime = 'all') {
+        const { observed, expected } = this.get(regime);
+        let statistic = 0;
+        let bins = 0;
+        
+        for (let i = 0; i < this.dimension; i++) {
+            if (expected[i] > MeasurementStats.EPSILON) {
+                statistic += (observed[i] - expected[i]) ** 2 / expected[i];
+                bins++;
+            } else if (observed[i] > 0) {
+                statistic = Infinity;
+            }
+        }
+        
+        const degreesOfFreedom = Math.max(0, bins - 1);
+        let pValue = null;
+        if (statistic === Infinity) {
+            pValue = 0;
+        } else if (degreesOfFreedom > 0) {
+            pValue = MeasurementStats.chiSquareSurvival(statistic, degreesOfFreedom);
+        }
+        
+        return { statistic, degreesOfFreedom, pValue };
+    }
+    
+    /**
+     * One row per regime and basis state:
+     * regime, state, shots, observed, expected, observed_frequency,
+     * theory_probability, chi_square, degrees_of_freedom, p_value
+     * @param {Function} formatState - Basis state index to label (default: the index)
+     */
+    toCSV(formatState = index => String(index)) {
+        const lines = ['regime,state,shots,observed,expected,observed_frequency,theory_probability,chi_square,degrees_of_freedom,p_value'];
+        
+        this.regimeKeys.forEach(regime => {
+            const { shots, observed, expected } = this.regimes[regime];
+            const { statistic, degreesOfFreedom, pValue } = this.chiSquare(regime);
+            
+            for (let i = 0; i < this.dimension; i++) {
+                lines.push([
+                    regime,
+                    formatState(i),
+                    shots,
+                    observed[i],
+                    +expected[i].toFixed(4),
+                    +(observed[i] / shots).toFixed(6),
+                    +(expected[i] / shots).toFixed(6),
+                    +statistic.toFixed(4),
+                    degreesOfFreedom,
+                    pValue === null ? '' : +pValue.toFixed(6)
+                ].join(','));
+            }
+        });
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    /**
+     * One regime's counts as typed arrays, ready to be transferred
+     */
+    exportRegime(regime) {
+        const { shots, observed, expected } = this.get(regime);
+        return {
+            shots,
+            observed: Float64Array.from(observed),
+            expected: Float64Array.from(expected)
+        };
+    }
+    
+    /**
+     * Replace one regime's counts with exported ones; counts for another
+     * dimension (sent before a resize) are ignored
+     */
+    importRegime(regime, entry) {
+        if (entry.observed.length !== this.dimension) return;
+        
+        this.regimes[regime] = {
+            shots: entry.shots,
+            observed: Array.from(entry.observed),
+            expected: Array.from(entry.expected)
+        };
+    }
+    
+    /**
+     * Every regime as typed arrays: { dimension, regimes: { key: entry } }
+     */
+    toTransferable() {
+        const regimes = {};
+        this.regimeKeys.forEach(regime => { regimes[regime] = this.exportRegime(regime); });
+        return { dimension: this.dimension, regimes };
+    }
+    
+    /**
+     * Replace all counts with toTransferable() output
+     */
+    loadTransferable({ dimension, regimes }) {
+        if (dimension !== this.dimension) return;
+        
+        this.regimes = {};
+        Object.entries(regimes).forEach(([regime, entry]) => this.importRegime(regime, entry));
+    }
+    
+    _empty() {
+        return {
+            shots: 0,
+            observed: new Array(this.dimension).fill(0),
+            expected: new Array(this.dimension).fill(0)
+        };
+    }
+    
+    /**
+     * Input regime of an alpha/beta pair, e.g. 'alpha-high/beta-low'
+     */
+    static regimeFor(alpha, beta) {
+        const level = value => {
+            const bin = Math.min(MeasurementStats.LEVELS.length - 1, Math.floor(value * MeasurementStats.LEVELS.length));
+            return MeasurementStats.LEVELS[Math.max(0, bin)];
+        };
+        return `alpha-${level(alpha)}/beta-${level(beta)}`;
+    }
+    
+    /**
+     * P(X ≥ x) for a chi-square variable with k degrees of freedom
+     */
+    static chiSquareSurvival(x, k) {
+        if (x <= 0) return 1;
+        return MeasurementStats._gammaQ(k / 2, x / 2);
+    }
+    
+    /**
+     * Regularized upper incomplete gamma function Q(a, x): series below
+     * a + 1, Lentz continued fraction above
+     */
+    static _gammaQ(a, x) {
+        const logPrefix = a * Math.log(x) - x - MeasurementStats._logGamma(a);
+        
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 500; n++) {
+                term *= x / (a + n);
+                sum += term;
+                if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+            }
+            return Math.max(0, 1 - sum * Math.exp(logPrefix));
+        }
+        
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let n = 1; n < 500; n++) {
+            const an = -n * (n - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-15) break;
+        }
+        return Math.exp(logPrefix) * h;
+    }
+    
+    /**
+     * ln Γ(x) (Lanczos approximation)
+     */
+    static _logGamma(x) {
+        const coefficients = [
+            76.18009172947146, -86.50532032941677, 24.01409824083091,
+            -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+        ];
+        let y = x;
+        const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+        let series = 1.000000000190015;
+        coefficients.forEach(coefficient => { series += coefficient / ++y; });
+        return -tmp + Math.log(2.5066282746310005 * series / x);
+    }
+}
+
+// Alpha and beta are each split into these levels (equal thirds of 0-1)
+MeasurementStats.LEVELS = ['low', 'mid', 'high'];
+
+// Every regime key, alpha-major
+MeasurementStats.REGIMES = MeasurementStats.LEVELS.flatMap(alpha =>
+    MeasurementStats.LEVELS.map(beta => `alpha-${alpha}/beta-${beta}`)
+);
+
+// Expected counts below this are treated as impossible outcomes
+MeasurementStats.EPSILON = 1e-9;
+
+// Export the class for use in other modules
+globalThis.MeasurementStats = MeasurementStats;
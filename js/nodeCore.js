@@ -0,0 +1,83 @@
+/**
+ * nodeCore - Loads the DOM-free cores into Node
+ *
+ *     const { QuantumLayer, InputSystem } = require('./js/nodeCore');
+ *
+ * The core files are plain scripts sharing one global scope, as they are
+ * under <script> tags or importScripts() in a worker, so they are evaluated
+ * in order in this process's global context rather than required.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Dependency order, as in index.html
+const CORE_SCRIPTS = [
+    'random.js',
+    'complex.js',
+    'eventEmitter.js',
+    'inputSystem.js',
+    'calibration.js',
+    'quantumCircuit.js',
+    'quantumBackends.js',
+    'quantumMetrics.js',
+    'rhythmMapping.js',
+    'measurementStats.js',
+    'quantumLayer.js',
+    'quantumWalk.js',
+    'chordProgression.js',
+    'eegRecording.js',
+    'eegPlayback.js',
+    'inputSources.js',
+    'oscSource.js',
+    'syntheticSource.js',
+    'inputRecording.js',
+    'variationalTrainer.js'
+];
+
+// Globals the core scripts define
+const CORE_EXPORTS = [
+    'SeededRandom',
+    'RandomService',
+    'Complex',
+    'EventEmitter',
+    'InputSystem',
+    'InputCalibration',
+    'CalibrationRecorder',
+    'ParameterExpression',
+    'QuantumCircuit',
+    'StateVectorBackend',
+    'DensityMatrixBackend',
+    'QuantumBackends',
+    'NoiseChannels',
+    'QuantumMetrics',
+    'RhythmMapping',
+    'MeasurementStats',
+    'QuantumLayer',
+    'QuantumWalkMelody',
+    'QuantumChordProgression',
+    'EEGRecording',
+    'EEGPlayback',
+    'InputSource',
+    'MouseKeyboardSource',
+    'EEGFileSource',
+    'InputSourceRegistry',
+    'OSCSource',
+    'PinkNoise',
+    'SyntheticBrainwaveSource',
+    'InputSession',
+    'InputSessionRecorder',
+    'InputReplay',
+    'InputReplaySource',
+    'VariationalTrainer'
+];
+
+if (!globalThis.QuantumLayer) {
+    CORE_SCRIPTS.forEach(file => {
+        const filename = path.join(__dirname, file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    });
+}
+
+module.exports = Object.fromEntries(CORE_EXPORTS.map(name => [name, globalThis[name]]));
+module.exports.CORE_SCRIPTS = CORE_SCRIPTS;
@@ -0,0 +1,199 @@
+/**
+ * OSCSource - Live biosensor input from OSC messages relayed by
+ * bridge/oscBridge.js over a WebSocket
+ *
+ * A mapping routes OSC addresses onto channels: each entry takes one
+ * argument (or the mean of all of them, e.g. the four sensors of a Muse
+ * band-power message) and maps its min-max range onto 0-1. alpha, beta and
+ * jitter blend with the other sources; any other channel name is passed
+ * along as an additional channel. Channels keep their last value between
+ * messages. A dropped connection is retried while connect() is in effect.
+ * Emits 'state' when the connection or availability changes and 'message'
+ * for every message received.
+ */
+class OSCSource extends InputSource {
+    /**
+     * @param {Object} options
+     * @param {String} options.url - Bridge WebSocket URL (default OSCSource.DEFAULT_URL)
+     * @param {Array} options.mapping - [{ channel, address, arg, min, max }]
+     *                                  (default OSCSource.DEFAULT_MAPPING); arg
+     *                                  is an argument index or 'mean'
+     * @param {Function} options.WebSocket - WebSocket constructor (default: the global one)
+     */
+    constructor(options = {}) {
+        super('osc', { label: 'OSC stream', kind: 'network' });
+        this.url = options.url || OSCSource.DEFAULT_URL;
+        this.WebSocket = options.WebSocket || globalThis.WebSocket;
+        
+        this.socket = null;
+        this.connected = false;
+        this.wanted = false;
+        this.retryTimer = null;
+        this.messageCount = 0;
+        this.lastMessage = null;
+        this.values = {};
+        
+        this.setMapping(options.mapping || OSCSource.DEFAULT_MAPPING);
+    }
+    
+    get available() {
+        return this.connected && Object.keys(this.values).length > 0;
+    }
+    
+    /**
+     * Every channel the mapping feeds, the blended ones first
+     */
+    get channels() {
+        const mapped = this.mapping.map(entry => entry.channel);
+        return [...new Set([...InputSource.CHANNELS, ...mapped])];
+    }
+    
+    get metadata() {
+        return {
+            ...super.metadata,
+            channels: this.channels,
+            url: this.url,
+            connected: this.connected,
+            messageCount: this.messageCount
+        };
+    }
+    
+    /**
+     * Replace the address mapping; channel values start over
+     * @throws {Error} If an entry is incomplete
+     */
+    setMapping(mapping) {
+        const entries = mapping.map(entry => {
+            const arg = entry.arg === undefined || entry.arg === 'mean' ? 'mean' : Number(entry.arg);
+            const normalized = {
+                channel: String(entry.channel || '').trim(),
+                address: String(entry.address || '').trim(),
+                arg,
+                min: entry.min === undefined ? 0 : Number(entry.min),
+                max: entry.max === undefined ? 1 : Number(entry.max)
+            };
+            if (!normalized.channel) {
+                throw new Error('OSC mapping entry needs a channel');
+            }
+            if (!normalized.address.startsWith('/')) {
+                throw new Error(`OSC address "${normalized.address}" must start with /`);
+            }
+            if (arg !== 'mean' && !(Number.isInteger(arg) && arg >= 0)) {
+                throw new Error(`OSC argument "${entry.arg}" must be an index or "mean"`);
+            }
+            if (!isFinite(normalized.min) || !isFinite(normalized.max) || normalized.min === normalized.max) {
+                throw new Error(`OSC range of "${normalized.channel}" needs two different numbers`);
+            }
+            return normalized;
+        });
+        
+        const wasAvailable = this.available;
+        this.mapping = entries;
+        this.values = {};
+        if (wasAvailable) this.emit('state', this);
+    }
+    
+    /**
+     * Connect to the bridge (and keep reconnecting until disconnect())
+     */
+    connect(url = this.url) {
+        this.disconnect();
+        this.url = url;
+        this.wanted = true;
+        this._open();
+    }
+    
+    disconnect() {
+        this.wanted = false;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.onclose = null;
+            socket.close();
+        }
+        if (this.connected) {
+            this.connected = false;
+            this.emit('state', this);
+        }
+    }
+    
+    /**
+     * Take one relayed message: { address, args }
+     */
+    receive({ address, args = [] }) {
+        const wasAvailable = this.available;
+        this.messageCount++;
+        this.lastMessage = { address, args };
+        
+        this.mapping.forEach(entry => {
+            if (entry.address !== address) return;
+            
+            const numbers = args.map(Number).filter(isFinite);
+            const value = entry.arg === 'mean'
+                ? numbers.reduce((sum, n) => sum + n, 0) / numbers.length
+                : Number(args[entry.arg]);
+            if (!isFinite(value)) return;
+            
+            const scaled = (value - entry.min) / (entry.max - entry.min);
+            this.values[entry.channel] = Math.max(0, Math.min(1, scaled));
+        });
+        
+        this.emit('message', this.lastMessage);
+        if (this.available !== wasAvailable) this.emit('state', this);
+    }
+    
+    read() {
+        const data = {};
+        this.channels.forEach(channel => { data[channel] = this.values[channel] || 0; });
+        return data;
+    }
+    
+    _open() {
+        if (!this.WebSocket) {
+            throw new Error('WebSockets are not available here');
+        }
+        
+        const socket = new this.WebSocket(this.url);
+        this.socket = socket;
+        socket.onopen = () => {
+            this.connected = true;
+            this.emit('state', this);
+        };
+        socket.onmessage = event => {
+            try {
+                this.receive(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('Ignoring malformed OSC relay message:', error);
+            }
+        };
+        socket.onclose = () => {
+            this.socket = null;
+            const wasConnected = this.connected;
+            this.connected = false;
+            if (wasConnected) this.emit('state', this);
+            
+            if (this.wanted) {
+                this.retryTimer = setTimeout(() => this._open(), OSCSource.RETRY_DELAY);
+            }
+        };
+    }
+}
+
+// Where oscBridge.js listens by default
+OSCSource.DEFAULT_URL = 'ws://127.0.0.1:8080';
+
+// Milliseconds between reconnection attempts
+OSCSource.RETRY_DELAY = 2000;
+
+// Muse band powers (Bels, averaged over the four sensors)
+OSCSource.DEFAULT_MAPPING = [
+    { channel: 'alpha', address: '/muse/elements/alpha_absolute', arg: 'mean', min: 0, max: 1.5 },
+    { channel: 'beta', address: '/muse/elements/beta_absolute', arg: 'mean', min: 0, max: 1.5 },
+    { channel: 'theta', address: '/muse/elements/theta_absolute', arg: 'mean', min: 0, max: 1.5 }
+];
+
+// Export the class for use in other modules
+globalThis.OSCSource = OSCSource;
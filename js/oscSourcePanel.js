@@ -0,0 +1,196 @@
+/**
+ * OSCSourcePanel - Debug-panel controls for the live OSC input source
+ *
+ * Connects an OSCSource to the bridge (bridge/oscBridge.js) and edits its
+ * address mapping: one row per channel with the OSC address, the argument
+ * used (an index or the mean) and the raw range mapped onto 0-1.
+ */
+class OSCSourcePanel {
+    /**
+     * @param {String} containerId - Element to render into
+     * @param {Object} options
+     * @param {OSCSource} options.source - Source to control
+     * @param {Function} options.onChange - Called with { url, mapping } after
+     *                                      either is changed, for saving
+     */
+    constructor(containerId, options = {}) {
+        this.source = options.source;
+        this.onChange = options.onChange || (() => {});
+        this.error = null;
+        this.renderTimer = null;
+        
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error(`Container element '${containerId}' not found`);
+            return;
+        }
+        
+        this._build();
+        this._renderMapping();
+        this._renderStatus();
+        this.source.on('state', () => this._renderStatus());
+        this.source.on('message', () => this._scheduleStatus());
+    }
+    
+    toggleConnection() {
+        if (this.source.wanted) {
+            this.source.disconnect();
+        } else {
+            this.error = null;
+            try {
+                this.source.connect(this.urlInput.value.trim() || OSCSource.DEFAULT_URL);
+            } catch (error) {
+                this.error = error.message;
+            }
+            this._save();
+        }
+        this._renderStatus();
+    }
+    
+    /**
+     * Read the mapping rows back into the source
+     */
+    applyMapping() {
+        const mapping = this.rows.map(row => ({
+            channel: row.channel.value,
+            address: row.address.value,
+            arg: row.arg.value === 'mean' ? 'mean' : Number(row.arg.value),
+            min: Number(row.min.value),
+            max: Number(row.max.value)
+        }));
+        
+        try {
+            this.source.setMapping(mapping);
+            this.error = null;
+            this._save();
+        } catch (error) {
+            this.error = error.message;
+        }
+        this._renderStatus();
+    }
+    
+    _save() {
+        this.onChange({ url: this.source.url, mapping: this.source.mapping });
+    }
+    
+    _build() {
+        this.container.innerHTML = '';
+        
+        const row = document.createElement('div');
+        row.className = 'option';
+        
+        const label = document.createElement('label');
+        label.textContent = 'OSC bridge:';
+        row.appendChild(label);
+        
+        this.urlInput = document.createElement('input');
+        this.urlInput.type = 'text';
+        this.urlInput.className = 'osc-url';
+        this.urlInput.value = this.source.url;
+        row.appendChild(this.urlInput);
+        
+        this.connectButton = this._button('Connect', () => this.toggleConnection());
+        row.appendChild(this.connectButton);
+        this.container.appendChild(row);
+        
+        this.mappingTable = document.createElement('div');
+        this.mappingTable.className = 'osc-mapping';
+        this.container.appendChild(this.mappingTable);
+        
+        const actions = document.createElement('div');
+        actions.className = 'option';
+        actions.appendChild(this._button('Add', () => {
+            this._addRow({ channel: '', address: '/', arg: 'mean', min: 0, max: 1 });
+        }));
+        actions.appendChild(this._button('Apply mapping', () => this.applyMapping()));
+        this.container.appendChild(actions);
+        
+        this.status = document.createElement('div');
+        this.status.className = 'osc-status';
+        this.container.appendChild(this.status);
+    }
+    
+    _renderMapping() {
+        this.mappingTable.innerHTML = '';
+        this.rows = [];
+        this.source.mapping.forEach(entry => this._addRow(entry));
+    }
+    
+    _addRow(entry) {
+        const element = document.createElement('div');
+        element.className = 'osc-mapping-row';
+        
+        const row = {
+            channel: this._input('text', entry.channel, 'channel'),
+            address: this._input('text', entry.address, 'OSC address'),
+            arg: this._input('text', String(entry.arg), 'arg'),
+            min: this._input('number', entry.min, 'min'),
+            max: this._input('number', entry.max, 'max')
+        };
+        row.arg.title = 'Argument index, or "mean" of all arguments';
+        Object.values(row).forEach(input => element.appendChild(input));
+        
+        element.appendChild(this._button('✕', () => {
+            this.rows.splice(this.rows.indexOf(row), 1);
+            element.remove();
+        }));
+        this.rows.push(row);
+        this.mappingTable.appendChild(element);
+    }
+    
+    /**
+     * Message counts change many times a second; redraw at most every 250 ms
+     */
+    _scheduleStatus() {
+        if (this.renderTimer) return;
+        this.renderTimer = setTimeout(() => {
+            this.renderTimer = null;
+            this._renderStatus();
+        }, 250);
+    }
+    
+    _renderStatus() {
+        if (!this.container) return;
+        
+        const source = this.source;
+        this.connectButton.textContent = source.wanted ? 'Disconnect' : 'Connect';
+        
+        if (this.error) {
+            this.status.textContent = this.error;
+            return;
+        }
+        if (!source.wanted) {
+            this.status.textContent = 'Not connected';
+            return;
+        }
+        if (!source.connected) {
+            this.status.textContent = `Connecting to ${source.url}…`;
+            return;
+        }
+        
+        const values = Object.entries(source.values)
+            .map(([channel, value]) => `${channel} ${value.toFixed(2)}`)
+            .join(' · ');
+        const last = source.lastMessage ? ` · last ${source.lastMessage.address}` : '';
+        this.status.textContent = `${source.messageCount} messages${last}` + (values ? ` · ${values}` : '');
+    }
+    
+    _input(type, value, placeholder) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value;
+        input.placeholder = placeholder;
+        return input;
+    }
+    
+    _button(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'small';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
+
+// Export the class for use in other modules
+window.OSCSourcePanel = OSCSourcePanel;
@@ -0,0 +1,602 @@
+/**
+ * Quantum simulation backends used by QuantumLayer
+ *
+ * Both backends share one interface: reset(), applyMatrix(matrix, targets,
+ * controls), applyDiagonal(phases), reflectAbout(state, phi),
+ * applyChannel(krausOperators, qubit), probabilities(), purity(),
+ * collapseTo(index), collapseQubits(mask, value), dominantState() and
+ * reducedDensityMatrix(qubits). Matrices are 2^k x 2^k arrays of { re, im }
+ * where targets[j] is bit j of the matrix row/column index.
+ */
+
+/**
+ * StateVectorBackend - Pure state |ψ⟩ as 2^n complex amplitudes
+ */
+class StateVectorBackend {
+    constructor(numQubits) {
+        this.numQubits = numQubits;
+        this.dimension = 1 << numQubits;
+        this.isPure = true;
+        this.reset();
+    }
+    
+    /**
+     * Reset to |0...0⟩
+     */
+    reset() {
+        this.amplitudes = [];
+        for (let i = 0; i < this.dimension; i++) {
+            this.amplitudes[i] = Complex.create(i === 0 ? 1 : 0, 0);
+        }
+    }
+    
+    /**
+     * |ψ⟩ → U|ψ⟩ on the target qubits, wherever all control qubits are 1
+     */
+    applyMatrix(matrix, targets, controls = []) {
+        const { offsets, bases } = QuantumBackends.groups(this.dimension, targets, controls);
+        const newState = [...this.amplitudes];
+        
+        bases.forEach(base => {
+            const group = offsets.map(offset => this.amplitudes[base | offset]);
+            const result = QuantumBackends.multiply(matrix, group);
+            offsets.forEach((offset, row) => {
+                newState[base | offset] = result[row];
+            });
+        });
+        
+        this.amplitudes = newState;
+    }
+    
+    /**
+     * Diagonal unitary: multiply each basis state by its phase factor
+     * @param {Array} phases - { re, im } factor per basis state
+     */
+    applyDiagonal(phases) {
+        this.amplitudes = this.amplitudes.map((a, i) => Complex.mul(phases[i], a));
+    }
+    
+    /**
+     * Generalized reflection R = I - (1 - e^(iφ))|s⟩⟨s| about a normalized
+     * state |s⟩ (φ = π is the usual reflection 2|s⟩⟨s| - I, up to sign)
+     */
+    reflectAbout(state, phi) {
+        const factor = Complex.sub(Complex.create(1, 0), Complex.fromPolar(1, phi));
+        const overlap = state.reduce(
+            (sum, s, i) => Complex.add(sum, Complex.mul(Complex.conj(s), this.amplitudes[i])),
+            Complex.create(0, 0)
+        );
+        const scaled = Complex.mul(factor, overlap);
+        this.amplitudes = this.amplitudes.map((a, i) => Complex.sub(a, Complex.mul(scaled, state[i])));
+    }
+    
+    /**
+     * Noise channels need a mixed state; a pure state ignores them
+     * @returns {Boolean} Whether the channel was applied
+     */
+    applyChannel() {
+        return false;
+    }
+    
+    probabilities() {
+        return this.amplitudes.map(a => Complex.abs2(a));
+    }
+    
+    /**
+     * Tr(ρ²) - always 1 for a pure state
+     */
+    purity() {
+        return 1;
+    }
+    
+    /**
+     * Collapse onto the basis state |index⟩
+     */
+    collapseTo(index) {
+        this.amplitudes = this.amplitudes.map((_, i) => Complex.create(i === index ? 1 : 0, 0));
+    }
+    
+    /**
+     * Partial measurement: keep the basis states whose masked bits equal
+     * value and renormalize, so unmeasured qubits keep their superposition
+     * @param {Number} mask - Register bits of the measured qubits
+     * @param {Number} value - Measured bits (within mask)
+     */
+    collapseQubits(mask, value) {
+        const kept = this.amplitudes.map((a, i) => ((i & mask) === value ? a : Complex.create(0, 0)));
+        const norm = Math.sqrt(kept.reduce((sum, a) => sum + Complex.abs2(a), 0));
+        if (norm === 0) {
+            throw new Error('Cannot collapse onto an outcome with zero probability');
+        }
+        this.amplitudes = kept.map(a => Complex.scale(a, 1 / norm));
+    }
+    
+    /**
+     * The pure state itself (copied)
+     */
+    dominantState() {
+        return this.amplitudes.map(a => Complex.from(a));
+    }
+    
+    /**
+     * Reduced density matrix of the given qubits, tracing out the rest:
+     * ρ[a][b] = Σ ψ[rest, a]·conj(ψ[rest, b])
+     */
+    reducedDensityMatrix(qubits) {
+        const { offsets, bases } = QuantumBackends.groups(this.dimension, qubits, []);
+        return offsets.map(rowOffset => offsets.map(colOffset => bases.reduce(
+            (sum, base) => Complex.add(sum, Complex.mul(
+                this.amplitudes[base | rowOffset],
+                Complex.conj(this.amplitudes[base | colOffset])
+            )),
+            Complex.create(0, 0)
+        )));
+    }
+}
+
+/**
+ * DensityMatrixBackend - Mixed state ρ as a 2^n x 2^n complex matrix, so
+ * decoherence (noise channels) can be simulated
+ */
+class DensityMatrixBackend {
+    constructor(numQubits) {
+        this.numQubits = numQubits;
+        this.dimension = 1 << numQubits;
+        this.isPure = false;
+        this.amplitudes = null;
+        this.reset();
+    }
+    
+    /**
+     * Reset to |0...0⟩⟨0...0|
+     */
+    reset() {
+        this.real = new Float64Array(this.dimension * this.dimension);
+        this.imag = new Float64Array(this.dimension * this.dimension);
+        this.real[0] = 1;
+    }
+    
+    /**
+     * ρ → UρU† on the target qubits, wherever all control qubits are 1
+     */
+    applyMatrix(matrix, targets, controls = []) {
+        const groups = QuantumBackends.groups(this.dimension, targets, controls);
+        this._leftMultiply(matrix, groups);
+        this._rightMultiplyAdjoint(matrix, groups);
+    }
+    
+    /**
+     * Diagonal unitary D: ρ[i][j] → d_i·ρ[i][j]·conj(d_j)
+     * @param {Array} phases - { re, im } factor per basis state
+     */
+    applyDiagonal(phases) {
+        const dim = this.dimension;
+        for (let row = 0; row < dim; row++) {
+            for (let col = 0; col < dim; col++) {
+                const k = row * dim + col;
+                const factor = Complex.mul(phases[row], Complex.conj(phases[col]));
+                const entry = Complex.mul(factor, Complex.create(this.real[k], this.imag[k]));
+                this.real[k] = entry.re;
+                this.imag[k] = entry.im;
+            }
+        }
+    }
+    
+    /**
+     * Generalized reflection R = I - c|s⟩⟨s| with c = 1 - e^(iφ), applied as
+     * RρR† = ρ - c|s⟩⟨s|ρ - conj(c)ρ|s⟩⟨s| + |c|²⟨s|ρ|s⟩|s⟩⟨s|
+     * in O(4^n) rather than as a full matrix product
+     */
+    reflectAbout(state, phi) {
+        const dim = this.dimension;
+        const c = Complex.sub(Complex.create(1, 0), Complex.fromPolar(1, phi));
+        const entry = k => Complex.create(this.real[k], this.imag[k]);
+        
+        // u = ρ|s⟩ and v = ⟨s|ρ (as a row), then w = ⟨s|ρ|s⟩
+        const u = [];
+        const v = [];
+        for (let i = 0; i < dim; i++) {
+            let ui = Complex.create(0, 0);
+            let vi = Complex.create(0, 0);
+            for (let j = 0; j < dim; j++) {
+                ui = Complex.add(ui, Complex.mul(entry(i * dim + j), state[j]));
+                vi = Complex.add(vi, Complex.mul(Complex.conj(state[j]), entry(j * dim + i)));
+            }
+            u.push(ui);
+            v.push(vi);
+        }
+        const w = state.reduce((sum, s, i) => Complex.add(sum, Complex.mul(Complex.conj(s), u[i])), Complex.create(0, 0));
+        const cc = Complex.scale(w, Complex.abs2(c));
+        
+        for (let i = 0; i < dim; i++) {
+            for (let j = 0; j < dim; j++) {
+                const sConjJ = Complex.conj(state[j]);
+                let delta = Complex.mul(c, Complex.mul(state[i], v[j]));
+                delta = Complex.add(delta, Complex.mul(Complex.conj(c), Complex.mul(u[i], sConjJ)));
+                delta = Complex.sub(delta, Complex.mul(cc, Complex.mul(state[i], sConjJ)));
+                const k = i * dim + j;
+                this.real[k] -= delta.re;
+                this.imag[k] -= delta.im;
+            }
+        }
+    }
+    
+    /**
+     * ρ → Σ K ρ K† for single-qubit Kraus operators K
+     * @param {Array} krausOperators - 2x2 complex matrices
+     * @param {Number} qubit - Qubit the channel acts on
+     * @returns {Boolean} Whether the channel was applied
+     */
+    applyChannel(krausOperators, qubit) {
+        // Superoperator on each 2x2 block: S[ab][cd] = Σ_k K[a][c]·conj(K[b][d])
+        const superRe = new Float64Array(16);
+        const superIm = new Float64Array(16);
+        krausOperators.forEach(kraus => {
+            for (let a = 0; a < 2; a++) {
+                for (let b = 0; b < 2; b++) {
+                    for (let c = 0; c < 2; c++) {
+                        for (let d = 0; d < 2; d++) {
+                            const term = Complex.mul(kraus[a][c], Complex.conj(kraus[b][d]));
+                            superRe[(a * 2 + b) * 4 + c * 2 + d] += term.re;
+                            superIm[(a * 2 + b) * 4 + c * 2 + d] += term.im;
+                        }
+                    }
+                }
+            }
+        });
+        
+        const dim = this.dimension;
+        const mask = 1 << qubit;
+        const blockRe = new Float64Array(4);
+        const blockIm = new Float64Array(4);
+        const index = new Array(4);
+        
+        // Visit every 2x2 block (rows i, i|mask; columns j, j|mask) once
+        for (let i = 0; i < dim; i++) {
+            if (i & mask) continue;
+            for (let j = 0; j < dim; j++) {
+                if (j & mask) continue;
+                
+                index[0] = i * dim + j;
+                index[1] = i * dim + (j | mask);
+                index[2] = (i | mask) * dim + j;
+                index[3] = (i | mask) * dim + (j | mask);
+                for (let k = 0; k < 4; k++) {
+                    blockRe[k] = this.real[index[k]];
+                    blockIm[k] = this.imag[index[k]];
+                }
+                
+                for (let out = 0; out < 4; out++) {
+                    let re = 0;
+                    let im = 0;
+                    for (let k = 0; k < 4; k++) {
+                        const sRe = superRe[out * 4 + k];
+                        const sIm = superIm[out * 4 + k];
+                        re += sRe * blockRe[k] - sIm * blockIm[k];
+                        im += sRe * blockIm[k] + sIm * blockRe[k];
+                    }
+                    this.real[index[out]] = re;
+                    this.imag[index[out]] = im;
+                }
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Diagonal of ρ
+     */
+    probabilities() {
+        const probabilities = [];
+        for (let i = 0; i < this.dimension; i++) {
+            probabilities[i] = Math.max(0, this.real[i * this.dimension + i]);
+        }
+        return probabilities;
+    }
+    
+    /**
+     * Tr(ρ²): 1 for a pure state, down to 1/2^n for the maximally mixed state
+     */
+    purity() {
+        let sum = 0;
+        for (let i = 0; i < this.real.length; i++) {
+            sum += this.real[i] * this.real[i] + this.imag[i] * this.imag[i];
+        }
+        return sum;
+    }
+    
+    /**
+     * Collapse onto |index⟩⟨index|
+     */
+    collapseTo(index) {
+        this.real.fill(0);
+        this.imag.fill(0);
+        this.real[index * this.dimension + index] = 1;
+    }
+    
+    /**
+     * Partial measurement: ρ → PρP / Tr(Pρ), P projecting onto the basis
+     * states whose masked bits equal value
+     * @param {Number} mask - Register bits of the measured qubits
+     * @param {Number} value - Measured bits (within mask)
+     */
+    collapseQubits(mask, value) {
+        const dim = this.dimension;
+        let trace = 0;
+        for (let i = 0; i < dim; i++) {
+            if ((i & mask) === value) trace += this.real[i * dim + i];
+        }
+        if (trace <= 0) {
+            throw new Error('Cannot collapse onto an outcome with zero probability');
+        }
+        
+        for (let row = 0; row < dim; row++) {
+            for (let col = 0; col < dim; col++) {
+                const k = row * dim + col;
+                if ((row & mask) === value && (col & mask) === value) {
+                    this.real[k] /= trace;
+                    this.imag[k] /= trace;
+                } else {
+                    this.real[k] = 0;
+                    this.imag[k] = 0;
+                }
+            }
+        }
+    }
+    
+    /**
+     * Eigenvector of ρ with the largest eigenvalue (power iteration): the
+     * pure state the mixture is closest to
+     */
+    dominantState() {
+        const dim = this.dimension;
+        
+        // Start from the square roots of the probabilities
+        let re = new Float64Array(dim);
+        let im = new Float64Array(dim);
+        for (let i = 0; i < dim; i++) {
+            re[i] = Math.sqrt(Math.max(0, this.real[i * dim + i]));
+        }
+        
+        for (let iteration = 0; iteration < 100; iteration++) {
+            const nextRe = new Float64Array(dim);
+            const nextIm = new Float64Array(dim);
+            for (let row = 0; row < dim; row++) {
+                let sumRe = 0;
+                let sumIm = 0;
+                for (let col = 0; col < dim; col++) {
+                    const k = row * dim + col;
+                    sumRe += this.real[k] * re[col] - this.imag[k] * im[col];
+                    sumIm += this.real[k] * im[col] + this.imag[k] * re[col];
+                }
+                nextRe[row] = sumRe;
+                nextIm[row] = sumIm;
+            }
+            
+            let norm = 0;
+            let change = 0;
+            for (let i = 0; i < dim; i++) {
+                norm += nextRe[i] * nextRe[i] + nextIm[i] * nextIm[i];
+            }
+            norm = Math.sqrt(norm) || 1;
+            for (let i = 0; i < dim; i++) {
+                nextRe[i] /= norm;
+                nextIm[i] /= norm;
+                change += Math.abs(nextRe[i] - re[i]) + Math.abs(nextIm[i] - im[i]);
+            }
+            
+            re = nextRe;
+            im = nextIm;
+            if (change < 1e-10) break;
+        }
+        
+        return Array.from(re, (value, i) => Complex.create(value, im[i]));
+    }
+    
+    /**
+     * Reduced density matrix of the given qubits (partial trace over the rest)
+     */
+    reducedDensityMatrix(qubits) {
+        const { offsets, bases } = QuantumBackends.groups(this.dimension, qubits, []);
+        return offsets.map(rowOffset => offsets.map(colOffset => {
+            let re = 0;
+            let im = 0;
+            bases.forEach(base => {
+                const k = (base | rowOffset) * this.dimension + (base | colOffset);
+                re += this.real[k];
+                im += this.imag[k];
+            });
+            return Complex.create(re, im);
+        }));
+    }
+    
+    /**
+     * ρ → Mρ, column by column
+     */
+    _leftMultiply(matrix, { offsets, bases }) {
+        const dim = this.dimension;
+        const { re: mRe, im: mIm, size } = QuantumBackends.split(matrix);
+        const groupRe = new Float64Array(size);
+        const groupIm = new Float64Array(size);
+        
+        for (let col = 0; col < dim; col++) {
+            bases.forEach(base => {
+                for (let l = 0; l < size; l++) {
+                    const k = (base | offsets[l]) * dim + col;
+                    groupRe[l] = this.real[k];
+                    groupIm[l] = this.imag[k];
+                }
+                for (let row = 0; row < size; row++) {
+                    let re = 0;
+                    let im = 0;
+                    for (let l = 0; l < size; l++) {
+                        const a = mRe[row * size + l];
+                        const b = mIm[row * size + l];
+                        re += a * groupRe[l] - b * groupIm[l];
+                        im += a * groupIm[l] + b * groupRe[l];
+                    }
+                    const k = (base | offsets[row]) * dim + col;
+                    this.real[k] = re;
+                    this.imag[k] = im;
+                }
+            });
+        }
+    }
+    
+    /**
+     * ρ → ρM†, row by row: (ρM†)[r][j] = Σ_l ρ[r][l]·conj(M[j][l])
+     */
+    _rightMultiplyAdjoint(matrix, { offsets, bases }) {
+        const dim = this.dimension;
+        const { re: mRe, im: mIm, size } = QuantumBackends.split(matrix);
+        const groupRe = new Float64Array(size);
+        const groupIm = new Float64Array(size);
+        
+        for (let row = 0; row < dim; row++) {
+            bases.forEach(base => {
+                for (let l = 0; l < size; l++) {
+                    const k = row * dim + (base | offsets[l]);
+                    groupRe[l] = this.real[k];
+                    groupIm[l] = this.imag[k];
+                }
+                for (let j = 0; j < size; j++) {
+                    let re = 0;
+                    let im = 0;
+                    for (let l = 0; l < size; l++) {
+                        // conj(M[j][l]) = a - ib
+                        const a = mRe[j * size + l];
+                        const b = mIm[j * size + l];
+                        re += groupRe[l] * a + groupIm[l] * b;
+                        im += groupIm[l] * a - groupRe[l] * b;
+                    }
+                    const k = row * dim + (base | offsets[j]);
+                    this.real[k] = re;
+                    this.imag[k] = im;
+                }
+            });
+        }
+    }
+}
+
+/**
+ * Shared helpers for the backends
+ */
+const QuantumBackends = {
+    /**
+     * Index groups a gate acts on: offsets of each local basis state within
+     * the register, and the base index of every group (target bits clear,
+     * control bits set)
+     */
+    groups(dimension, targets, controls) {
+        const size = 1 << targets.length;
+        const offsets = [];
+        for (let local = 0; local < size; local++) {
+            let offset = 0;
+            targets.forEach((qubit, j) => {
+                if ((local >> j) & 1) offset |= 1 << qubit;
+            });
+            offsets.push(offset);
+        }
+        
+        const targetMask = offsets[size - 1];
+        const controlMask = controls.reduce((mask, q) => mask | (1 << q), 0);
+        const bases = [];
+        for (let i = 0; i < dimension; i++) {
+            if ((i & targetMask) === 0 && (i & controlMask) === controlMask) {
+                bases.push(i);
+            }
+        }
+        
+        return { offsets, bases };
+    },
+    
+    /**
+     * Flatten a complex matrix into row-major real and imaginary arrays
+     */
+    split(matrix) {
+        const size = matrix.length;
+        const re = new Float64Array(size * size);
+        const im = new Float64Array(size * size);
+        matrix.forEach((row, r) => row.forEach((entry, c) => {
+            re[r * size + c] = entry.re;
+            im[r * size + c] = entry.im;
+        }));
+        return { re, im, size };
+    },
+    
+    /**
+     * Complex matrix-vector product
+     */
+    multiply(matrix, vector) {
+        return matrix.map(row => row.reduce(
+            (sum, entry, col) => Complex.add(sum, Complex.mul(entry, vector[col])),
+            Complex.create(0, 0)
+        ));
+    },
+    
+    /**
+     * Create a backend by name
+     * @param {String} name - 'statevector' or 'density'
+     */
+    create(name, numQubits) {
+        if (name === 'statevector') return new StateVectorBackend(numQubits);
+        if (name === 'density') return new DensityMatrixBackend(numQubits);
+        throw new Error(`Unknown quantum backend "${name}"`);
+    }
+};
+
+/**
+ * Kraus operators of the single-qubit noise channels
+ */
+const NoiseChannels = {
+    /**
+     * With probability p the qubit is replaced by the maximally mixed state
+     */
+    depolarizing(p) {
+        const keep = Math.sqrt(1 - 3 * p / 4);
+        const flip = Math.sqrt(p / 4);
+        return [
+            NoiseChannels._scale(QuantumLayer.GATES.I, keep),
+            NoiseChannels._scale(QuantumLayer.GATES.X, flip),
+            NoiseChannels._scale(QuantumLayer.GATES.Y, flip),
+            NoiseChannels._scale(QuantumLayer.GATES.Z, flip)
+        ];
+    },
+    
+    /**
+     * Phase flip with probability p/2: coherences shrink by (1 - p)
+     */
+    dephasing(p) {
+        return [
+            NoiseChannels._scale(QuantumLayer.GATES.I, Math.sqrt(1 - p / 2)),
+            NoiseChannels._scale(QuantumLayer.GATES.Z, Math.sqrt(p / 2))
+        ];
+    },
+    
+    /**
+     * Energy loss: |1⟩ decays to |0⟩ with probability gamma
+     */
+    amplitudeDamping(gamma) {
+        return [
+            [
+                [Complex.create(1, 0), Complex.create(0, 0)],
+                [Complex.create(0, 0), Complex.create(Math.sqrt(1 - gamma), 0)]
+            ],
+            [
+                [Complex.create(0, 0), Complex.create(Math.sqrt(gamma), 0)],
+                [Complex.create(0, 0), Complex.create(0, 0)]
+            ]
+        ];
+    },
+    
+    _scale(matrix, factor) {
+        return matrix.map(row => row.map(entry => Complex.scale(entry, factor)));
+    }
+};
+
+// Export for use in other modules
+globalThis.StateVectorBackend = StateVectorBackend;
+globalThis.DensityMatrixBackend = DensityMatrixBackend;
+globalThis.QuantumBackends = QuantumBackends;
+globalThis.NoiseChannels = NoiseChannels;
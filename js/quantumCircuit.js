@@ -0,0 +1,608 @@
+/**
+ * ParameterExpression - Safe evaluator for gate parameters and conditions
+ * Supports numbers, named bindings (alpha, beta, pi, ...), + - * / ^,
+ * comparisons, && / || / !, parentheses and a few math functions.
+ */
+class ParameterExpression {
+    /**
+     * @param {String|Number} source - Expression text such as "alpha*pi"
+     */
+    constructor(source) {
+        this.source = String(source).trim();
+        this._tokens = ParameterExpression._tokenize(this.source);
+        this._position = 0;
+        this.ast = this._parseOr();
+        
+        if (this._position < this._tokens.length) {
+            throw new Error(`Unexpected "${this._tokens[this._position].value}" in expression "${this.source}"`);
+        }
+    }
+    
+    /**
+     * Evaluate the expression with the given variable bindings
+     * @param {Object} bindings - Variable values, e.g. { alpha: 0.4, beta: 0.1 }
+     * @returns {Number}
+     */
+    evaluate(bindings = {}) {
+        return ParameterExpression._evaluateNode(this.ast, bindings);
+    }
+    
+    /**
+     * Names of the free variables used in the expression
+     */
+    get variables() {
+        const names = new Set();
+        const visit = (node) => {
+            if (node.type === 'variable' && !(node.name in ParameterExpression.CONSTANTS)) {
+                names.add(node.name);
+            }
+            (node.args || []).forEach(visit);
+        };
+        visit(this.ast);
+        return [...names];
+    }
+    
+    toString() {
+        return this.source;
+    }
+    
+    static _tokenize(source) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(>=|<=|==|!=|&&|\|\||[-+*\/^(),<>!]))/y;
+        let index = 0;
+        
+        while (index < source.length) {
+            pattern.lastIndex = index;
+            const match = pattern.exec(source);
+            if (!match) {
+                if (/^\s*$/.test(source.slice(index))) break;
+                throw new Error(`Invalid character in expression "${source}" at ${index}`);
+            }
+            
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'number', value: parseFloat(match[1]) });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'name', value: match[2] });
+            } else {
+                tokens.push({ type: 'op', value: match[3] });
+            }
+            index = pattern.lastIndex;
+        }
+        
+        return tokens;
+    }
+    
+    _peek(value) {
+        const token = this._tokens[this._position];
+        return token && token.type === 'op' && token.value === value;
+    }
+    
+    _expect(value) {
+        if (!this._peek(value)) {
+            throw new Error(`Expected "${value}" in expression "${this.source}"`);
+        }
+        this._position++;
+    }
+    
+    _parseBinary(next, operators) {
+        let node = next();
+        while (operators.some(op => this._peek(op))) {
+            const op = this._tokens[this._position++].value;
+            node = { type: 'binary', op, args: [node, next()] };
+        }
+        return node;
+    }
+    
+    _parseOr() {
+        return this._parseBinary(() => this._parseAnd(), ['||']);
+    }
+    
+    _parseAnd() {
+        return this._parseBinary(() => this._parseComparison(), ['&&']);
+    }
+    
+    _parseComparison() {
+        return this._parseBinary(() => this._parseAdditive(), ['>=', '<=', '==', '!=', '>', '<']);
+    }
+    
+    _parseAdditive() {
+        return this._parseBinary(() => this._parseMultiplicative(), ['+', '-']);
+    }
+    
+    _parseMultiplicative() {
+        return this._parseBinary(() => this._parseUnary(), ['*', '/']);
+    }
+    
+    _parseUnary() {
+        if (this._peek('-') || this._peek('+') || this._peek('!')) {
+            const op = this._tokens[this._position++].value;
+            return { type: 'unary', op, args: [this._parseUnary()] };
+        }
+        return this._parsePower();
+    }
+    
+    _parsePower() {
+        const base = this._parsePrimary();
+        if (this._peek('^')) {
+            this._position++;
+            // Right associative: 2^3^2 = 2^(3^2)
+            return { type: 'binary', op: '^', args: [base, this._parseUnary()] };
+        }
+        return base;
+    }
+    
+    _parsePrimary() {
+        const token = this._tokens[this._position++];
+        if (!token) {
+            throw new Error(`Unexpected end of expression "${this.source}"`);
+        }
+        
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+        
+        if (token.type === 'name') {
+            // Function call
+            if (this._peek('(')) {
+                if (!(token.value in ParameterExpression.FUNCTIONS)) {
+                    throw new Error(`Unknown function "${token.value}" in expression "${this.source}"`);
+                }
+                this._position++;
+                const args = [];
+                if (!this._peek(')')) {
+                    args.push(this._parseOr());
+                    while (this._peek(',')) {
+                        this._position++;
+                        args.push(this._parseOr());
+                    }
+                }
+                this._expect(')');
+                return { type: 'call', name: token.value, args };
+            }
+            return { type: 'variable', name: token.value };
+        }
+        
+        if (token.value === '(') {
+            const node = this._parseOr();
+            this._expect(')');
+            return node;
+        }
+        
+        throw new Error(`Unexpected "${token.value}" in expression "${this.source}"`);
+    }
+    
+    static _evaluateNode(node, bindings) {
+        const evaluate = (child) => ParameterExpression._evaluateNode(child, bindings);
+        
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'variable':
+                if (node.name in bindings) return Number(bindings[node.name]);
+                if (node.name in ParameterExpression.CONSTANTS) return ParameterExpression.CONSTANTS[node.name];
+                throw new Error(`Unbound parameter "${node.name}"`);
+            case 'call':
+                return ParameterExpression.FUNCTIONS[node.name](...node.args.map(evaluate));
+            case 'unary': {
+                const value = evaluate(node.args[0]);
+                if (node.op === '-') return -value;
+                if (node.op === '!') return value ? 0 : 1;
+                return value;
+            }
+            case 'binary': {
+                const [a, b] = node.args.map(evaluate);
+                switch (node.op) {
+                    case '+': return a + b;
+                    case '-': return a - b;
+                    case '*': return a * b;
+                    case '/': return a / b;
+                    case '^': return Math.pow(a, b);
+                    case '>': return a > b ? 1 : 0;
+                    case '<': return a < b ? 1 : 0;
+                    case '>=': return a >= b ? 1 : 0;
+                    case '<=': return a <= b ? 1 : 0;
+                    case '==': return a === b ? 1 : 0;
+                    case '!=': return a !== b ? 1 : 0;
+                    case '&&': return a && b ? 1 : 0;
+                    case '||': return a || b ? 1 : 0;
+                }
+            }
+        }
+        
+        throw new Error(`Cannot evaluate expression node "${node.type}"`);
+    }
+}
+
+// Built-in constants (bindings with the same name take precedence)
+ParameterExpression.CONSTANTS = {
+    pi: Math.PI,
+    tau: 2 * Math.PI,
+    e: Math.E
+};
+
+// Functions callable from expressions
+ParameterExpression.FUNCTIONS = {
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    sqrt: Math.sqrt,
+    exp: Math.exp,
+    ln: Math.log,
+    abs: Math.abs,
+    min: Math.min,
+    max: Math.max,
+    clamp: (value, low, high) => Math.max(low, Math.min(high, value))
+};
+
+/**
+ * QuantumCircuit - A circuit described as data
+ *
+ * JSON format:
+ *   {
+ *     "name": "my rhythm",
+ *     "numQubits": 2,
+ *     "gates": [
+ *       { "gate": "h", "qubits": [0], "when": "alpha > 0.3" },
+ *       { "gate": "p", "qubits": [0], "params": ["beta*pi"] },
+ *       { "gate": "cx", "qubits": [0, 1] }
+ *     ]
+ *   }
+ *
+ * Params and conditions are ParameterExpressions evaluated against the
+ * bindings passed to run() (QuantumLayer.processInput supplies alpha and beta).
+ */
+class QuantumCircuit {
+    /**
+     * @param {Object} definition - { name, numQubits, gates }
+     */
+    constructor(definition = {}) {
+        this.name = definition.name || 'untitled';
+        this.gates = (definition.gates || []).map((gate, index) => QuantumCircuit._compileGate(gate, index));
+        
+        // Smallest register that fits every gate, unless a larger one is requested
+        const usedQubits = this.gates.reduce((max, gate) => Math.max(max, ...gate.qubits.map(q => q + 1)), 0);
+        this.numQubits = Math.max(definition.numQubits || 0, usedQubits, 1);
+    }
+    
+    /**
+     * Execute the circuit on a QuantumLayer (the register is not reset)
+     * @param {QuantumLayer} layer - Target register
+     * @param {Object} bindings - Parameter values, e.g. { alpha, beta }
+     */
+    run(layer, bindings = {}) {
+        this.gates.forEach(gate => {
+            if (gate.when && !gate.when.evaluate(bindings)) {
+                return;
+            }
+            
+            const params = gate.params.map(param => param.evaluate(bindings));
+            QuantumCircuit.GATE_SET[gate.gate].apply(layer, gate.qubits, params);
+        });
+    }
+    
+    /**
+     * Names of the free parameters referenced by gates (excluding constants)
+     */
+    get parameters() {
+        const names = new Set();
+        this.gates.forEach(gate => {
+            gate.params.forEach(param => param.variables.forEach(name => names.add(name)));
+            if (gate.when) gate.when.variables.forEach(name => names.add(name));
+        });
+        return [...names];
+    }
+    
+    /**
+     * Serialize to the JSON gate-list format
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            numQubits: this.numQubits,
+            gates: this.gates.map(gate => {
+                const entry = { gate: gate.gate, qubits: [...gate.qubits] };
+                if (gate.params.length > 0) entry.params = gate.params.map(param => param.toString());
+                if (gate.when) entry.when = gate.when.toString();
+                return entry;
+            })
+        };
+    }
+    
+    /**
+     * Export as OpenQASM 2.0 using qelib1 gate names. Conditions on gates have
+     * no QASM equivalent and are written as "// @when <expr>" comments, which
+     * fromQASM understands.
+     */
+    toQASM() {
+        const lines = [
+            'OPENQASM 2.0;',
+            'include "qelib1.inc";',
+            `// @name ${this.name}`,
+            `qreg q[${this.numQubits}];`,
+            `creg c[${this.numQubits}];`
+        ];
+        
+        this.gates.forEach(gate => {
+            if (gate.when) {
+                lines.push(`// @when ${gate.when.toString()}`);
+            }
+            const params = gate.params.length > 0
+                ? `(${gate.params.map(param => param.toString()).join(', ')})`
+                : '';
+            const qubits = gate.qubits.map(q => `q[${q}]`).join(', ');
+            const gateName = QuantumCircuit.QASM_EXPORT_NAMES[gate.gate] || gate.gate;
+            lines.push(`${gateName}${params} ${qubits};`);
+        });
+        
+        lines.push('measure q -> c;');
+        return lines.join('\n') + '\n';
+    }
+    
+    /**
+     * Build a circuit from JSON (object or string)
+     */
+    static fromJSON(json) {
+        const definition = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!definition || !Array.isArray(definition.gates)) {
+            throw new Error('Circuit JSON must contain a "gates" array');
+        }
+        return new QuantumCircuit(definition);
+    }
+    
+    /**
+     * Import a subset of OpenQASM 2.0: qreg/creg declarations, the qelib1
+     * gates listed in GATE_SET (plus aliases), parameter expressions that may
+     * reference bindings such as alpha and beta. measure, barrier and reset
+     * statements are ignored because QuantumLayer measures after the circuit.
+     */
+    static fromQASM(source) {
+        const registers = {};
+        let registerSize = 0;
+        let name = 'imported';
+        let pendingWhen = null;
+        const gates = [];
+        
+        // Resolve "q[1]" (or a whole register "q") to flat qubit indices
+        const resolve = (operand, lineNumber) => {
+            const match = operand.trim().match(/^([A-Za-z_][A-Za-z0-9_]*)(?:\[(\d+)\])?$/);
+            if (!match || !(match[1] in registers)) {
+                throw new Error(`QASM line ${lineNumber}: unknown qubit "${operand.trim()}"`);
+            }
+            const register = registers[match[1]];
+            if (match[2] === undefined) {
+                return Array.from({ length: register.size }, (_, i) => register.offset + i);
+            }
+            const index = parseInt(match[2], 10);
+            if (index >= register.size) {
+                throw new Error(`QASM line ${lineNumber}: ${operand.trim()} is out of range`);
+            }
+            return [register.offset + index];
+        };
+        
+        source.split('\n').forEach((rawLine, lineIndex) => {
+            const lineNumber = lineIndex + 1;
+            
+            // Our annotations live in comments
+            const annotation = rawLine.match(/\/\/\s*@(when|name)\s+(.*)$/);
+            if (annotation) {
+                if (annotation[1] === 'when') {
+                    pendingWhen = annotation[2].trim();
+                } else {
+                    name = annotation[2].trim();
+                }
+            }
+            
+            const code = rawLine.replace(/\/\/.*$/, '').trim();
+            if (!code) return;
+            
+            code.split(';').map(statement => statement.trim()).filter(Boolean).forEach(statement => {
+                if (/^OPENQASM\s/.test(statement) || /^include\s/.test(statement)) return;
+                if (/^(measure|barrier|reset|creg)\b/.test(statement)) return;
+                
+                const qreg = statement.match(/^qreg\s+([A-Za-z_][A-Za-z0-9_]*)\s*\[(\d+)\]$/);
+                if (qreg) {
+                    const size = parseInt(qreg[2], 10);
+                    registers[qreg[1]] = { offset: registerSize, size };
+                    registerSize += size;
+                    return;
+                }
+                
+                const call = statement.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*(?:\(([^)]*(?:\([^)]*\)[^)]*)*)\))?\s+(.+)$/);
+                if (!call) {
+                    throw new Error(`QASM line ${lineNumber}: cannot parse "${statement}"`);
+                }
+                
+                const gateName = QuantumCircuit.QASM_ALIASES[call[1]] || call[1];
+                if (!(gateName in QuantumCircuit.GATE_SET)) {
+                    throw new Error(`QASM line ${lineNumber}: unsupported gate "${call[1]}"`);
+                }
+                
+                const params = call[2] !== undefined ? QuantumCircuit._splitArguments(call[2]) : [];
+                const operands = call[3].split(',').map(operand => resolve(operand, lineNumber));
+                
+                // Whole-register operands broadcast the gate, as in QASM
+                const width = Math.max(...operands.map(list => list.length));
+                for (let i = 0; i < width; i++) {
+                    const entry = {
+                        gate: gateName,
+                        qubits: operands.map(list => list.length === 1 ? list[0] : list[i])
+                    };
+                    if (params.length > 0) entry.params = params;
+                    if (pendingWhen) entry.when = pendingWhen;
+                    gates.push(entry);
+                }
+                pendingWhen = null;
+            });
+        });
+        
+        return new QuantumCircuit({ name, numQubits: registerSize, gates });
+    }
+    
+    /**
+     * The original processInput circuit: alpha thresholds put qubits into
+     * superposition, beta sets the interferometer phase on qubit 0 and a CNOT
+     * chain entangles neighbours.
+     */
+    static thresholdRhythm(numQubits = 2) {
+        const gates = [];
+        
+        for (let q = 0; q < numQubits; q++) {
+            const threshold = 0.3 + 0.3 * q / (numQubits - 1);
+            gates.push({ gate: 'h', qubits: [q], when: `alpha > ${+threshold.toFixed(4)}` });
+        }
+        
+        gates.push({ gate: 'p', qubits: [0], params: ['beta*pi'] });
+        
+        // The extra π/2 keeps beta = 0 at a 50/50 split on qubit 0
+        gates.push({ gate: 'p', qubits: [0], params: ['pi/2'], when: 'alpha > 0.3' });
+        gates.push({ gate: 'h', qubits: [0], when: 'alpha > 0.3' });
+        
+        for (let q = 0; q < numQubits - 1; q++) {
+            gates.push({ gate: 'cx', qubits: [q, q + 1] });
+        }
+        
+        return new QuantumCircuit({ name: 'threshold rhythm', numQubits, gates });
+    }
+    
+    /**
+     * Smooth mapping: alpha sets an RY angle on every qubit so each drum's
+     * probability follows sin²(alpha·π/2), and beta drives a chain of
+     * controlled rotations that correlates neighbouring voices.
+     */
+    static continuousRhythm(numQubits = 2) {
+        const gates = [];
+        
+        for (let q = 0; q < numQubits; q++) {
+            gates.push({ gate: 'ry', qubits: [q], params: ['alpha*pi'] });
+        }
+        
+        for (let q = 0; q < numQubits - 1; q++) {
+            gates.push({ gate: 'cry', qubits: [q, q + 1], params: ['beta*pi/2'] });
+        }
+        
+        return new QuantumCircuit({ name: 'continuous rhythm', numQubits, gates });
+    }
+    
+    /**
+     * Trainable ansatz: layers of RY rotations with free angles theta0,
+     * theta1, ... joined by CNOT chains. The first layer also carries the
+     * input (alpha tilts the even qubits' RY and beta the odd ones', and beta
+     * sets an RZ phase for the later layers to interfere), so learned angles
+     * shape how the rhythm responds rather than replacing it. All angles 0
+     * is a plain input-driven circuit to start training from
+     */
+    static variationalRhythm(numQubits = 2, layers = 2) {
+        const gates = [];
+        let parameter = 0;
+        
+        for (let layer = 0; layer < layers; layer++) {
+            for (let q = 0; q < numQubits; q++) {
+                const theta = `theta${parameter++}`;
+                const input = q % 2 === 0 ? 'alpha' : 'beta';
+                gates.push({ gate: 'ry', qubits: [q], params: [layer === 0 ? `${input}*pi/2 + ${theta}` : theta] });
+                if (layer === 0) {
+                    gates.push({ gate: 'rz', qubits: [q], params: [`beta*pi + theta${parameter++}`] });
+                }
+            }
+            for (let q = 0; q < numQubits - 1; q++) {
+                gates.push({ gate: 'cx', qubits: [q, q + 1] });
+            }
+        }
+        
+        return new QuantumCircuit({ name: 'variational rhythm', numQubits, gates });
+    }
+    
+    static _compileGate(gate, index) {
+        const spec = QuantumCircuit.GATE_SET[gate.gate];
+        if (!spec) {
+            throw new Error(`Gate ${index}: unknown gate "${gate.gate}"`);
+        }
+        
+        const qubits = gate.qubits || [];
+        if (qubits.length !== spec.qubits || qubits.some(q => !Number.isInteger(q) || q < 0)) {
+            throw new Error(`Gate ${index} (${gate.gate}) expects ${spec.qubits} qubit index(es)`);
+        }
+        
+        const params = gate.params || [];
+        if (params.length !== spec.params) {
+            throw new Error(`Gate ${index} (${gate.gate}) expects ${spec.params} parameter(s)`);
+        }
+        
+        return {
+            gate: gate.gate,
+            qubits: [...qubits],
+            params: params.map(param => new ParameterExpression(param)),
+            when: gate.when !== undefined && gate.when !== null && gate.when !== ''
+                ? new ParameterExpression(gate.when)
+                : null
+        };
+    }
+    
+    /**
+     * Split "a, f(b, c)" on top-level commas
+     */
+    static _splitArguments(text) {
+        const args = [];
+        let depth = 0;
+        let current = '';
+        
+        for (const char of text) {
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+            if (char === ',' && depth === 0) {
+                args.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        if (current.trim()) args.push(current.trim());
+        
+        return args;
+    }
+}
+
+// Supported gates: qubit count, parameter count and how to apply them
+QuantumCircuit.GATE_SET = {
+    id: { qubits: 1, params: 0, apply: () => {} },
+    h: { qubits: 1, params: 0, apply: (layer, [q]) => layer.applyHadamard(q) },
+    x: { qubits: 1, params: 0, apply: (layer, [q]) => layer.applyX(q) },
+    y: { qubits: 1, params: 0, apply: (layer, [q]) => layer.applyY(q) },
+    z: { qubits: 1, params: 0, apply: (layer, [q]) => layer.applyZ(q) },
+    s: { qubits: 1, params: 0, apply: (layer, [q]) => layer.applyS(q) },
+    sdg: { qubits: 1, params: 0, apply: (layer, [q]) => layer.applySdg(q) },
+    t: { qubits: 1, params: 0, apply: (layer, [q]) => layer.applyT(q) },
+    tdg: { qubits: 1, params: 0, apply: (layer, [q]) => layer.applyTdg(q) },
+    rx: { qubits: 1, params: 1, apply: (layer, [q], [theta]) => layer.applyRX(q, theta) },
+    ry: { qubits: 1, params: 1, apply: (layer, [q], [theta]) => layer.applyRY(q, theta) },
+    rz: { qubits: 1, params: 1, apply: (layer, [q], [theta]) => layer.applyRZ(q, theta) },
+    p: { qubits: 1, params: 1, apply: (layer, [q], [phi]) => layer.applyPhaseRotation(q, phi) },
+    cx: { qubits: 2, params: 0, apply: (layer, [c, t]) => layer.applyCNOT(c, t) },
+    cz: { qubits: 2, params: 0, apply: (layer, [c, t]) => layer.applyCZ(c, t) },
+    cp: { qubits: 2, params: 1, apply: (layer, [c, t], [phi]) => layer.applyControlledPhase(c, t, phi) },
+    crx: { qubits: 2, params: 1, apply: (layer, [c, t], [theta]) => layer.applyCRX(c, t, theta) },
+    cry: { qubits: 2, params: 1, apply: (layer, [c, t], [theta]) => layer.applyCRY(c, t, theta) },
+    crz: { qubits: 2, params: 1, apply: (layer, [c, t], [theta]) => layer.applyCRZ(c, t, theta) },
+    swap: { qubits: 2, params: 0, apply: (layer, [a, b]) => layer.applySWAP(a, b) },
+    ccx: { qubits: 3, params: 0, apply: (layer, [a, b, t]) => layer.applyToffoli(a, b, t) }
+};
+
+// Equivalent qelib1 names accepted on import
+QuantumCircuit.QASM_ALIASES = {
+    CX: 'cx',
+    u1: 'p',
+    cu1: 'cp'
+};
+
+// qelib1 names used on export where ours differ
+QuantumCircuit.QASM_EXPORT_NAMES = {
+    p: 'u1',
+    cp: 'cu1'
+};
+
+// Export the classes for use in other modules
+globalThis.ParameterExpression = ParameterExpression;
+globalThis.QuantumCircuit = QuantumCircuit;
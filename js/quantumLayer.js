@@ -1,22 +1,279 @@
 /**
- * QuantumLayer - Simulates a 2-qubit quantum circuit for rhythm generation
+ * QuantumLayer - Simulates an N-qubit quantum circuit for rhythm generation
+ *
+ * Basis states are indexed so that qubit k is bit k of the index, and
+ * kets are written most significant qubit first: |q(n-1) ... q1 q0⟩.
+ *
+ * The layer never touches the page: it emits 'state' (the layer) whenever
+ * the state or last measurement changes and 'metrics' after every circuit
+ * run, and views such as QuantumStateView subscribe to those.
  */
-class QuantumLayer {
-    constructor() {
-        // Quantum state (representing 2 qubits)
+class QuantumLayer extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Number} options.numQubits - Register size (2-8, default 2)
+     * @param {String} options.mappingMode - 'threshold' (default) or 'continuous'
+     * @param {SeededRandom} options.random - Measurement randomness (default: the 'quantum' stream)
+     * @param {String} options.backend - 'statevector' (default) or 'density'
+     * @param {Object} options.noise - Noise strength expressions, see setNoiseBindings()
+     * @param {Boolean} options.evolving - Keep the register between runs (default false)
+     * @param {Array} options.measuredQubits - Qubits measured in evolving mode (default [0, 1])
+     * @param {RhythmMapping} options.rhythmMapping - Outcome-to-instrument table (default mapping)
+     * @param {Array} options.favorites - Favorite outcomes as ket patterns, see addFavorite()
+     * @param {Number} options.amplification - Favorite amplification strength (0-1, default 0)
+     * @param {Object} options.circuitParameters - Values of free circuit parameters, see setCircuitParameters()
+     */
+    constructor(options = {}) {
+        super();
+        
+        // Register size
+        this.numQubits = QuantumLayer._clampQubits(options.numQubits);
+        
+        // Simulation backend: pure state vector or density matrix
+        this.backendName = options.backend || 'statevector';
+        this.backend = QuantumBackends.create(this.backendName, this.numQubits);
+        
+        // Published snapshot of the state (amplitudes are null for density matrices)
         this.state = {
-            amplitudes: [1, 0, 0, 0], // |00⟩ initial state (100% probability)
-            probabilities: [1, 0, 0, 0]
+            amplitudes: [],
+            probabilities: [],
+            purity: 1
         };
         
+        // Noise channel strengths as expressions of the input bindings
+        // (only the density-matrix backend can represent the resulting mixed state)
+        this.noiseBindings = Object.assign({}, QuantumLayer.DEFAULT_NOISE, options.noise);
+        this.noise = { depolarizing: 0, dephasing: 0, amplitudeDamping: 0 };
+        
         // Gate parameters
         this.phase = 0;
         
+        // How input maps onto the built-in circuit ('threshold' or 'continuous')
+        this.mappingMode = QuantumLayer._validateMappingMode(options.mappingMode || 'threshold');
+        
+        // Loaded circuit executed by processInput (null = built-in mapping circuit)
+        this.circuit = null;
+        
+        // Values of the circuit's free parameters (e.g. trained rotation angles)
+        this.circuitParameters = { ...options.circuitParameters };
+        
+        // Evolving mode: the register persists between runs, gates accumulate,
+        // and only the measured qubits collapse
+        this.evolving = Boolean(options.evolving);
+        this.measuredQubits = this._filterQubits(options.measuredQubits || [0, 1]);
+        
+        // Seeded source for measurement outcomes
+        this.random = options.random || RandomService.stream('quantum');
+        
+        // Which instruments each measurement outcome triggers
+        this.rhythmMapping = options.rhythmMapping || RhythmMapping.createDefault();
+        
+        // Favorite outcomes (ket patterns) and how strongly each run amplifies them
+        this.favorites = [];
+        (options.favorites || []).forEach(pattern => this.addFavorite(pattern));
+        this.amplification = 0;
+        this.setAmplification(options.amplification || 0);
+        
         // Measurement results (used for rhythm generation)
-        this.lastMeasurement = [0, 0];
+        this.lastMeasurement = [];
+        this.lastMeasuredQubits = null; // null = every qubit was measured
         
-        // Debug element
-        this.quantumStateElement = document.getElementById('quantum-state');
+        // Entropy and entanglement of the state prepared by the last circuit run
+        this.metrics = null;
+        
+        // Observed vs theoretical outcome counts per input regime
+        this.stats = new MeasurementStats(this.dimension);
+        this.regime = MeasurementStats.regimeFor(0, 0);
+        
+        // Start in |0...0⟩
+        this.reset();
+        this.metrics = this.computeMetrics();
+    }
+    
+    /**
+     * Number of basis states (2^n)
+     */
+    get dimension() {
+        return 1 << this.numQubits;
+    }
+    
+    /**
+     * Change the register size at runtime; the register is reset to |0...0⟩
+     * @param {Number} numQubits - Register size (2-8)
+     */
+    setNumQubits(numQubits) {
+        const clamped = QuantumLayer._clampQubits(numQubits);
+        if (this.circuit && this.circuit.numQubits > clamped) {
+            throw new Error(`The loaded circuit "${this.circuit.name}" needs ${this.circuit.numQubits} qubits`);
+        }
+        
+        this.numQubits = clamped;
+        this.backend = QuantumBackends.create(this.backendName, this.numQubits);
+        const measured = this._filterQubits(this.measuredQubits);
+        this.measuredQubits = measured.length > 0 ? measured : [0, 1];
+        this.reset();
+        this.metrics = this.computeMetrics();
+        this.stats.reset(this.dimension);
+    }
+    
+    /**
+     * Switch simulation backend; the register is reset to |0...0⟩
+     * @param {String} name - 'statevector' (pure states) or 'density' (mixed
+     *                        states with noise channels)
+     */
+    setBackend(name) {
+        this.backend = QuantumBackends.create(name, this.numQubits);
+        this.backendName = name;
+        this.reset();
+    }
+    
+    /**
+     * Switch evolving mode on or off. Switching starts from a fresh |0...0⟩
+     * @param {Boolean} enabled - Keep the register between runs
+     */
+    setEvolving(enabled) {
+        this.evolving = Boolean(enabled);
+        this.reset();
+    }
+    
+    /**
+     * Choose which qubits evolving mode measures; the others stay coherent
+     * and carry the state into the next run
+     * @param {Array} qubits - Qubit indices
+     */
+    setMeasuredQubits(qubits) {
+        const filtered = this._filterQubits(qubits);
+        if (filtered.length === 0) {
+            throw new Error(`Measure at least one of the ${this.numQubits} qubits`);
+        }
+        this.measuredQubits = filtered;
+    }
+    
+    /**
+     * Mark outcomes as favorites so amplification makes them more likely
+     * @param {String} pattern - Ket pattern, highest qubit first, with x for
+     *                           "either" (e.g. '0110' or 'xx11'), as in RhythmMapping
+     * @returns {String} The normalized pattern
+     */
+    addFavorite(pattern) {
+        const normalized = String(pattern).trim().toLowerCase().replace(/\?/g, 'x');
+        if (!/^[01x]+$/.test(normalized) || !/[01]/.test(normalized)) {
+            throw new Error(`Invalid favorite "${pattern}": use 0, 1 and x, highest qubit first`);
+        }
+        if (!this.favorites.includes(normalized)) {
+            this.favorites.push(normalized);
+        }
+        return normalized;
+    }
+    
+    removeFavorite(pattern) {
+        this.favorites = this.favorites.filter(favorite => favorite !== pattern);
+    }
+    
+    clearFavorites() {
+        this.favorites = [];
+    }
+    
+    /**
+     * Favorite the last measurement (unmeasured qubits become x)
+     * @returns {String|null} The pattern added, or null before any measurement
+     */
+    favoriteLastMeasurement() {
+        if (this.lastMeasurement.length === 0) return null;
+        return this.addFavorite(this._formatMeasurement());
+    }
+    
+    /**
+     * How strongly each run pulls probability toward the favorites
+     * @param {Number} strength - 0 (off) to 1 (as far as the ceiling allows)
+     */
+    setAmplification(strength) {
+        this.amplification = Math.max(0, Math.min(1, Number(strength) || 0));
+    }
+    
+    /**
+     * Replace the measurement-to-instrument table
+     * @param {RhythmMapping|Object} mapping - Mapping or its JSON
+     */
+    setRhythmMapping(mapping) {
+        this.rhythmMapping = mapping instanceof RhythmMapping ? mapping : RhythmMapping.fromJSON(mapping);
+    }
+    
+    /**
+     * Bind noise channel strengths to input
+     * @param {Object} bindings - { depolarizing, dephasing, amplitudeDamping }
+     *        as numbers or expressions over the processInput bindings
+     *        (alpha, beta, jitter, ...), e.g. { dephasing: 'jitter*0.3' }
+     */
+    setNoiseBindings(bindings) {
+        Object.keys(bindings).forEach(channel => {
+            if (!(channel in QuantumLayer.DEFAULT_NOISE)) {
+                throw new Error(`Unknown noise channel "${channel}"`);
+            }
+            // Parse now so mistakes surface here rather than mid-performance
+            new ParameterExpression(bindings[channel]);
+        });
+        Object.assign(this.noiseBindings, bindings);
+    }
+    
+    /**
+     * Load the circuit that processInput executes
+     * @param {QuantumCircuit|Object|String|null} circuit - A QuantumCircuit, its
+     *        JSON (object or string), OpenQASM 2.0 source, or null for the default
+     * @returns {QuantumCircuit} The loaded circuit
+     */
+    loadCircuit(circuit) {
+        if (circuit === null || circuit === undefined) {
+            this.circuit = null;
+            return this.getCircuit();
+        }
+        
+        let loaded = circuit;
+        if (typeof circuit === 'string') {
+            loaded = /^\s*[{[]/.test(circuit)
+                ? QuantumCircuit.fromJSON(circuit)
+                : QuantumCircuit.fromQASM(circuit);
+        } else if (!(circuit instanceof QuantumCircuit)) {
+            loaded = QuantumCircuit.fromJSON(circuit);
+        }
+        
+        if (loaded.numQubits > QuantumLayer.MAX_QUBITS) {
+            throw new Error(`Circuit needs ${loaded.numQubits} qubits; the maximum is ${QuantumLayer.MAX_QUBITS}`);
+        }
+        
+        // Grow the register to fit the circuit
+        if (loaded.numQubits > this.numQubits) {
+            this.setNumQubits(loaded.numQubits);
+        }
+        
+        this.circuit = loaded;
+        return loaded;
+    }
+    
+    /**
+     * Circuit processInput will execute
+     */
+    getCircuit() {
+        return this.circuit || QuantumLayer.MAPPING_MODES[this.mappingMode](this.numQubits);
+    }
+    
+    /**
+     * Bind the free parameters of the loaded circuit, i.e. every name other
+     * than the input bindings (alpha, beta, jitter, ...), which take precedence
+     * @param {Object} values - e.g. { theta0: 0.3, theta1: -1.2 }
+     */
+    setCircuitParameters(values) {
+        this.circuitParameters = { ...values };
+    }
+    
+    /**
+     * Switch to one of the built-in input mappings, replacing any loaded circuit
+     * @param {String} mode - 'threshold' (alpha thresholds switch Hadamards) or
+     *                        'continuous' (alpha/beta drive rotation angles)
+     */
+    setMappingMode(mode) {
+        this.mappingMode = QuantumLayer._validateMappingMode(mode);
+        this.circuit = null;
     }
     
     /**
@@ -25,29 +282,98 @@ class QuantumLayer {
      *           [1 -1]
      */
     applyHadamard(qubit) {
-        const newState = [...this.state.amplitudes];
-        const n = this.state.amplitudes.length;
-        
-        // Apply H to the specified qubit
-        for (let i = 0; i < n; i++) {
-            // Check if we need to modify this basis state
-            const bitValue = (i >> qubit) & 1;
-            const flipMask = 1 << qubit;
-            const flipIndex = i ^ flipMask;
-            
-            // Store original values before we modify them
-            const origVal = this.state.amplitudes[i];
-            const flipVal = this.state.amplitudes[flipIndex];
-            
-            // Apply Hadamard transform
-            if (bitValue === 0) {
-                newState[i] = (origVal + flipVal) / Math.SQRT2;
-                newState[flipIndex] = (origVal - flipVal) / Math.SQRT2;
-            }
-        }
-        
-        this.state.amplitudes = newState;
-        this._updateProbabilities();
+        this._applySingleQubitGate(qubit, QuantumLayer.GATES.H);
+    }
+    
+    /**
+     * Apply Pauli-X (NOT) gate
+     * X = [0 1]
+     *     [1 0]
+     */
+    applyX(qubit) {
+        this._applySingleQubitGate(qubit, QuantumLayer.GATES.X);
+    }
+    
+    /**
+     * Apply Pauli-Y gate
+     * Y = [0 -i]
+     *     [i  0]
+     */
+    applyY(qubit) {
+        this._applySingleQubitGate(qubit, QuantumLayer.GATES.Y);
+    }
+    
+    /**
+     * Apply Pauli-Z gate
+     * Z = [1  0]
+     *     [0 -1]
+     */
+    applyZ(qubit) {
+        this._applySingleQubitGate(qubit, QuantumLayer.GATES.Z);
+    }
+    
+    /**
+     * Apply S gate (quarter turn about Z, √Z)
+     */
+    applyS(qubit) {
+        this.applyPhaseRotation(qubit, Math.PI / 2);
+    }
+    
+    /**
+     * Apply S† gate (inverse of S)
+     */
+    applySdg(qubit) {
+        this.applyPhaseRotation(qubit, -Math.PI / 2);
+    }
+    
+    /**
+     * Apply T gate (eighth turn about Z, √S)
+     */
+    applyT(qubit) {
+        this.applyPhaseRotation(qubit, Math.PI / 4);
+    }
+    
+    /**
+     * Apply T† gate (inverse of T)
+     */
+    applyTdg(qubit) {
+        this.applyPhaseRotation(qubit, -Math.PI / 4);
+    }
+    
+    /**
+     * Apply a rotation about the X axis
+     * RX(θ) = [ cos(θ/2)   -i·sin(θ/2)]
+     *         [-i·sin(θ/2)   cos(θ/2) ]
+     */
+    applyRX(qubit, theta) {
+        this._applySingleQubitGate(qubit, QuantumLayer._rotationMatrix('x', theta));
+    }
+    
+    /**
+     * Apply a rotation about the Y axis
+     * RY(θ) = [cos(θ/2) -sin(θ/2)]
+     *         [sin(θ/2)  cos(θ/2)]
+     */
+    applyRY(qubit, theta) {
+        this._applySingleQubitGate(qubit, QuantumLayer._rotationMatrix('y', theta));
+    }
+    
+    /**
+     * Apply a rotation about the Z axis
+     * RZ(θ) = [e^(-iθ/2)     0    ]
+     *         [    0     e^(iθ/2) ]
+     */
+    applyRZ(qubit, theta) {
+        this._applySingleQubitGate(qubit, QuantumLayer._rotationMatrix('z', theta));
+    }
+    
+    /**
+     * Apply a phase rotation gate to the specified qubit
+     * R_phi = [1      0     ]
+     *         [0  e^(i*phi) ]
+     */
+    applyPhaseRotation(qubit, phase) {
+        this._applySingleQubitGate(qubit, QuantumLayer._phaseMatrix(phase));
     }
     
     /**
@@ -58,65 +384,146 @@ class QuantumLayer {
      *        [0 0 1 0]
      */
     applyCNOT(controlQubit, targetQubit) {
-        const newState = [...this.state.amplitudes];
-        const n = this.state.amplitudes.length;
-        
-        for (let i = 0; i < n; i++) {
-            // Check if control qubit is 1
-            const controlValue = (i >> controlQubit) & 1;
-            
-            if (controlValue === 1) {
-                // Flip target qubit
-                const flipMask = 1 << targetQubit;
-                const flipIndex = i ^ flipMask;
-                
-                // Swap amplitudes
-                newState[i] = this.state.amplitudes[flipIndex];
-                newState[flipIndex] = this.state.amplitudes[i];
-            }
+        this._applyControlledGate([controlQubit], targetQubit, QuantumLayer.GATES.X);
+    }
+    
+    /**
+     * Apply controlled-Z gate (symmetric in its two qubits)
+     */
+    applyCZ(controlQubit, targetQubit) {
+        this._applyControlledGate([controlQubit], targetQubit, QuantumLayer.GATES.Z);
+    }
+    
+    /**
+     * Apply controlled phase rotation: |11⟩ picks up e^(i*phi)
+     */
+    applyControlledPhase(controlQubit, targetQubit, phase) {
+        this._applyControlledGate([controlQubit], targetQubit, QuantumLayer._phaseMatrix(phase));
+    }
+    
+    /**
+     * Apply RX(θ) to the target only when the control qubit is 1
+     */
+    applyCRX(controlQubit, targetQubit, theta) {
+        this._applyControlledGate([controlQubit], targetQubit, QuantumLayer._rotationMatrix('x', theta));
+    }
+    
+    /**
+     * Apply RY(θ) to the target only when the control qubit is 1
+     */
+    applyCRY(controlQubit, targetQubit, theta) {
+        this._applyControlledGate([controlQubit], targetQubit, QuantumLayer._rotationMatrix('y', theta));
+    }
+    
+    /**
+     * Apply RZ(θ) to the target only when the control qubit is 1
+     */
+    applyCRZ(controlQubit, targetQubit, theta) {
+        this._applyControlledGate([controlQubit], targetQubit, QuantumLayer._rotationMatrix('z', theta));
+    }
+    
+    /**
+     * Apply SWAP gate (exchange the states of two qubits)
+     */
+    applySWAP(qubitA, qubitB) {
+        this._applyMatrix(QuantumLayer.GATES.SWAP, [qubitA, qubitB]);
+    }
+    
+    /**
+     * Apply Toffoli gate (controlled-controlled-NOT)
+     */
+    applyToffoli(controlA, controlB, targetQubit) {
+        this._applyControlledGate([controlA, controlB], targetQubit, QuantumLayer.GATES.X);
+    }
+    
+    /**
+     * Apply an arbitrary unitary to a list of qubits
+     * @param {Array} matrix - 2^k x 2^k matrix of numbers or { re, im } entries
+     * @param {Array} qubits - k target qubits; qubits[j] is bit j of the
+     *                         matrix row/column index (same convention as the register)
+     */
+    applyUnitary(matrix, qubits) {
+        const size = 1 << qubits.length;
+        if (!Array.isArray(matrix) || matrix.length !== size ||
+            matrix.some(row => !Array.isArray(row) || row.length !== size)) {
+            throw new Error(`applyUnitary expects a ${size}x${size} matrix for ${qubits.length} qubit(s)`);
         }
         
-        this.state.amplitudes = newState;
-        this._updateProbabilities();
+        this._applyMatrix(matrix.map(row => row.map(value => Complex.from(value))), qubits);
     }
     
     /**
-     * Apply a phase rotation gate to the specified qubit
-     * R_phi = [1      0     ]
-     *         [0  e^(i*phi) ]
+     * Apply a 2x2 gate matrix to one qubit
      */
-    applyPhaseRotation(qubit, phase) {
-        const newState = [...this.state.amplitudes];
-        const n = this.state.amplitudes.length;
-        
-        for (let i = 0; i < n; i++) {
-            // Check if qubit is 1
-            const bitValue = (i >> qubit) & 1;
-            
-            if (bitValue === 1) {
-                // Apply phase rotation
-                const real = Math.cos(phase);
-                const imag = Math.sin(phase);
-                
-                // In this simplified version, we're using real numbers only
-                newState[i] = this.state.amplitudes[i] * real;
-            }
-        }
+    _applySingleQubitGate(qubit, matrix) {
+        this._applyMatrix(matrix, [qubit]);
+    }
+    
+    /**
+     * Apply a 2x2 gate matrix to the target qubit wherever all control qubits are 1
+     */
+    _applyControlledGate(controlQubits, targetQubit, matrix) {
+        this._applyMatrix(matrix, [targetQubit], controlQubits);
+    }
+    
+    /**
+     * Every gate ends up here: apply it on the backend, then let the touched
+     * qubits decohere according to the current noise levels
+     */
+    _applyMatrix(matrix, targets, controls = []) {
+        this._validateQubits([...controls, ...targets]);
+        
+        this.backend.applyMatrix(matrix, targets, controls);
+        this._applyNoise([...controls, ...targets]);
         
-        this.state.amplitudes = newState;
         this._updateProbabilities();
     }
     
     /**
-     * Update probabilities based on current amplitudes
+     * Apply the noise channels to each qubit (density-matrix backend only)
      */
-    _updateProbabilities() {
-        const probabilities = [];
+    _applyNoise(qubits) {
+        if (this.backend.isPure) return;
         
-        // Calculate probabilities (|amplitude|^2)
-        for (let i = 0; i < this.state.amplitudes.length; i++) {
-            probabilities[i] = Math.pow(this.state.amplitudes[i], 2);
+        qubits.forEach(qubit => {
+            Object.keys(this.noise).forEach(channel => {
+                if (this.noise[channel] > 0) {
+                    this.backend.applyChannel(NoiseChannels[channel](this.noise[channel]), qubit);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Ensure gate qubits exist in the register and are distinct
+     */
+    _validateQubits(qubits) {
+        qubits.forEach(qubit => {
+            if (!Number.isInteger(qubit) || qubit < 0 || qubit >= this.numQubits) {
+                throw new Error(`Qubit ${qubit} is outside the ${this.numQubits}-qubit register`);
+            }
+        });
+        
+        if (new Set(qubits).size !== qubits.length) {
+            throw new Error(`Gate qubits must be distinct: ${qubits.join(', ')}`);
         }
+    }
+    
+    /**
+     * Distinct, in-range qubit indices in ascending order
+     */
+    _filterQubits(qubits) {
+        return [...new Set(qubits)]
+            .filter(q => Number.isInteger(q) && q >= 0 && q < this.numQubits)
+            .sort((a, b) => a - b);
+    }
+    
+    /**
+     * Update probabilities based on the backend state
+     */
+    _updateProbabilities() {
+        // Calculate probabilities (|amplitude|^2, or the diagonal of ρ)
+        const probabilities = this.backend.probabilities();
         
         // Normalize probabilities (in case of numerical errors)
         const sum = probabilities.reduce((acc, val) => acc + val, 0);
@@ -126,46 +533,166 @@ class QuantumLayer {
             }
         }
         
+        this.state.amplitudes = this.backend.amplitudes;
         this.state.probabilities = probabilities;
-        this._updateDebugInfo();
+        this.state.purity = this.backend.purity();
+        this._notifyState();
     }
     
     /**
      * Process input values through quantum circuit
+     * @param {Number} alphaValue - Alpha wave value (0-1)
+     * @param {Number} betaValue - Beta wave value (0-1)
+     * @param {Object} bindings - Extra circuit/noise parameters, e.g. { jitter }
+     * @returns {Array} Instrument hits [{ instrument, velocity, offset, note }]
      */
-    processInput(alphaValue, betaValue) {
-        // Reset to initial state |00⟩
-        this.reset();
+    processInput(alphaValue, betaValue, bindings = {}) {
+        this._prepare(alphaValue, betaValue, bindings);
         
-        // Map input values to quantum gate parameters
-        const hadamardStrength = alphaValue;
+        // Perform measurement to get rhythm triggers
+        if (this.evolving) {
+            this.measureQubits(this.measuredQubits);
+            return this._mapMeasurementToRhythm();
+        }
+        return this.measure();
+    }
+    
+    /**
+     * Run the loaded circuit with the input bound as parameters, from |0...0⟩
+     * or, in evolving mode, on top of the current state
+     */
+    _prepare(alphaValue, betaValue, bindings = {}) {
+        // Reset to initial state |0...0⟩
+        if (!this.evolving) {
+            this.reset();
+        }
+        
+        // Beta drives the phase of the default circuit (shown in the debug panel)
         this.phase = betaValue * Math.PI;
         
-        // Create superposition based on alpha value
-        if (hadamardStrength > 0.3) {
-            this.applyHadamard(0);
-        }
-        if (hadamardStrength > 0.6) {
-            this.applyHadamard(1);
+        // Shots until the next run are counted under this input regime
+        this.regime = MeasurementStats.regimeFor(alphaValue, betaValue);
+        
+        const values = {
+            jitter: 0,
+            ...this.circuitParameters,
+            ...bindings,
+            alpha: alphaValue,
+            beta: betaValue
+        };
+        
+        // Noise levels follow the input for this run
+        Object.keys(this.noise).forEach(channel => {
+            const level = new ParameterExpression(this.noiseBindings[channel]).evaluate(values);
+            this.noise[channel] = Math.max(0, Math.min(1, level));
+        });
+        
+        this.getCircuit().run(this, values);
+        
+        // Make favorite outcomes more likely
+        this._amplifyFavorites();
+        
+        // Measure entropy/entanglement before measurement collapses the state
+        this._updateMetrics();
+    }
+    
+    /**
+     * One amplitude-amplification step toward the favorites: an oracle that
+     * phases the favorite basis states by e^(iφ), then a reflection about the
+     * prepared state |ψ⟩ with the same phase (φ = π is a Grover iteration).
+     * φ is chosen so the favorites' total probability moves the amplification
+     * fraction of the way to the most one step can reach, capped at
+     * MAX_FAVORITE_PROBABILITY, so the whole slider has an effect but never
+     * makes the favorites certain.
+     * Density matrices reflect about their dominant eigenvector.
+     */
+    _amplifyFavorites() {
+        if (this.amplification === 0 || this.favorites.length === 0) return;
+        
+        const marked = [];
+        for (let i = 0; i < this.dimension; i++) {
+            marked[i] = this.favorites.some(pattern => RhythmMapping.matches(pattern, i));
         }
         
-        // Apply phase rotation based on beta value
-        this.applyPhaseRotation(0, this.phase);
+        const psi = this.backend.dominantState();
+        const p = psi.reduce((sum, a, i) => (marked[i] ? sum + Complex.abs2(a) : sum), 0);
         
-        // Apply CNOT to entangle qubits
-        this.applyCNOT(0, 1);
+        // Nothing to amplify (or nothing else left)
+        const ceiling = QuantumLayer.MAX_FAVORITE_PROBABILITY;
+        if (p < 1e-9 || p >= ceiling) return;
         
-        // Perform measurement to get rhythm triggers
-        return this.measure();
+        const reachable = Math.min(ceiling, QuantumLayer._maxAmplified(p));
+        const phi = QuantumLayer._amplificationPhase(p, p + this.amplification * (reachable - p));
+        
+        // Oracle diag(e^(iφ) on favorites, 1 elsewhere), then the reflection about ψ
+        const phase = Complex.fromPolar(1, phi);
+        this.backend.applyDiagonal(marked.map(isFavorite => (isFavorite ? phase : Complex.create(1, 0))));
+        this.backend.reflectAbout(psi, phi);
+        
+        // Like any gate on the whole register, the step lets every qubit decohere
+        this._applyNoise([...Array(this.numQubits).keys()]);
+        this._updateProbabilities();
     }
     
     /**
-     * Reset quantum state to |00⟩
+     * Entropy and entanglement measures of the current state
+     * @returns {Object} {
+     *   entropy: Shannon entropy of the outcomes normalized to 0-1,
+     *   complexity: mean von Neumann entropy of the single qubits (0-1),
+     *   shannonEntropy: Shannon entropy in bits,
+     *   vonNeumannEntropy: [bits per qubit],
+     *   concurrence: n x n matrix of pairwise concurrence,
+     *   blochVectors: [{ x, y, z } per qubit]
+     * }
+     */
+    computeMetrics() {
+        const qubits = [...Array(this.numQubits).keys()];
+        const reduced = qubits.map(q => this.backend.reducedDensityMatrix([q]));
+        const vonNeumannEntropy = reduced.map(rho => QuantumMetrics.vonNeumannEntropy(rho));
+        const shannonEntropy = QuantumMetrics.shannonEntropy(this.state.probabilities);
+        
+        const concurrence = qubits.map(() => new Array(this.numQubits).fill(0));
+        qubits.forEach(a => {
+            for (let b = a + 1; b < this.numQubits; b++) {
+                const value = QuantumMetrics.concurrence(this.backend.reducedDensityMatrix([a, b]));
+                concurrence[a][b] = value;
+                concurrence[b][a] = value;
+            }
+        });
+        
+        return {
+            entropy: shannonEntropy / this.numQubits,
+            complexity: vonNeumannEntropy.reduce((sum, s) => sum + s, 0) / this.numQubits,
+            shannonEntropy,
+            vonNeumannEntropy,
+            concurrence,
+            blochVectors: reduced.map(rho => QuantumMetrics.blochVector(rho))
+        };
+    }
+    
+    /**
+     * Recompute the metrics and publish them as a 'metrics' event
+     */
+    _updateMetrics() {
+        this.metrics = this.computeMetrics();
+        this._emitMetrics();
+    }
+    
+    _emitMetrics() {
+        this.emit('metrics', {
+            ...this.metrics,
+            purity: this.state.purity,
+            probabilities: this.state.probabilities,
+            numQubits: this.numQubits
+        });
+    }
+    
+    /**
+     * Reset quantum state to |0...0⟩
      */
     reset() {
-        this.state.amplitudes = [1, 0, 0, 0];
-        this.state.probabilities = [1, 0, 0, 0];
-        this._updateDebugInfo();
+        this.backend.reset();
+        this._updateProbabilities();
     }
     
     /**
@@ -173,70 +700,306 @@ class QuantumLayer {
      */
     measure() {
         // Simulate measurement outcome based on probabilities
-        const rand = Math.random();
+        const index = this._sampleIndex();
+        
+        // Convert to binary representation (ket order, highest qubit first)
+        this.lastMeasurement = QuantumLayer._indexToBits(index, this.numQubits);
+        this.lastMeasuredQubits = null;
+        
+        // Update quantum state to measured state
+        this.backend.collapseTo(index);
+        this._updateProbabilities();
+        
+        // Convert measurement to rhythm triggers
+        return this._mapMeasurementToRhythm();
+    }
+    
+    /**
+     * Mid-circuit measurement of some qubits: the outcome is drawn from their
+     * marginal distribution and only they collapse; the rest of the register
+     * keeps its (conditional) superposition
+     * @param {Array} qubits - Qubits to measure
+     * @returns {Array} Measured bit of each qubit, in the order given
+     */
+    measureQubits(qubits) {
+        this._validateQubits(qubits);
+        const mask = qubits.reduce((bits, q) => bits | (1 << q), 0);
+        
+        // A full-register sample has the right marginal on the measured qubits
+        const value = this._sampleIndex() & mask;
+        
+        this.backend.collapseQubits(mask, value);
+        this._updateProbabilities();
+        
+        // Unmeasured qubits read as 0 (their voices stay silent)
+        this.lastMeasurement = QuantumLayer._indexToBits(value, this.numQubits);
+        this.lastMeasuredQubits = [...qubits];
+        this._notifyState();
+        
+        return qubits.map(q => (value >> q) & 1);
+    }
+    
+    /**
+     * Sample measurement outcomes without collapsing the state, as if the
+     * circuit were prepared and measured once per shot
+     * @param {Number} shots - Number of samples
+     * @returns {Array} Basis state index of each shot
+     */
+    sample(shots) {
+        const outcomes = [];
+        for (let i = 0; i < shots; i++) {
+            outcomes.push(this._sampleIndex());
+        }
+        return outcomes;
+    }
+    
+    /**
+     * Run the loaded circuit and sample it many times to build a full drum grid.
+     * In evolving mode the bar ends with one real measurement of the measured
+     * qubits, whose collapse carries into the next bar
+     * @param {Number} alphaValue - Alpha wave value (0-1)
+     * @param {Number} betaValue - Beta wave value (0-1)
+     * @param {Object} options
+     * @param {Number} options.steps - Grid length (default 16)
+     * @param {String} options.mode - 'per-step': one shot decides each step;
+     *                                'histogram': shots are aggregated into hit
+     *                                densities spread evenly across the grid
+     * @param {Number} options.shots - Shots for histogram mode (default 4 per step)
+     * @param {Object} options.bindings - Extra circuit/noise parameters, e.g. { jitter }
+     * @returns {Object} { steps, grid: [[{ instrument, velocity, note }] per step], histogram }
+     */
+    generatePattern(alphaValue, betaValue, options = {}) {
+        const steps = options.steps || 16;
+        const mode = options.mode || 'per-step';
+        const shots = mode === 'per-step' ? steps : (options.shots || steps * 4);
+        
+        // Prepare the state once; every shot samples the same distribution
+        this._prepare(alphaValue, betaValue, options.bindings);
+        
+        const outcomes = this.sample(shots);
+        const histogram = new Array(this.dimension).fill(0);
+        outcomes.forEach(index => histogram[index]++);
+        
+        const grid = Array.from({ length: steps }, () => []);
+        
+        // Rule offsets shift hits along the grid, wrapping around the bar
+        const place = (step, { instrument, velocity, offset, note }) => {
+            const target = (((step + offset) % steps) + steps) % steps;
+            grid[target].push({ instrument, velocity, note });
+        };
+        
+        if (mode === 'per-step') {
+            outcomes.forEach((index, step) => {
+                this._mapIndexToRhythm(index).forEach(event => place(step, event));
+            });
+        } else {
+            const rules = this.rhythmMapping.rules;
+            rules.forEach((rule, ruleIndex) => {
+                // Fraction of shots in which this rule fired
+                const hitRate = outcomes.filter(index => RhythmMapping.matches(rule.pattern, index)).length / shots;
+                const hits = Math.round(hitRate * steps);
+                
+                // Spread the hits evenly, offsetting each rule so they interlock
+                const rotation = Math.round(ruleIndex * steps / rules.length);
+                for (let step = 0; step < steps; step++) {
+                    if (Math.floor((step + 1) * hits / steps) > Math.floor(step * hits / steps)) {
+                        place(step + rotation, rule);
+                    }
+                }
+            });
+        }
+        
+        if (this.evolving) {
+            // One real mid-circuit measurement per bar carries the state forward
+            this.measureQubits(this.measuredQubits);
+        } else {
+            // The last shot is what the debug panel and visualizer show
+            this.lastMeasurement = QuantumLayer._indexToBits(outcomes[outcomes.length - 1], this.numQubits);
+            this.lastMeasuredQubits = null;
+            this._notifyState();
+        }
+        
+        return { steps, grid, histogram };
+    }
+    
+    /**
+     * Draw a basis state index from the current probabilities and count it
+     * in the measurement statistics
+     */
+    _sampleIndex() {
+        const index = this._drawIndex();
+        this.stats.record(this.regime, index, this.state.probabilities);
+        return index;
+    }
+    
+    _drawIndex() {
+        const rand = this.random.next();
         let cumulativeProb = 0;
         
         for (let i = 0; i < this.state.probabilities.length; i++) {
             cumulativeProb += this.state.probabilities[i];
-            
             if (rand < cumulativeProb) {
-                // Convert to binary representation
-                this.lastMeasurement = [
-                    (i >> 1) & 1,  // First qubit
-                    i & 1          // Second qubit
-                ];
-                
-                // Update quantum state to measured state
-                const newState = [0, 0, 0, 0];
-                newState[i] = 1;
-                this.state.amplitudes = newState;
-                this.state.probabilities = [0, 0, 0, 0];
-                this.state.probabilities[i] = 1;
-                
-                break;
+                return i;
             }
         }
         
-        this._updateDebugInfo();
-        
-        // Convert measurement to rhythm triggers
-        return this._mapMeasurementToRhythm();
+        // Rounding left the sum just under 1: fall back to the last possible state
+        let last = this.state.probabilities.length - 1;
+        while (last > 0 && this.state.probabilities[last] === 0) last--;
+        return last;
     }
     
     /**
-     * Map measurement results to rhythm triggers
+     * Map measurement results to rhythm triggers; in evolving mode rules
+     * that test an unmeasured qubit stay silent
      */
     _mapMeasurementToRhythm() {
-        // Calculate combined state as a decimal (0-3)
-        const stateValue = (this.lastMeasurement[0] << 1) | this.lastMeasurement[1];
+        const index = QuantumLayer._bitsToIndex(this.lastMeasurement);
+        const measuredMask = this.lastMeasuredQubits
+            ? this.lastMeasuredQubits.reduce((mask, q) => mask | (1 << q), 0)
+            : -1;
+        return this.rhythmMapping.eventsFor(index, measuredMask);
+    }
+    
+    /**
+     * Map a basis state index to instrument hits via the rhythm mapping
+     */
+    _mapIndexToRhythm(index) {
+        return this.rhythmMapping.eventsFor(index);
+    }
+    
+    /**
+     * Tell views (e.g. the debug panel) that the state or last measurement changed
+     */
+    _notifyState() {
+        this.emit('state', this);
+    }
+    
+    /**
+     * Last measurement as a ket, with '?' for qubits that were not measured
+     */
+    _formatMeasurement() {
+        return this.lastMeasurement.map((bit, position) => {
+            const qubit = this.numQubits - 1 - position;
+            const measured = !this.lastMeasuredQubits || this.lastMeasuredQubits.includes(qubit);
+            return measured ? bit : '?';
+        }).join('');
+    }
+    
+    /**
+     * Settings another layer needs to behave like this one (plain JSON, e.g.
+     * for a layer running in a worker)
+     */
+    getConfig() {
+        return {
+            numQubits: this.numQubits,
+            mappingMode: this.mappingMode,
+            backend: this.backendName,
+            noise: { ...this.noiseBindings },
+            circuit: this.circuit ? this.circuit.toJSON() : null,
+            circuitParameters: { ...this.circuitParameters },
+            evolving: this.evolving,
+            measuredQubits: [...this.measuredQubits],
+            rhythmMapping: this.rhythmMapping.toJSON(),
+            favorites: [...this.favorites],
+            amplification: this.amplification
+        };
+    }
+    
+    /**
+     * Adopt settings from getConfig(). Only settings that differ are applied,
+     * so an evolving register survives unrelated changes
+     * @param {Object} config - Any subset of the getConfig() fields
+     */
+    applyConfig(config) {
+        const current = this.getConfig();
+        const changed = key => key in config && JSON.stringify(config[key]) !== JSON.stringify(current[key]);
+        
+        // Drop the old circuit first so that it cannot block a resize
+        if (changed('circuit')) this.circuit = null;
+        if (changed('numQubits')) this.setNumQubits(config.numQubits);
+        if (changed('backend')) this.setBackend(config.backend);
+        if (changed('noise')) this.setNoiseBindings(config.noise);
+        if (changed('mappingMode')) this.mappingMode = QuantumLayer._validateMappingMode(config.mappingMode);
+        if (changed('circuit') && config.circuit) this.loadCircuit(config.circuit);
+        if (changed('circuitParameters')) this.setCircuitParameters(config.circuitParameters);
+        if (changed('evolving')) this.setEvolving(config.evolving);
+        if (changed('measuredQubits')) this.setMeasuredQubits(config.measuredQubits);
+        if (changed('rhythmMapping')) this.setRhythmMapping(config.rhythmMapping);
+        if (changed('favorites')) {
+            this.clearFavorites();
+            config.favorites.forEach(pattern => this.addFavorite(pattern));
+        }
+        if (changed('amplification')) this.setAmplification(config.amplification);
+    }
+    
+    /**
+     * State, last measurement and metrics with the large arrays packed into
+     * typed arrays (amplitudes interleaved re, im; a mixed state's density
+     * matrix as its real and imaginary parts), ready to be transferred
+     */
+    getSnapshot() {
+        let amplitudes = null;
+        let density = null;
+        if (this.state.amplitudes) {
+            amplitudes = new Float64Array(2 * this.dimension);
+            this.state.amplitudes.forEach((a, i) => {
+                amplitudes[2 * i] = a.re;
+                amplitudes[2 * i + 1] = a.im;
+            });
+        } else {
+            density = { real: Float64Array.from(this.backend.real), imag: Float64Array.from(this.backend.imag) };
+        }
         
-        // Each state triggers different drum combinations
         return {
-            kick: stateValue === 1 || stateValue === 3,
-            snare: stateValue === 2 || stateValue === 3,
-            hihat: stateValue === 1 || stateValue === 2,
-            clap: stateValue === 3
+            numQubits: this.numQubits,
+            backend: this.backendName,
+            amplitudes,
+            density,
+            probabilities: Float64Array.from(this.state.probabilities),
+            purity: this.state.purity,
+            lastMeasurement: [...this.lastMeasurement],
+            lastMeasuredQubits: this.lastMeasuredQubits,
+            phase: this.phase,
+            regime: this.regime,
+            metrics: this.metrics
         };
     }
     
     /**
-     * Update the debug panel with quantum state information
+     * Mirror a snapshot taken from another layer, e.g. the one in the
+     * simulation worker, and notify this layer's views. The backend takes
+     * the snapshot's state too, so simulating here carries on from it.
+     * Snapshots of a different register size or backend (taken before a
+     * resize or switch) are ignored
+     * @returns {Boolean} Whether the snapshot was applied
      */
-    _updateDebugInfo() {
-        if (this.quantumStateElement) {
-            const stateInfo = [
-                `State Vector:`,
-                `|00⟩: ${this.state.amplitudes[0].toFixed(3)} (${(this.state.probabilities[0] * 100).toFixed(1)}%)`,
-                `|01⟩: ${this.state.amplitudes[1].toFixed(3)} (${(this.state.probabilities[1] * 100).toFixed(1)}%)`,
-                `|10⟩: ${this.state.amplitudes[2].toFixed(3)} (${(this.state.probabilities[2] * 100).toFixed(1)}%)`,
-                `|11⟩: ${this.state.amplitudes[3].toFixed(3)} (${(this.state.probabilities[3] * 100).toFixed(1)}%)`,
-                ``,
-                `Last Measurement: |${this.lastMeasurement[0]}${this.lastMeasurement[1]}⟩`,
-                `Phase: ${(this.phase / Math.PI).toFixed(2)}π`
-            ].join('\n');
-            
-            this.quantumStateElement.textContent = stateInfo;
+    applySnapshot(snapshot) {
+        if (snapshot.numQubits !== this.numQubits || snapshot.backend !== this.backendName) return false;
+        
+        const amplitudes = snapshot.amplitudes;
+        if (this.backend.isPure) {
+            this.backend.amplitudes = Array.from({ length: this.dimension },
+                (_, i) => Complex.create(amplitudes[2 * i], amplitudes[2 * i + 1]));
+        } else {
+            this.backend.real = snapshot.density.real;
+            this.backend.imag = snapshot.density.imag;
         }
+        
+        this.state = {
+            amplitudes: this.backend.amplitudes,
+            probabilities: Array.from(snapshot.probabilities),
+            purity: snapshot.purity
+        };
+        this.lastMeasurement = snapshot.lastMeasurement;
+        this.lastMeasuredQubits = snapshot.lastMeasuredQubits;
+        this.phase = snapshot.phase;
+        this.regime = snapshot.regime;
+        this.metrics = snapshot.metrics;
+        
+        this._notifyState();
+        this._emitMetrics();
+        return true;
     }
     
     /**
@@ -244,13 +1007,204 @@ class QuantumLayer {
      */
     getStateForVisualization() {
         return {
+            // Amplitudes and their phases (radians) exist only for pure states
             amplitudes: this.state.amplitudes,
+            phases: this.state.amplitudes ? this.state.amplitudes.map(a => Complex.arg(a)) : null,
             probabilities: this.state.probabilities,
+            // Tr(ρ²): 1 = pure, lower = decohered
+            purity: this.state.purity,
+            // Probability of measuring 1 on each qubit (index = qubit)
+            qubitProbabilities: this._qubitProbabilities(),
+            numQubits: this.numQubits,
             lastMeasurement: this.lastMeasurement,
-            phase: this.phase
+            // Qubits the last measurement covered (null = all)
+            lastMeasuredQubits: this.lastMeasuredQubits,
+            evolving: this.evolving,
+            phase: this.phase,
+            // Entropy/entanglement of the state before it was measured
+            ...this.metrics
+        };
+    }
+    
+    /**
+     * Marginal probability of each qubit being 1
+     */
+    _qubitProbabilities() {
+        const marginals = new Array(this.numQubits).fill(0);
+        
+        for (let i = 0; i < this.dimension; i++) {
+            for (let q = 0; q < this.numQubits; q++) {
+                if ((i >> q) & 1) {
+                    marginals[q] += this.state.probabilities[i];
+                }
+            }
+        }
+        
+        return marginals;
+    }
+    
+    /**
+     * Most probability one amplification step can give favorites that start
+     * at p: a Grover iteration's sin²(3·asin√p) below 1/4, certainty from there
+     */
+    static _maxAmplified(p) {
+        return p < 0.25 ? Math.sin(3 * Math.asin(Math.sqrt(p))) ** 2 : 1;
+    }
+    
+    /**
+     * Phase φ of the amplification step that takes the favorites' probability
+     * from p to the target (or as close as one step can get). One step yields
+     * P(φ) = p·|e^(iφ) - (1 - e^(iφ))(p·e^(iφ) + 1 - p)|²
+     */
+    static _amplificationPhase(p, target) {
+        const amplified = phi => {
+            const phase = Complex.fromPolar(1, phi);
+            const overlap = Complex.add(Complex.scale(phase, p), Complex.create(1 - p, 0));
+            const amplitude = Complex.sub(phase, Complex.mul(Complex.sub(Complex.create(1, 0), phase), overlap));
+            return p * Complex.abs2(amplitude);
         };
+        
+        // P(0) = p; scan for the first phase that reaches the target, then bisect
+        const samples = 64;
+        let best = 0;
+        for (let k = 1; k <= samples; k++) {
+            const phi = Math.PI * k / samples;
+            if (amplified(phi) >= target) {
+                let low = Math.PI * (k - 1) / samples;
+                let high = phi;
+                for (let i = 0; i < 30; i++) {
+                    const mid = (low + high) / 2;
+                    if (amplified(mid) >= target) {
+                        high = mid;
+                    } else {
+                        low = mid;
+                    }
+                }
+                return high;
+            }
+            if (amplified(phi) > amplified(best)) best = phi;
+        }
+        return best;
+    }
+    
+    /**
+     * Phase gate matrix diag(1, e^(i*phi))
+     */
+    static _phaseMatrix(phase) {
+        return [
+            [Complex.create(1, 0), Complex.create(0, 0)],
+            [Complex.create(0, 0), Complex.fromPolar(1, phase)]
+        ];
+    }
+    
+    /**
+     * Rotation matrix about the x, y or z axis of the Bloch sphere
+     */
+    static _rotationMatrix(axis, theta) {
+        const c = Math.cos(theta / 2);
+        const s = Math.sin(theta / 2);
+        
+        if (axis === 'x') {
+            return [
+                [Complex.create(c, 0), Complex.create(0, -s)],
+                [Complex.create(0, -s), Complex.create(c, 0)]
+            ];
+        }
+        if (axis === 'y') {
+            return [
+                [Complex.create(c, 0), Complex.create(-s, 0)],
+                [Complex.create(s, 0), Complex.create(c, 0)]
+            ];
+        }
+        return [
+            [Complex.fromPolar(1, -theta / 2), Complex.create(0, 0)],
+            [Complex.create(0, 0), Complex.fromPolar(1, theta / 2)]
+        ];
+    }
+    
+    /**
+     * Convert a basis index to bits in ket order (highest qubit first)
+     */
+    static _indexToBits(index, numQubits) {
+        const bits = [];
+        for (let q = numQubits - 1; q >= 0; q--) {
+            bits.push((index >> q) & 1);
+        }
+        return bits;
+    }
+    
+    /**
+     * Convert bits in ket order back to a basis index
+     */
+    static _bitsToIndex(bits) {
+        return bits.reduce((index, bit) => (index << 1) | bit, 0);
+    }
+    
+    static _validateMappingMode(mode) {
+        if (!(mode in QuantumLayer.MAPPING_MODES)) {
+            throw new Error(`Unknown mapping mode "${mode}"`);
+        }
+        return mode;
+    }
+    
+    static _clampQubits(numQubits) {
+        const n = Math.round(numQubits || QuantumLayer.MIN_QUBITS);
+        return Math.max(QuantumLayer.MIN_QUBITS, Math.min(QuantumLayer.MAX_QUBITS, n));
     }
 }
 
+// Register size limits
+QuantumLayer.MIN_QUBITS = 2;
+QuantumLayer.MAX_QUBITS = 8;
+
+// Built-in circuits that map alpha/beta onto the register
+QuantumLayer.MAPPING_MODES = {
+    threshold: (numQubits) => QuantumCircuit.thresholdRhythm(numQubits),
+    continuous: (numQubits) => QuantumCircuit.continuousRhythm(numQubits)
+};
+
+// Default noise strengths: erratic mouse movement (jitter) decoheres the register
+QuantumLayer.DEFAULT_NOISE = {
+    depolarizing: 'jitter*0.08',
+    dephasing: 'jitter*0.2',
+    amplitudeDamping: 'jitter*0.05'
+};
+
+// Fixed gate matrices
+QuantumLayer.GATES = {
+    I: [
+        [Complex.create(1, 0), Complex.create(0, 0)],
+        [Complex.create(0, 0), Complex.create(1, 0)]
+    ],
+    H: [
+        [Complex.create(Math.SQRT1_2, 0), Complex.create(Math.SQRT1_2, 0)],
+        [Complex.create(Math.SQRT1_2, 0), Complex.create(-Math.SQRT1_2, 0)]
+    ],
+    X: [
+        [Complex.create(0, 0), Complex.create(1, 0)],
+        [Complex.create(1, 0), Complex.create(0, 0)]
+    ],
+    Y: [
+        [Complex.create(0, 0), Complex.create(0, -1)],
+        [Complex.create(0, 1), Complex.create(0, 0)]
+    ],
+    Z: [
+        [Complex.create(1, 0), Complex.create(0, 0)],
+        [Complex.create(0, 0), Complex.create(-1, 0)]
+    ],
+    SWAP: [
+        [Complex.create(1, 0), Complex.create(0, 0), Complex.create(0, 0), Complex.create(0, 0)],
+        [Complex.create(0, 0), Complex.create(0, 0), Complex.create(1, 0), Complex.create(0, 0)],
+        [Complex.create(0, 0), Complex.create(1, 0), Complex.create(0, 0), Complex.create(0, 0)],
+        [Complex.create(0, 0), Complex.create(0, 0), Complex.create(0, 0), Complex.create(1, 0)]
+    ]
+};
+
+// Amplification never pushes the favorites' total probability past this
+QuantumLayer.MAX_FAVORITE_PROBABILITY = 0.85;
+
+// Percussion voices driven by qubits 2 and up in the default rhythm mapping
+QuantumLayer.EXTRA_VOICES = ['tom', 'rim', 'shaker', 'cowbell', 'ride', 'crash'];
+
 // Export the class for use in other modules
-window.QuantumLayer = QuantumLayer;
\ No newline at end of file
+globalThis.QuantumLayer = QuantumLayer;
\ No newline at end of file
@@ -0,0 +1,161 @@
+/**
+ * QuantumMetrics - Entropy and entanglement measures of a quantum state
+ *
+ * Matrices are square arrays of { re, im }, as returned by the backends'
+ * reducedDensityMatrix(). Entropies are in bits.
+ */
+const QuantumMetrics = {
+    /**
+     * Shannon entropy of a probability distribution
+     */
+    shannonEntropy(probabilities) {
+        return probabilities.reduce((sum, p) => (p > 0 ? sum - p * Math.log2(p) : sum), 0);
+    },
+    
+    /**
+     * Von Neumann entropy S(ρ) = -Tr(ρ log ρ): 0 for a pure state, 1 bit for
+     * a maximally mixed (or maximally entangled) qubit
+     */
+    vonNeumannEntropy(rho) {
+        return Math.max(0, QuantumMetrics.shannonEntropy(QuantumMetrics.hermitianEigenvalues(rho)));
+    },
+    
+    /**
+     * Bloch vector { x, y, z } of a single-qubit density matrix:
+     * ρ = (I + xX + yY + zZ) / 2. Length 1 on the surface (pure), 0 at the centre
+     */
+    blochVector(rho) {
+        return {
+            x: 2 * rho[0][1].re,
+            y: -2 * rho[0][1].im,
+            z: rho[0][0].re - rho[1][1].re
+        };
+    },
+    
+    /**
+     * Wootters concurrence of a two-qubit density matrix: 0 for separable
+     * states, 1 for a Bell state
+     */
+    concurrence(rho) {
+        // Spin-flipped state ρ̃ = (Y⊗Y) ρ* (Y⊗Y); Y⊗Y maps |a⟩ to ±|3-a⟩
+        const sign = a => (a === 0 || a === 3 ? -1 : 1);
+        const flipped = rho.map((row, a) => row.map((_, b) =>
+            Complex.scale(Complex.conj(rho[3 - a][3 - b]), sign(a) * sign(b))
+        ));
+        
+        // Eigenvalues of ρρ̃ are those of the Hermitian √ρ ρ̃ √ρ
+        const root = QuantumMetrics.hermitianSqrt(rho);
+        const product = QuantumMetrics._multiply(QuantumMetrics._multiply(root, flipped), root);
+        const lambdas = QuantumMetrics.hermitianEigenvalues(product)
+            .map(value => Math.sqrt(Math.max(0, value)))
+            .sort((a, b) => b - a);
+        
+        return Math.max(0, lambdas[0] - lambdas[1] - lambdas[2] - lambdas[3]);
+    },
+    
+    /**
+     * Eigenvalues of a Hermitian matrix (ascending)
+     */
+    hermitianEigenvalues(matrix) {
+        // The real embedding [[A, -B], [B, A]] of A + iB repeats every eigenvalue twice
+        const { values } = QuantumMetrics._jacobi(QuantumMetrics._embed(matrix));
+        return values.sort((a, b) => a - b).filter((_, i) => i % 2 === 0);
+    },
+    
+    /**
+     * Principal square root of a positive semidefinite Hermitian matrix
+     */
+    hermitianSqrt(matrix) {
+        const n = matrix.length;
+        const { values, vectors } = QuantumMetrics._jacobi(QuantumMetrics._embed(matrix));
+        const roots = values.map(value => Math.sqrt(Math.max(0, value)));
+        
+        // √M = V diag(√λ) Vᵀ in the embedding; read A and B back from its left blocks
+        const entry = (r, c) => roots.reduce((sum, root, k) => sum + vectors[r][k] * root * vectors[c][k], 0);
+        return matrix.map((row, r) => row.map((_, c) => Complex.create(entry(r, c), entry(r + n, c))));
+    },
+    
+    _multiply(a, b) {
+        return a.map(row => b[0].map((_, c) => row.reduce(
+            (sum, entry, k) => Complex.add(sum, Complex.mul(entry, b[k][c])),
+            Complex.create(0, 0)
+        )));
+    },
+    
+    /**
+     * Real symmetric 2n x 2n embedding of an n x n Hermitian matrix
+     */
+    _embed(matrix) {
+        const n = matrix.length;
+        const embedded = [];
+        for (let r = 0; r < 2 * n; r++) {
+            embedded.push(new Array(2 * n).fill(0));
+        }
+        for (let r = 0; r < n; r++) {
+            for (let c = 0; c < n; c++) {
+                const { re, im } = matrix[r][c];
+                embedded[r][c] = re;
+                embedded[r + n][c + n] = re;
+                embedded[r][c + n] = -im;
+                embedded[r + n][c] = im;
+            }
+        }
+        return embedded;
+    },
+    
+    /**
+     * Cyclic Jacobi eigendecomposition of a real symmetric matrix
+     * @returns {Object} { values, vectors } with eigenvector k in column k
+     */
+    _jacobi(input) {
+        const n = input.length;
+        const a = input.map(row => [...row]);
+        const vectors = a.map((_, r) => a.map((__, c) => (r === c ? 1 : 0)));
+        
+        for (let sweep = 0; sweep < 50; sweep++) {
+            let offDiagonal = 0;
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    offDiagonal += a[p][q] * a[p][q];
+                }
+            }
+            if (offDiagonal < 1e-22) break;
+            
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    if (Math.abs(a[p][q]) < 1e-15) continue;
+                    
+                    // Rotation that zeroes a[p][q]
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+                    
+                    for (let k = 0; k < n; k++) {
+                        const akp = a[k][p];
+                        const akq = a[k][q];
+                        a[k][p] = c * akp - s * akq;
+                        a[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const apk = a[p][k];
+                        const aqk = a[q][k];
+                        a[p][k] = c * apk - s * aqk;
+                        a[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = vectors[k][p];
+                        const vkq = vectors[k][q];
+                        vectors[k][p] = c * vkp - s * vkq;
+                        vectors[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+        
+        return { values: a.map((row, i) => row[i]), vectors };
+    }
+};
+
+// Export for use in other modules
+globalThis.QuantumMetrics = QuantumMetrics;
@@ -0,0 +1,63 @@
+/**
+ * QuantumStateView - Debug-panel readout of a QuantumLayer's state
+ *
+ * Lists the amplitudes (or, for density matrices, the diagonal), the last
+ * measurement, the phase and the purity every time the layer emits 'state'.
+ */
+class QuantumStateView {
+    /**
+     * @param {String} elementId - Element whose text shows the state
+     * @param {QuantumLayer} quantumLayer - Layer to follow
+     */
+    constructor(elementId, quantumLayer) {
+        this.element = document.getElementById(elementId);
+        this.quantumLayer = quantumLayer;
+        
+        if (!this.element) {
+            console.error(`Element '${elementId}' not found`);
+            return;
+        }
+        
+        this.unsubscribe = quantumLayer.on('state', layer => this.render(layer));
+        this.render(quantumLayer);
+    }
+    
+    render(layer) {
+        const isPure = layer.state.amplitudes !== null;
+        const lines = [isPure
+            ? `State Vector (${layer.numQubits} qubits):`
+            : `Density Matrix diagonal (${layer.numQubits} qubits):`];
+        
+        // Small registers list every basis state, larger ones only the
+        // states that carry probability
+        const showAll = layer.dimension <= 8;
+        for (let i = 0; i < layer.dimension; i++) {
+            const probability = layer.state.probabilities[i];
+            if (!showAll && probability < 0.0005) continue;
+            
+            const ket = QuantumLayer._indexToBits(i, layer.numQubits).join('');
+            const percent = `${(probability * 100).toFixed(1)}%`;
+            lines.push(isPure
+                ? `|${ket}⟩: ${Complex.toString(layer.state.amplitudes[i])} (${percent})`
+                : `|${ket}⟩: ${percent}`);
+        }
+        
+        this.element.textContent = [
+            ...lines,
+            ``,
+            `Last Measurement: |${layer._formatMeasurement()}⟩`,
+            `Phase: ${(layer.phase / Math.PI).toFixed(2)}π`,
+            `Purity: ${layer.state.purity.toFixed(3)}`
+        ].join('\n');
+    }
+    
+    /**
+     * Stop following the layer
+     */
+    detach() {
+        if (this.unsubscribe) this.unsubscribe();
+    }
+}
+
+// Export the class for use in other modules
+window.QuantumStateView = QuantumStateView;
@@ -0,0 +1,204 @@
+/**
+ * QuantumWalkMelody - Lead melodies from a discrete-time quantum walk over
+ * the degrees of a scale
+ *
+ * The walker is a coin qubit plus a position on the scale. Every walk step
+ * flips the coin with a parameterized coin operator and then shifts the
+ * position down (coin |0⟩) or up (coin |1⟩). Interference makes the
+ * position spread linearly with the number of steps and pile up at the
+ * edges of the spread, unlike the bell curve of a classical random walk, so
+ * melodies favour confident runs and leaps over aimless wandering.
+ *
+ * Between notes the walk evolves for a few steps, then the position is
+ * measured: the note is the scale degree found, and the walk continues from
+ * there with its coin (its "momentum") intact.
+ */
+class QuantumWalkMelody {
+    /**
+     * @param {Object} options
+     * @param {Array} options.scale - Note names the walk moves over, low to high
+     *                                (default: C major, C3-C5)
+     * @param {Number} options.stepsPerNote - Walk steps between measurements (default 3)
+     * @param {SeededRandom} options.random - Measurement randomness (default: the 'quantum-walk' stream)
+     */
+    constructor(options = {}) {
+        this.stepsPerNote = options.stepsPerNote || 3;
+        this.random = options.random || RandomService.stream('quantum-walk');
+        
+        // Coin operator (Hadamard until input arrives)
+        this.coin = QuantumWalkMelody._coinMatrix(Math.PI / 4, 0);
+        
+        this.setScale(options.scale || QuantumWalkMelody.buildScale('C', 'major', 3, 2));
+    }
+    
+    /**
+     * Walk over a different set of notes; the walker restarts on the middle degree
+     * @param {Array} notes - Note names, low to high
+     */
+    setScale(notes) {
+        if (!notes || notes.length < 2) {
+            throw new Error('A quantum walk needs at least two scale degrees');
+        }
+        this.scale = [...notes];
+        this.reset(Math.floor(notes.length / 2));
+    }
+    
+    /**
+     * Localize the walker on a scale degree with a balanced coin
+     * (|0⟩ + i|1⟩)/√2, which spreads symmetrically under a Hadamard coin
+     */
+    reset(position) {
+        this.amplitudes = this.scale.map(() => [Complex.create(0, 0), Complex.create(0, 0)]);
+        this.amplitudes[position] = [
+            Complex.create(Math.SQRT1_2, 0),
+            Complex.create(0, Math.SQRT1_2)
+        ];
+        this.position = position;
+    }
+    
+    /**
+     * Set the coin operator from input
+     * @param {Number} alpha - Alpha wave value (0-1): higher alpha lowers the
+     *                         coin's mixing angle, so the walk spreads faster
+     *                         (wider leaps); low alpha keeps it close to a trill
+     * @param {Number} beta - Beta wave value (0-1): coin phase, which skews the
+     *                        walk toward one direction
+     */
+    setInput(alpha, beta) {
+        const theta = (0.4 - 0.3 * alpha) * Math.PI;
+        const phi = beta * Math.PI;
+        this.coin = QuantumWalkMelody._coinMatrix(theta, phi);
+    }
+    
+    /**
+     * One walk step: coin flip on every position, then the conditional shift.
+     * At the ends of the scale the walker reflects (stays put, coin reversed)
+     */
+    step() {
+        const last = this.scale.length - 1;
+        const next = this.scale.map(() => [Complex.create(0, 0), Complex.create(0, 0)]);
+        
+        this.amplitudes.forEach((coinState, position) => {
+            const [down, up] = QuantumBackends.multiply(this.coin, coinState);
+            
+            if (position > 0) {
+                next[position - 1][0] = Complex.add(next[position - 1][0], down);
+            } else {
+                next[position][1] = Complex.add(next[position][1], down);
+            }
+            
+            if (position < last) {
+                next[position + 1][1] = Complex.add(next[position + 1][1], up);
+            } else {
+                next[position][0] = Complex.add(next[position][0], up);
+            }
+        });
+        
+        this.amplitudes = next;
+    }
+    
+    /**
+     * Probability of finding the walker on each scale degree
+     */
+    probabilities() {
+        return this.amplitudes.map(([down, up]) => Complex.abs2(down) + Complex.abs2(up));
+    }
+    
+    /**
+     * Measure the position, collapsing the walker onto the degree found while
+     * keeping its coin state
+     * @returns {Number} Scale degree index
+     */
+    measure() {
+        const probabilities = this.probabilities();
+        const rand = this.random.next();
+        let cumulative = 0;
+        let position = probabilities.length - 1;
+        for (let i = 0; i < probabilities.length; i++) {
+            cumulative += probabilities[i];
+            if (rand < cumulative) {
+                position = i;
+                break;
+            }
+        }
+        
+        const norm = Math.sqrt(probabilities[position]) || 1;
+        const coinState = this.amplitudes[position].map(a => Complex.scale(a, 1 / norm));
+        this.amplitudes = this.scale.map(() => [Complex.create(0, 0), Complex.create(0, 0)]);
+        this.amplitudes[position] = coinState;
+        this.position = position;
+        
+        return position;
+    }
+    
+    /**
+     * Walk to the next note
+     * @returns {String} Note name
+     */
+    nextNote() {
+        for (let i = 0; i < this.stepsPerNote; i++) {
+            this.step();
+        }
+        return this.scale[this.measure()];
+    }
+    
+    /**
+     * Generate a melody in the generators' pattern format
+     * @param {Number|Array} template - Melody length, or a pattern whose null
+     *                                  slots stay rests and whose notes are
+     *                                  replaced by walk notes
+     * @returns {Array} Note names, null for rests
+     */
+    generate(template = 8) {
+        const slots = typeof template === 'number' ? new Array(template).fill(true) : template;
+        return slots.map(slot => (slot === null ? null : this.nextNote()));
+    }
+    
+    /**
+     * Note names of a scale
+     * @param {String} root - Root note name, e.g. 'C' or 'F#'
+     * @param {String} mode - 'major', 'minor' or 'pentatonic'
+     * @param {Number} octave - Octave of the lowest note
+     * @param {Number} octaves - Number of octaves (the top root is included)
+     */
+    static buildScale(root = 'C', mode = 'major', octave = 4, octaves = 1) {
+        const intervals = QuantumWalkMelody.SCALES[mode];
+        if (!intervals) {
+            throw new Error(`Unknown scale "${mode}"`);
+        }
+        
+        const rootIndex = QuantumWalkMelody.NOTE_NAMES.indexOf(root);
+        const notes = [];
+        for (let o = 0; o < octaves; o++) {
+            intervals.forEach(interval => notes.push(rootIndex + interval + 12 * o));
+        }
+        notes.push(rootIndex + 12 * octaves);
+        
+        return notes.map(semitone =>
+            `${QuantumWalkMelody.NOTE_NAMES[semitone % 12]}${octave + Math.floor(semitone / 12)}`
+        );
+    }
+    
+    /**
+     * Coin operator [[cos θ, e^(iφ) sin θ], [sin θ, -e^(iφ) cos θ]]
+     * (the Hadamard coin at θ = π/4, φ = 0)
+     */
+    static _coinMatrix(theta, phi) {
+        return [
+            [Complex.create(Math.cos(theta), 0), Complex.fromPolar(Math.sin(theta), phi)],
+            [Complex.create(Math.sin(theta), 0), Complex.fromPolar(-Math.cos(theta), phi)]
+        ];
+    }
+}
+
+QuantumWalkMelody.NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Semitone steps within one octave
+QuantumWalkMelody.SCALES = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    pentatonic: [0, 2, 4, 7, 9]
+};
+
+// Export the class for use in other modules
+globalThis.QuantumWalkMelody = QuantumWalkMelody;
@@ -0,0 +1,70 @@
+/**
+ * quantumWorker - Runs a QuantumLayer off the main thread
+ *
+ * Requests are { id, type, config, args }. A request's config (the main
+ * layer's getConfig(), sent only when it changed) is applied before the
+ * request itself. Replies are { id, result, snapshot, stats } or
+ * { id, error }; snapshots and statistics carry typed arrays whose buffers
+ * are transferred rather than copied. See QuantumWorkerClient for the
+ * main-thread side.
+ */
+importScripts(
+    'random.js',
+    'complex.js',
+    'eventEmitter.js',
+    'quantumCircuit.js',
+    'quantumBackends.js',
+    'quantumMetrics.js',
+    'rhythmMapping.js',
+    'measurementStats.js',
+    'quantumLayer.js'
+);
+
+const layer = new QuantumLayer();
+
+// Handlers return the result; runs that change the state also report it
+const handlers = {
+    seed: ({ seed }) => RandomService.setSeed(seed),
+    reset: () => layer.reset(),
+    run: ({ alpha, beta, bindings }) => layer.processInput(alpha, beta, bindings),
+    pattern: ({ alpha, beta, options }) => layer.generatePattern(alpha, beta, options),
+    measure: () => layer.measure(),
+    stats: () => layer.stats.toTransferable(),
+    resetStats: () => layer.stats.reset()
+};
+
+// Requests whose reply includes the new state and the current regime's counts
+const STATEFUL = ['reset', 'run', 'pattern', 'measure'];
+
+self.onmessage = ({ data: { id, type, config, args } }) => {
+    try {
+        if (!handlers[type]) {
+            throw new Error(`Unknown request "${type}"`);
+        }
+        if (config) {
+            layer.applyConfig(config);
+        }
+        
+        const reply = { id, result: handlers[type](args || {}) };
+        if (STATEFUL.includes(type)) {
+            reply.snapshot = layer.getSnapshot();
+            reply.stats = { regime: layer.regime, ...layer.stats.exportRegime(layer.regime) };
+        }
+        
+        self.postMessage(reply, transferables(reply));
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
+
+/**
+ * Buffers of every typed array in a reply
+ */
+function transferables(value, found = []) {
+    if (ArrayBuffer.isView(value)) {
+        if (!found.includes(value.buffer)) found.push(value.buffer);
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(child => transferables(child, found));
+    }
+    return found;
+}
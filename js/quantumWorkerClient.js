@@ -0,0 +1,157 @@
+/**
+ * QuantumWorkerClient - Runs a QuantumLayer's simulation in quantumWorker.js
+ *
+ * The main-thread layer stays the model that panels edit and read. Before
+ * each request its settings are sent along (only when they changed), and
+ * each reply is mirrored back into it with applySnapshot(), so its views
+ * update as if it had run the circuit itself. Every method returns a
+ * Promise; requests are answered in the order they were made.
+ */
+class QuantumWorkerClient {
+    /**
+     * @param {QuantumLayer} quantumLayer - Layer whose settings and views the worker serves
+     * @param {Object} options
+     * @param {String} options.url - Worker script (default 'js/quantumWorker.js')
+     * @param {Number} options.seed - Seed for the worker's random streams
+     */
+    constructor(quantumLayer, options = {}) {
+        this.quantumLayer = quantumLayer;
+        this.worker = new Worker(options.url || 'js/quantumWorker.js');
+        this.pending = new Map();
+        this.nextId = 1;
+        this.sentConfig = null;
+        this.failed = false;
+        
+        this.worker.onmessage = event => this._handleReply(event.data);
+        this.worker.onerror = event => this._fail(new Error(event.message || 'Quantum worker failed'));
+        
+        if (options.seed !== undefined) {
+            this.setSeed(options.seed);
+        }
+    }
+    
+    /**
+     * Start the worker's random streams from a seed
+     */
+    setSeed(seed) {
+        return this._request('seed', { seed });
+    }
+    
+    /**
+     * Run the circuit and measure, as QuantumLayer.processInput()
+     * @returns {Promise<Array>} Instrument hits
+     */
+    processInput(alphaValue, betaValue, bindings = {}) {
+        return this._request('run', { alpha: alphaValue, beta: betaValue, bindings });
+    }
+    
+    /**
+     * Sample a drum grid, as QuantumLayer.generatePattern()
+     * @returns {Promise<Object>} { steps, grid, histogram }
+     */
+    generatePattern(alphaValue, betaValue, options = {}) {
+        return this._request('pattern', { alpha: alphaValue, beta: betaValue, options });
+    }
+    
+    /**
+     * Measure the current register, as QuantumLayer.measure()
+     * @returns {Promise<Array>} Instrument hits
+     */
+    measure() {
+        return this._request('measure');
+    }
+    
+    /**
+     * Reset the worker's register to |0...0⟩
+     */
+    reset() {
+        return this._request('reset');
+    }
+    
+    /**
+     * Fetch every regime's measurement counts into the layer's stats
+     * @returns {Promise<MeasurementStats>}
+     */
+    getStats() {
+        return this._request('stats').then(data => {
+            this.quantumLayer.stats.loadTransferable(data);
+            return this.quantumLayer.stats;
+        });
+    }
+    
+    resetStats() {
+        return this._request('resetStats');
+    }
+    
+    terminate() {
+        this.worker.terminate();
+        this._fail(new Error('Quantum worker terminated'));
+    }
+    
+    _request(type, args) {
+        if (this.failed) {
+            return Promise.reject(new Error('Quantum worker is not running'));
+        }
+        
+        const id = this.nextId++;
+        
+        // Settings travel only when they changed since the last request
+        const config = JSON.stringify(this.quantumLayer.getConfig());
+        const message = { id, type, args };
+        if (config !== this.sentConfig) {
+            message.config = JSON.parse(config);
+            this.sentConfig = config;
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage(message);
+        });
+    }
+    
+    _handleReply({ id, result, snapshot, stats, error }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+        
+        if (error) {
+            // The worker may not have taken the settings; send them again
+            this.sentConfig = null;
+            request.reject(new Error(error));
+            return;
+        }
+        
+        if (snapshot) {
+            this.quantumLayer.applySnapshot(snapshot);
+        }
+        if (stats) {
+            this.quantumLayer.stats.importRegime(stats.regime, stats);
+        }
+        request.resolve(result);
+    }
+    
+    _fail(error) {
+        this.failed = true;
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+        this.sentConfig = null;
+    }
+    
+    /**
+     * A client, or null where workers are unavailable (e.g. pages opened
+     * from file://), in which case the layer runs on the main thread
+     */
+    static create(quantumLayer, options = {}) {
+        if (typeof Worker === 'undefined') return null;
+        
+        try {
+            return new QuantumWorkerClient(quantumLayer, options);
+        } catch (error) {
+            console.warn('Quantum worker unavailable, simulating on the main thread:', error);
+            return null;
+        }
+    }
+}
+
+// Export the class for use in other modules
+window.QuantumWorkerClient = QuantumWorkerClient;
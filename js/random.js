@@ -0,0 +1,130 @@
+/**
+ * SeededRandom - Deterministic pseudo-random number generator (mulberry32)
+ * Drop-in replacement for Math.random() that can be replayed from a seed
+ */
+class SeededRandom {
+    /**
+     * @param {Number} seed - 32-bit integer seed
+     */
+    constructor(seed = 1) {
+        this.setSeed(seed);
+    }
+    
+    /**
+     * Restart the sequence from a seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this._state = this.seed;
+    }
+    
+    /**
+     * Next float in [0, 1), like Math.random()
+     */
+    next() {
+        this._state = (this._state + 0x6D2B79F5) >>> 0;
+        let t = this._state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Random integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+    
+    /**
+     * Random float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+    
+    /**
+     * True with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    /**
+     * Hash a string to a 32-bit seed (FNV-1a)
+     */
+    static hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+/**
+ * RandomService - Project-wide source of seeded randomness
+ *
+ * Each subsystem draws from its own named stream derived from the session
+ * seed, so the quantum layer and the audio variations stay reproducible even
+ * though their calls interleave differently from run to run.
+ */
+const RandomService = {
+    _seed: null,
+    _streams: {},
+    
+    /**
+     * Current session seed
+     */
+    getSeed() {
+        if (this._seed === null) {
+            this.setSeed(this.createSeed());
+        }
+        return this._seed;
+    },
+    
+    /**
+     * Set the session seed and restart every stream from it
+     */
+    setSeed(seed) {
+        this._seed = seed >>> 0;
+        Object.keys(this._streams).forEach(name => {
+            this._streams[name].setSeed(this._streamSeed(name));
+        });
+    },
+    
+    /**
+     * Get the named stream (created on first use)
+     * @param {String} name - Subsystem name, e.g. 'quantum' or 'audio-engine'
+     * @returns {SeededRandom}
+     */
+    stream(name) {
+        if (!this._streams[name]) {
+            this._streams[name] = new SeededRandom(this._streamSeed(name));
+        }
+        return this._streams[name];
+    },
+    
+    /**
+     * Fresh, unpredictable seed for a new session
+     */
+    createSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    },
+    
+    _streamSeed(name) {
+        return SeededRandom.hashString(`${this.getSeed()}:${name}`);
+    }
+};
+
+// Export for use in other modules
+globalThis.SeededRandom = SeededRandom;
+globalThis.RandomService = RandomService;
@@ -0,0 +1,127 @@
+/**
+ * RhythmMapping - Editable table from measurement outcomes to instruments
+ *
+ * Each rule pairs a ket pattern with an instrument hit. Patterns are written
+ * like kets, highest qubit first, and align to the right on qubit 0:
+ * '0' and '1' must match the measured bit, 'x' matches either. So '11' is
+ * the basis state |..11⟩ on qubits 0 and 1, 'x1' is "qubit 0 is 1", and
+ * '1xx' is "qubit 2 is 1".
+ */
+class RhythmMapping {
+    /**
+     * @param {Object} definition
+     * @param {String} definition.name - Mapping name, e.g. the track it belongs to
+     * @param {Array} definition.rules - [{ pattern, instrument, velocity, offset, note }]
+     */
+    constructor({ name = 'Default', rules = [] } = {}) {
+        this.name = name;
+        this.rules = rules.map(rule => RhythmMapping.normalizeRule(rule));
+    }
+    
+    /**
+     * Instrument hits for a measured basis state
+     * @param {Number} index - Measured basis state index
+     * @param {Number} measuredMask - Register bits that were actually measured
+     *                                (default: all); rules that test an
+     *                                unmeasured qubit stay silent
+     * @returns {Array} [{ instrument, velocity, offset, note }]
+     */
+    eventsFor(index, measuredMask = -1) {
+        return this.rules
+            .filter(rule => RhythmMapping.matches(rule.pattern, index, measuredMask))
+            .map(({ instrument, velocity, offset, note }) => ({ instrument, velocity, offset, note }));
+    }
+    
+    toJSON() {
+        return {
+            name: this.name,
+            rules: this.rules.map(rule => ({ ...rule }))
+        };
+    }
+    
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        return new RhythmMapping(data);
+    }
+    
+    /**
+     * Does a ket pattern match a basis state index?
+     */
+    static matches(pattern, index, measuredMask = -1) {
+        for (let q = 0; q < pattern.length; q++) {
+            const symbol = pattern[pattern.length - 1 - q];
+            if (symbol === 'x') continue;
+            if (((measuredMask >> q) & 1) === 0) return false;
+            if (((index >> q) & 1) !== Number(symbol)) return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Validate a rule and fill in defaults
+     */
+    static normalizeRule(rule) {
+        const pattern = String(rule.pattern || '').trim().toLowerCase();
+        if (!/^[01x]+$/.test(pattern)) {
+            throw new Error(`Invalid pattern "${rule.pattern}": use 0, 1 and x, highest qubit first`);
+        }
+        if (!RhythmMapping.isInstrument(rule.instrument)) {
+            throw new Error(`Unknown instrument "${rule.instrument}"`);
+        }
+        
+        // Drums ignore the note; melodic instruments default to middle C
+        const melodic = RhythmMapping.INSTRUMENTS.melodic.includes(rule.instrument);
+        const note = melodic ? String(rule.note || 'C4').trim() : null;
+        if (melodic && !/^[A-G][#b]?-?\d$/.test(note)) {
+            throw new Error(`Invalid note "${rule.note}": use a name and octave like C4, F#3 or Bb2`);
+        }
+        
+        const velocity = rule.velocity === undefined ? 0.8 : Number(rule.velocity);
+        const offset = rule.offset === undefined ? 0 : Number(rule.offset);
+        if (!(velocity >= 0 && velocity <= 1)) {
+            throw new Error(`Velocity must be between 0 and 1 (got ${rule.velocity})`);
+        }
+        if (!Number.isInteger(offset)) {
+            throw new Error(`Step offset must be a whole number (got ${rule.offset})`);
+        }
+        
+        return {
+            pattern,
+            instrument: rule.instrument,
+            velocity,
+            offset,
+            note
+        };
+    }
+    
+    static isInstrument(name) {
+        return RhythmMapping.INSTRUMENTS.drums.includes(name) || RhythmMapping.INSTRUMENTS.melodic.includes(name);
+    }
+    
+    /**
+     * The original hard-wired mapping: qubits 0 and 1 choose the kick, snare,
+     * hi-hat and clap combination, every further qubit drives its own voice
+     */
+    static createDefault(name = 'Default') {
+        const rules = [
+            { pattern: 'x1', instrument: 'kick', velocity: 0.8 },
+            { pattern: '1x', instrument: 'snare', velocity: 0.7 },
+            { pattern: '01', instrument: 'hihat', velocity: 0.5 },
+            { pattern: '10', instrument: 'hihat', velocity: 0.5 },
+            { pattern: '11', instrument: 'clap', velocity: 0.9 }
+        ];
+        QuantumLayer.EXTRA_VOICES.forEach((instrument, i) => {
+            rules.push({ pattern: `1${'x'.repeat(i + 2)}`, instrument, velocity: 0.7 });
+        });
+        return new RhythmMapping({ name, rules });
+    }
+}
+
+// Instruments a rule can trigger
+RhythmMapping.INSTRUMENTS = {
+    drums: ['kick', 'snare', 'hihat', 'clap', 'tom', 'rim', 'shaker', 'cowbell', 'ride', 'crash'],
+    melodic: ['bass', 'lead', 'pad']
+};
+
+// Export the class for use in other modules
+globalThis.RhythmMapping = RhythmMapping;
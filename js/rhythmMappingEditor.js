@@ -0,0 +1,258 @@
+/**
+ * RhythmMappingEditor - Debug-panel table for editing rhythm mappings
+ *
+ * Keeps a list of named mappings (one per track) and reports every valid
+ * edit through onChange; rows that do not validate are highlighted and
+ * left out until they are fixed.
+ */
+class RhythmMappingEditor {
+    /**
+     * @param {String} containerId - Element to render into
+     * @param {Object} options
+     * @param {Array} options.mappings - RhythmMapping instances
+     * @param {String} options.activeName - Name of the mapping in use
+     * @param {Function} options.onChange - Called with (mappings, activeName)
+     */
+    constructor(containerId, options = {}) {
+        this.mappings = options.mappings && options.mappings.length
+            ? options.mappings
+            : [RhythmMapping.createDefault()];
+        this.activeName = this._hasMapping(options.activeName) ? options.activeName : this.mappings[0].name;
+        this.onChange = options.onChange || (() => {});
+        
+        // Rows as typed, including ones that do not validate yet
+        this.rows = [];
+        
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error(`Container element '${containerId}' not found`);
+            return;
+        }
+        
+        this._build();
+        this._loadRows();
+    }
+    
+    /**
+     * Mapping currently in use
+     */
+    get activeMapping() {
+        return this.mappings.find(mapping => mapping.name === this.activeName);
+    }
+    
+    _build() {
+        this.container.innerHTML = '';
+        
+        // Track selector and mapping management
+        const toolbar = document.createElement('div');
+        toolbar.className = 'option';
+        
+        const label = document.createElement('label');
+        label.textContent = 'Track:';
+        this.trackSelect = document.createElement('select');
+        this.trackSelect.addEventListener('change', () => this._selectMapping(this.trackSelect.value));
+        label.appendChild(this.trackSelect);
+        toolbar.appendChild(label);
+        
+        toolbar.appendChild(this._button('New', () => this._addMapping(RhythmMapping.createDefault(this._uniqueName('Track')))));
+        toolbar.appendChild(this._button('Duplicate', () => {
+            const copy = RhythmMapping.fromJSON(this.activeMapping.toJSON());
+            copy.name = this._uniqueName(`${this.activeName} copy`);
+            this._addMapping(copy);
+        }));
+        toolbar.appendChild(this._button('Rename', () => this._renameMapping()));
+        toolbar.appendChild(this._button('Delete', () => this._deleteMapping()));
+        this.container.appendChild(toolbar);
+        
+        // Rule table
+        this.table = document.createElement('table');
+        this.table.className = 'mapping-table';
+        const head = this.table.createTHead().insertRow();
+        ['Pattern', 'Instrument', 'Note', 'Velocity', 'Offset', ''].forEach(title => {
+            const cell = document.createElement('th');
+            cell.textContent = title;
+            head.appendChild(cell);
+        });
+        this.tableBody = this.table.createTBody();
+        this.container.appendChild(this.table);
+        
+        const footer = document.createElement('div');
+        footer.className = 'option';
+        footer.appendChild(this._button('Add Rule', () => {
+            this.rows.push({ pattern: 'x1', instrument: 'kick', velocity: 0.8, offset: 0, note: null });
+            this._renderRows();
+            this._commit();
+        }));
+        footer.appendChild(this._button('Reset to Default', () => {
+            this.rows = RhythmMapping.createDefault().rules.map(rule => ({ ...rule }));
+            this._renderRows();
+            this._commit();
+        }));
+        this.container.appendChild(footer);
+        
+        this._renderTrackOptions();
+    }
+    
+    _renderTrackOptions() {
+        this.trackSelect.innerHTML = '';
+        this.mappings.forEach(mapping => {
+            const option = document.createElement('option');
+            option.value = mapping.name;
+            option.textContent = mapping.name;
+            option.selected = mapping.name === this.activeName;
+            this.trackSelect.appendChild(option);
+        });
+    }
+    
+    _loadRows() {
+        this.rows = this.activeMapping.rules.map(rule => ({ ...rule }));
+        this._renderRows();
+    }
+    
+    _renderRows() {
+        this.tableBody.innerHTML = '';
+        
+        this.rows.forEach((row, index) => {
+            const tr = this.tableBody.insertRow();
+            
+            const pattern = this._input('text', row.pattern, value => { row.pattern = value; });
+            pattern.size = 8;
+            pattern.title = "Ket pattern, highest qubit first: 0, 1 or x (any). '11' = qubits 1 and 0 both 1";
+            
+            const instrument = document.createElement('select');
+            Object.entries(RhythmMapping.INSTRUMENTS).forEach(([group, names]) => {
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = group === 'drums' ? 'Drums' : 'Melodic';
+                names.forEach(name => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = name;
+                    option.selected = name === row.instrument;
+                    optgroup.appendChild(option);
+                });
+                instrument.appendChild(optgroup);
+            });
+            
+            const note = this._input('text', row.note || '', value => { row.note = value || null; });
+            note.size = 4;
+            note.disabled = !RhythmMapping.INSTRUMENTS.melodic.includes(row.instrument);
+            
+            instrument.addEventListener('change', () => {
+                row.instrument = instrument.value;
+                note.disabled = !RhythmMapping.INSTRUMENTS.melodic.includes(row.instrument);
+                this._commit();
+            });
+            
+            const velocity = this._input('number', row.velocity, value => { row.velocity = value; });
+            Object.assign(velocity, { min: 0, max: 1, step: 0.05 });
+            
+            const offset = this._input('number', row.offset, value => { row.offset = value; });
+            Object.assign(offset, { min: -32, max: 32, step: 1 });
+            
+            const remove = this._button('✕', () => {
+                this.rows.splice(index, 1);
+                this._renderRows();
+                this._commit();
+            });
+            remove.title = 'Remove rule';
+            
+            [pattern, instrument, note, velocity, offset, remove].forEach(control => {
+                tr.insertCell().appendChild(control);
+            });
+            row.element = tr;
+        });
+        
+        this._validateRows();
+    }
+    
+    /**
+     * Mark invalid rows and return the rules that validate
+     */
+    _validateRows() {
+        const rules = [];
+        this.rows.forEach(row => {
+            try {
+                rules.push(RhythmMapping.normalizeRule(row));
+                row.element.classList.remove('invalid');
+                row.element.title = '';
+            } catch (error) {
+                row.element.classList.add('invalid');
+                row.element.title = error.message;
+            }
+        });
+        return rules;
+    }
+    
+    /**
+     * Apply the valid rows to the active mapping and report the change
+     */
+    _commit() {
+        this.activeMapping.rules = this._validateRows();
+        this.onChange(this.mappings, this.activeName);
+    }
+    
+    _selectMapping(name) {
+        this.activeName = name;
+        this._renderTrackOptions();
+        this._loadRows();
+        this.onChange(this.mappings, this.activeName);
+    }
+    
+    _addMapping(mapping) {
+        this.mappings.push(mapping);
+        this._selectMapping(mapping.name);
+    }
+    
+    _renameMapping() {
+        const name = (window.prompt('Track name', this.activeName) || '').trim();
+        if (!name || name === this.activeName) return;
+        if (this._hasMapping(name)) {
+            console.warn(`A mapping named "${name}" already exists`);
+            return;
+        }
+        
+        this.activeMapping.name = name;
+        this._selectMapping(name);
+    }
+    
+    _deleteMapping() {
+        if (this.mappings.length === 1) return;
+        
+        this.mappings = this.mappings.filter(mapping => mapping.name !== this.activeName);
+        this._selectMapping(this.mappings[0].name);
+    }
+    
+    _hasMapping(name) {
+        return this.mappings.some(mapping => mapping.name === name);
+    }
+    
+    _uniqueName(base) {
+        let name = base;
+        for (let i = 2; this._hasMapping(name); i++) {
+            name = `${base} ${i}`;
+        }
+        return name;
+    }
+    
+    _input(type, value, assign) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value;
+        input.addEventListener('change', () => {
+            assign(type === 'number' ? Number(input.value) : input.value.trim());
+            this._commit();
+        });
+        return input;
+    }
+    
+    _button(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'small';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
+
+// Export the class for use in other modules
+window.RhythmMappingEditor = RhythmMappingEditor;
@@ -0,0 +1,42 @@
+/**
+ * SessionStore - Persists session settings in localStorage as JSON
+ *
+ * Storage can be unavailable (private browsing, quota); loading then falls
+ * back to the default and saving only logs a warning.
+ */
+const SessionStore = {
+    PREFIX: 'neuroquantum.',
+    
+    /**
+     * @param {String} key - Setting name
+     * @param {*} fallback - Returned when nothing (valid) is stored
+     */
+    load(key, fallback = null) {
+        try {
+            const raw = localStorage.getItem(SessionStore.PREFIX + key);
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (error) {
+            console.warn(`Could not load saved "${key}":`, error);
+            return fallback;
+        }
+    },
+    
+    save(key, value) {
+        try {
+            localStorage.setItem(SessionStore.PREFIX + key, JSON.stringify(value));
+        } catch (error) {
+            console.warn(`Could not save "${key}":`, error);
+        }
+    },
+    
+    remove(key) {
+        try {
+            localStorage.removeItem(SessionStore.PREFIX + key);
+        } catch (error) {
+            console.warn(`Could not remove "${key}":`, error);
+        }
+    }
+};
+
+// Export for use in other modules
+window.SessionStore = SessionStore;
@@ -0,0 +1,172 @@
+/**
+ * StatsPanel - Debug-panel histogram of observed vs theoretical outcomes
+ *
+ * Plots the quantum layer's MeasurementStats for one input regime (or all of
+ * them): a hollow bar for the theoretical probability of each basis state
+ * next to a filled bar for its observed frequency, with the chi-square
+ * deviation underneath. A p-value below SIGNIFICANCE is flagged.
+ */
+class StatsPanel {
+    /**
+     * @param {String} containerId - Element to render into
+     * @param {Object} options
+     * @param {QuantumLayer} options.quantumLayer - Layer whose statistics are shown
+     * @param {Function} options.onReset - Called after the counts are cleared
+     */
+    constructor(containerId, options = {}) {
+        this.quantumLayer = options.quantumLayer;
+        this.onReset = options.onReset || (() => {});
+        this.regime = 'all';
+        
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error(`Container element '${containerId}' not found`);
+            return;
+        }
+        
+        this._build();
+        this.update();
+    }
+    
+    /**
+     * Redraw from the current counts
+     */
+    update() {
+        if (!this.container) return;
+        
+        this._renderRegimeOptions();
+        this._renderChart();
+    }
+    
+    /**
+     * Download every regime's counts as CSV
+     */
+    exportCSV() {
+        const numQubits = this.quantumLayer.numQubits;
+        const csv = this.quantumLayer.stats.toCSV(index => QuantumLayer._indexToBits(index, numQubits).join(''));
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'measurement-stats.csv';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    _build() {
+        this.container.innerHTML = '';
+        
+        const toolbar = document.createElement('div');
+        toolbar.className = 'option';
+        
+        const label = document.createElement('label');
+        label.textContent = 'Regime:';
+        this.regimeSelect = document.createElement('select');
+        this.regimeSelect.addEventListener('change', () => {
+            this.regime = this.regimeSelect.value;
+            this._renderChart();
+        });
+        label.appendChild(this.regimeSelect);
+        toolbar.appendChild(label);
+        
+        toolbar.appendChild(this._button('Export CSV', () => this.exportCSV()));
+        toolbar.appendChild(this._button('Reset', () => {
+            this.quantumLayer.stats.reset();
+            this.onReset();
+            this.regime = 'all';
+            this.update();
+        }));
+        this.container.appendChild(toolbar);
+        
+        this.summary = document.createElement('div');
+        this.summary.className = 'stats-summary';
+        this.container.appendChild(this.summary);
+        
+        this.chart = document.createElement('div');
+        this.chart.className = 'stats-chart';
+        this.container.appendChild(this.chart);
+    }
+    
+    _renderRegimeOptions() {
+        const stats = this.quantumLayer.stats;
+        const keys = stats.regimeKeys;
+        if (!keys.includes(this.regime)) this.regime = 'all';
+        
+        this.regimeSelect.innerHTML = '';
+        ['all', ...keys].forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${key === 'all' ? 'All regimes' : StatsPanel._regimeLabel(key)} (${stats.get(key).shots})`;
+            option.selected = key === this.regime;
+            this.regimeSelect.appendChild(option);
+        });
+    }
+    
+    _renderChart() {
+        const stats = this.quantumLayer.stats;
+        const numQubits = this.quantumLayer.numQubits;
+        const { shots, observed, expected } = stats.get(this.regime);
+        
+        this.chart.innerHTML = '';
+        if (shots === 0) {
+            this.summary.textContent = 'No measurements yet';
+            this.summary.classList.remove('deviation');
+            return;
+        }
+        
+        const { statistic, degreesOfFreedom, pValue } = stats.chiSquare(this.regime);
+        const pText = pValue === null ? 'n/a' : pValue.toFixed(3);
+        this.summary.textContent = `${shots} shots · χ² = ${statistic.toFixed(2)} (${degreesOfFreedom} dof) · p = ${pText}`;
+        this.summary.classList.toggle('deviation', pValue !== null && pValue < StatsPanel.SIGNIFICANCE);
+        
+        const frequencies = observed.map(count => count / shots);
+        const theory = expected.map(count => count / shots);
+        const scale = Math.max(...frequencies, ...theory) || 1;
+        
+        frequencies.forEach((frequency, index) => {
+            const ket = QuantumLayer._indexToBits(index, numQubits).join('');
+            const group = document.createElement('div');
+            group.className = 'stats-state';
+            group.title = `|${ket}⟩: observed ${observed[index]} (${(frequency * 100).toFixed(1)}%), ` +
+                `theory ${(theory[index] * 100).toFixed(1)}%`;
+            
+            const bars = document.createElement('div');
+            bars.className = 'stats-bars';
+            [['theory', theory[index]], ['observed', frequency]].forEach(([kind, value]) => {
+                const bar = document.createElement('div');
+                bar.className = `stats-bar ${kind}`;
+                bar.style.height = `${value / scale * 100}%`;
+                bars.appendChild(bar);
+            });
+            group.appendChild(bars);
+            
+            // Kets fit under the bars of small registers only
+            if (numQubits <= 4) {
+                const label = document.createElement('span');
+                label.textContent = ket;
+                group.appendChild(label);
+            }
+            this.chart.appendChild(group);
+        });
+    }
+    
+    _button(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'small';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * 'alpha-high/beta-low' -> 'α high, β low'
+     */
+    static _regimeLabel(key) {
+        return key.replace('alpha-', 'α ').replace('/beta-', ', β ');
+    }
+}
+
+// p-values below this are flagged as a deviation from theory
+StatsPanel.SIGNIFICANCE = 0.01;
+
+// Export the class for use in other modules
+window.StatsPanel = StatsPanel;
@@ -0,0 +1,233 @@
+/**
+ * SyntheticBrainwaveSource - Plausible alpha/beta/jitter without a person
+ *
+ * For demos and tests. Three patterns:
+ *   'drift' - 1/f (pink) noise wandering around the middle of the range
+ *   'arc'   - a scripted relax → focus → excite cycle with smooth
+ *             transitions and a little drift on top
+ *   'sweep' - alpha and beta swept up and down in opposition
+ * Time runs only while the source is started, scaled by speed, and every
+ * channel is mapped into [low, high]. Noise comes from the
+ * 'synthetic-input' random stream and start() rewinds the pattern, so a
+ * session seed (set before the sources start) replays it.
+ */
+
+/**
+ * PinkNoise - Voss-McCartney 1/f noise, smoothed
+ *
+ * Row k of the generator is redrawn every 2^k steps; their sum has power
+ * falling off as 1/f. A one-pole filter takes the edges off the steps.
+ */
+class PinkNoise {
+    /**
+     * @param {SeededRandom} random
+     * @param {Number} rows - Octaves (default 12; the slowest changes every 2^12 steps)
+     */
+    constructor(random, rows = 12) {
+        this.random = random;
+        this.rows = Array.from({ length: rows }, () => random.range(-1, 1));
+        this.step = 0;
+        this.value = this._sum();
+    }
+    
+    /**
+     * Advance one step
+     * @returns {Number} Smoothed value, about -1 to 1
+     */
+    next() {
+        this.step++;
+        
+        // The row of the lowest set bit changes, so row k changes every 2^k steps
+        let row = 0;
+        while (row < this.rows.length - 1 && (this.step & (1 << row)) === 0) row++;
+        this.rows[row] = this.random.range(-1, 1);
+        
+        this.value += (this._sum() - this.value) * 0.3;
+        return this.value;
+    }
+    
+    _sum() {
+        return this.rows.reduce((sum, value) => sum + value, 0) / Math.sqrt(this.rows.length * 3);
+    }
+}
+
+class SyntheticBrainwaveSource extends InputSource {
+    /**
+     * @param {Object} options
+     * @param {String} options.mode - 'drift', 'arc' or 'sweep' (default 'arc')
+     * @param {Number} options.speed - Time multiplier (default 1)
+     * @param {Number} options.low - Lowest output value (default 0)
+     * @param {Number} options.high - Highest output value (default 1)
+     */
+    constructor(options = {}) {
+        super('synthetic', { label: 'Synthetic brainwaves', kind: 'synthetic' });
+        this.random = RandomService.stream('synthetic-input');
+        this.setMode(options.mode || 'arc');
+        this.setSpeed(options.speed === undefined ? 1 : options.speed);
+        this.setRange(options.low === undefined ? 0 : options.low, options.high === undefined ? 1 : options.high);
+        this.reset();
+    }
+    
+    get metadata() {
+        return {
+            ...super.metadata,
+            mode: this.mode,
+            speed: this.speed,
+            low: this.low,
+            high: this.high
+        };
+    }
+    
+    /**
+     * @param {String} mode - One of SyntheticBrainwaveSource.MODES
+     * @throws {Error} If the mode is unknown
+     */
+    setMode(mode) {
+        if (!SyntheticBrainwaveSource.MODES.includes(mode)) {
+            throw new Error(`Unknown synthetic input mode "${mode}"`);
+        }
+        this.mode = mode;
+    }
+    
+    /**
+     * @param {Number} speed - Time multiplier, 0.1-10
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(0.1, Math.min(10, Number(speed) || 1));
+    }
+    
+    /**
+     * Output range within 0-1 (swapped if given high first)
+     */
+    setRange(low, high) {
+        const clamp = value => Math.max(0, Math.min(1, Number(value) || 0));
+        this.low = Math.min(clamp(low), clamp(high));
+        this.high = Math.max(clamp(low), clamp(high));
+    }
+    
+    /**
+     * Back to the start of the arc, with fresh noise
+     */
+    reset() {
+        this.time = 0;
+        this.lastNow = null;
+        this.noise = {
+            alpha: new PinkNoise(this.random),
+            beta: new PinkNoise(this.random),
+            jitter: new PinkNoise(this.random)
+        };
+        this.noiseTicks = 0;
+    }
+    
+    start() {
+        super.start();
+        this.reset();
+    }
+    
+    read(now) {
+        this._advance(now);
+        const noise = this._noise();
+        let values;
+        
+        if (this.mode === 'drift') {
+            values = {
+                alpha: 0.5 + 0.45 * noise.alpha,
+                beta: 0.5 + 0.45 * noise.beta,
+                jitter: 0.2 + 0.2 * noise.jitter
+            };
+        } else if (this.mode === 'sweep') {
+            const angle = 2 * Math.PI * this.time / SyntheticBrainwaveSource.SWEEP_PERIOD;
+            values = {
+                alpha: 0.5 - 0.45 * Math.cos(angle) + 0.05 * noise.alpha,
+                beta: 0.5 + 0.45 * Math.cos(angle) + 0.05 * noise.beta,
+                jitter: 0.15 + 0.15 * Math.sin(angle) ** 2 + 0.05 * noise.jitter
+            };
+        } else {
+            const { phase, next, blend } = SyntheticBrainwaveSource.arcPhase(this.time);
+            const mix = channel => phase[channel] + (next[channel] - phase[channel]) * blend;
+            values = {
+                alpha: mix('alpha') + 0.1 * noise.alpha,
+                beta: mix('beta') + 0.1 * noise.beta,
+                jitter: mix('jitter') + 0.05 * noise.jitter,
+                phase: blend < 0.5 ? phase.name : next.name
+            };
+        }
+        
+        InputSource.CHANNELS.forEach(channel => {
+            const value = Math.max(0, Math.min(1, values[channel]));
+            values[channel] = this.low + value * (this.high - this.low);
+        });
+        return values;
+    }
+    
+    /**
+     * Arc phase at a time (seconds of pattern time)
+     * @returns {Object} { phase, next, blend } - blend 0-1 from phase towards next
+     */
+    static arcPhase(time) {
+        const phases = SyntheticBrainwaveSource.ARC;
+        const cycle = phases.reduce((sum, phase) => sum + phase.duration, 0);
+        let t = ((time % cycle) + cycle) % cycle;
+        let index = 0;
+        while (t >= phases[index].duration) {
+            t -= phases[index].duration;
+            index++;
+        }
+        
+        const phase = phases[index];
+        const next = phases[(index + 1) % phases.length];
+        const transition = SyntheticBrainwaveSource.ARC_TRANSITION;
+        const into = t - (phase.duration - transition);
+        const blend = into > 0 ? 0.5 - 0.5 * Math.cos(Math.PI * into / transition) : 0;
+        return { phase, next, blend };
+    }
+    
+    /**
+     * Move pattern time on by the clock time since the last read
+     */
+    _advance(now) {
+        if (this.running && this.lastNow !== null) {
+            // A long gap (a hidden tab) is not a jump in the pattern
+            const elapsed = Math.min(Math.max(now - this.lastNow, 0), 250) / 1000;
+            this.time += elapsed * this.speed;
+        }
+        this.lastNow = now;
+    }
+    
+    /**
+     * Noise for the current time, about -1 to 1 per channel; the generators
+     * step at NOISE_RATE per second of pattern time, so speed stretches them too
+     */
+    _noise() {
+        const ticks = Math.floor(this.time * SyntheticBrainwaveSource.NOISE_RATE);
+        for (; this.noiseTicks < ticks; this.noiseTicks++) {
+            Object.values(this.noise).forEach(generator => generator.next());
+        }
+        
+        const noise = {};
+        Object.entries(this.noise).forEach(([channel, generator]) => { noise[channel] = generator.value; });
+        return noise;
+    }
+}
+
+SyntheticBrainwaveSource.MODES = ['drift', 'arc', 'sweep'];
+
+// The scripted arc, looped; durations in seconds at speed 1
+SyntheticBrainwaveSource.ARC = [
+    { name: 'relax', duration: 20, alpha: 0.85, beta: 0.15, jitter: 0.05 },
+    { name: 'focus', duration: 20, alpha: 0.4, beta: 0.65, jitter: 0.1 },
+    { name: 'excite', duration: 15, alpha: 0.2, beta: 0.9, jitter: 0.6 }
+];
+
+// Seconds at the end of each arc phase spent easing into the next
+SyntheticBrainwaveSource.ARC_TRANSITION = 5;
+
+// Seconds for one sweep up and down
+SyntheticBrainwaveSource.SWEEP_PERIOD = 16;
+
+// Noise steps per second of pattern time
+SyntheticBrainwaveSource.NOISE_RATE = 10;
+
+// Export for use in other modules
+globalThis.PinkNoise = PinkNoise;
+globalThis.SyntheticBrainwaveSource = SyntheticBrainwaveSource;
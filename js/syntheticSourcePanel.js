@@ -0,0 +1,138 @@
+/**
+ * SyntheticSourcePanel - Debug-panel controls for synthetic brainwaves
+ *
+ * Pattern, speed and output range of a SyntheticBrainwaveSource, a restart
+ * button and the arc phase it is in.
+ */
+class SyntheticSourcePanel {
+    /**
+     * @param {String} containerId - Element to render into
+     * @param {Object} options
+     * @param {SyntheticBrainwaveSource} options.source - Source to control
+     * @param {Function} options.onChange - Called with { mode, speed, low, high }
+     *                                      after a change, for saving
+     */
+    constructor(containerId, options = {}) {
+        this.source = options.source;
+        this.onChange = options.onChange || (() => {});
+        
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error(`Container element '${containerId}' not found`);
+            return;
+        }
+        
+        this._build();
+        this._render();
+        this.source.on('update', data => this._renderStatus(data));
+    }
+    
+    _build() {
+        this.container.innerHTML = '';
+        
+        const modeRow = this._row('Synthetic:');
+        this.modeSelect = document.createElement('select');
+        [['arc', 'Relax → focus → excite'], ['drift', '1/f drift'], ['sweep', 'Sweeps']].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            this.modeSelect.appendChild(option);
+        });
+        this.modeSelect.addEventListener('change', () => {
+            this.source.setMode(this.modeSelect.value);
+            this._changed();
+        });
+        modeRow.appendChild(this.modeSelect);
+        modeRow.appendChild(this._button('Restart', () => this.source.reset()));
+        
+        this.speed = this._slider(this._row('Speed:'), 0.25, 4, 0.25, () => {
+            this.source.setSpeed(Number(this.speed.slider.value));
+            this._changed();
+        });
+        this.low = this._slider(this._row('Low:'), 0, 1, 0.05, () => this._setRange());
+        this.high = this._slider(this._row('High:'), 0, 1, 0.05, () => this._setRange());
+        
+        this.status = document.createElement('div');
+        this.status.className = 'synthetic-status';
+        this.container.appendChild(this.status);
+    }
+    
+    _setRange() {
+        this.source.setRange(Number(this.low.slider.value), Number(this.high.slider.value));
+        this._changed();
+    }
+    
+    _changed() {
+        this._render();
+        const { mode, speed, low, high } = this.source;
+        this.onChange({ mode, speed, low, high });
+    }
+    
+    _render() {
+        if (!this.container) return;
+        
+        const source = this.source;
+        this.modeSelect.value = source.mode;
+        [[this.speed, source.speed, `${source.speed.toFixed(2)}×`],
+            [this.low, source.low, source.low.toFixed(2)],
+            [this.high, source.high, source.high.toFixed(2)]].forEach(([{ slider, value }, number, text]) => {
+            if (document.activeElement !== slider) slider.value = String(number);
+            value.textContent = text;
+        });
+        this._renderStatus({});
+    }
+    
+    _renderStatus(data) {
+        const source = this.source;
+        const time = SyntheticSourcePanel._formatTime(source.time);
+        this.status.textContent = data.phase ? `${time} · ${data.phase}` : time;
+    }
+    
+    _row(text) {
+        const row = document.createElement('div');
+        row.className = 'option';
+        
+        const label = document.createElement('label');
+        label.textContent = text;
+        row.appendChild(label);
+        this.container.appendChild(row);
+        return row;
+    }
+    
+    /**
+     * A range input with its value shown after it
+     * @returns {Object} { slider, value } - The input and the value's span
+     */
+    _slider(row, min, max, step, onInput) {
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = String(min);
+        slider.max = String(max);
+        slider.step = String(step);
+        slider.addEventListener('input', onInput);
+        row.appendChild(slider);
+        
+        const value = document.createElement('span');
+        row.appendChild(value);
+        return { slider, value };
+    }
+    
+    _button(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'small';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Seconds as m:ss
+     */
+    static _formatTime(seconds) {
+        const whole = Math.floor(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
+}
+
+// Export the class for use in other modules
+window.SyntheticSourcePanel = SyntheticSourcePanel;
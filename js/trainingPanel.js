@@ -0,0 +1,209 @@
+/**
+ * TrainingPanel - Debug-panel controls for train mode and saved styles
+ *
+ * Train mode loads the variational circuit into the quantum layer and plays
+ * the trainer's trial parameters; thumbs up/down rate the bar that is
+ * playing. A style is a circuit together with its learned parameters,
+ * saved under a name and loaded back into the layer.
+ */
+class TrainingPanel {
+    /**
+     * @param {String} containerId - Element to render into
+     * @param {Object} options
+     * @param {QuantumLayer} options.quantumLayer - Layer that plays the circuit
+     * @param {Object} options.styles - Saved styles by name: { circuit, parameters }
+     * @param {Function} options.onStylesChange - Called with the styles after a save or delete
+     * @param {Function} options.onCircuitChange - Called with the circuit after
+     *                                             train mode or a style loaded one
+     */
+    constructor(containerId, options = {}) {
+        this.quantumLayer = options.quantumLayer;
+        this.styles = { ...options.styles };
+        this.onStylesChange = options.onStylesChange || (() => {});
+        this.onCircuitChange = options.onCircuitChange || (() => {});
+        this.trainer = null;
+        this.training = false;
+        
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error(`Container element '${containerId}' not found`);
+            return;
+        }
+        
+        this._build();
+        this._renderStyles();
+        this._renderStatus();
+    }
+    
+    /**
+     * Switch train mode on (starting from the loaded variational circuit and
+     * its parameters, if any) or off (keeping the learned parameters)
+     */
+    setTraining(enabled) {
+        this.training = Boolean(enabled);
+        
+        if (this.training) {
+            let circuit = this.quantumLayer.circuit;
+            if (!circuit || Object.keys(VariationalTrainer.initialParameters(circuit)).length === 0) {
+                circuit = QuantumCircuit.variationalRhythm(this.quantumLayer.numQubits);
+                this.quantumLayer.loadCircuit(circuit);
+                this.onCircuitChange(circuit);
+            }
+            this._startTrainer(circuit);
+            this.quantumLayer.setCircuitParameters(this.trainer.trialParameters);
+        } else if (this.trainer) {
+            this.quantumLayer.setCircuitParameters(this.trainer.parameters);
+        }
+        
+        if (this.container) {
+            this.trainCheckbox.checked = this.training;
+        }
+        this._renderStatus();
+    }
+    
+    /**
+     * Rate the bar that is playing and move on to the next trial
+     * @param {Number} rating - 1 (thumbs up) or -1 (thumbs down)
+     */
+    rate(rating) {
+        if (!this.training) return;
+        
+        this.trainer.rate(rating);
+        this.quantumLayer.setCircuitParameters(this.trainer.trialParameters);
+        this._renderStatus();
+    }
+    
+    /**
+     * Save the loaded circuit and its (learned) parameters as a style
+     */
+    saveStyle(name) {
+        const circuit = this.quantumLayer.getCircuit();
+        this.styles[name] = {
+            circuit: circuit.toJSON(),
+            parameters: this.trainer ? { ...this.trainer.parameters } : { ...this.quantumLayer.circuitParameters }
+        };
+        this.onStylesChange(this.styles);
+        this._renderStyles(name);
+    }
+    
+    /**
+     * Load a saved style into the layer; training continues from it
+     */
+    loadStyle(name) {
+        const style = this.styles[name];
+        if (!style) return;
+        
+        let circuit;
+        try {
+            circuit = this.quantumLayer.loadCircuit(style.circuit);
+        } catch (error) {
+            console.error(`Error loading style "${name}":`, error);
+            return;
+        }
+        this.quantumLayer.setCircuitParameters(style.parameters);
+        if (this.training) {
+            this._startTrainer(circuit, style.parameters);
+            this.quantumLayer.setCircuitParameters(this.trainer.trialParameters);
+        } else {
+            this.trainer = null;
+        }
+        
+        this.onCircuitChange(circuit);
+        this._renderStatus();
+    }
+    
+    deleteStyle(name) {
+        delete this.styles[name];
+        this.onStylesChange(this.styles);
+        this._renderStyles();
+    }
+    
+    _startTrainer(circuit, parameters = null) {
+        const initial = VariationalTrainer.initialParameters(circuit);
+        Object.keys(initial).forEach(name => {
+            const start = parameters || this.quantumLayer.circuitParameters;
+            if (typeof start[name] === 'number') initial[name] = start[name];
+        });
+        this.trainer = new VariationalTrainer(initial);
+    }
+    
+    _build() {
+        this.container.innerHTML = '';
+        
+        const trainRow = document.createElement('div');
+        trainRow.className = 'option';
+        
+        const trainLabel = document.createElement('label');
+        trainLabel.textContent = 'Train:';
+        this.trainCheckbox = document.createElement('input');
+        this.trainCheckbox.type = 'checkbox';
+        this.trainCheckbox.title = 'Rate each bar; the circuit learns toward what you like';
+        this.trainCheckbox.addEventListener('change', () => this.setTraining(this.trainCheckbox.checked));
+        trainLabel.appendChild(this.trainCheckbox);
+        trainRow.appendChild(trainLabel);
+        
+        this.upButton = this._button('👍', () => this.rate(1));
+        this.upButton.title = 'I like this bar';
+        this.downButton = this._button('👎', () => this.rate(-1));
+        this.downButton.title = "I don't like this bar";
+        trainRow.appendChild(this.upButton);
+        trainRow.appendChild(this.downButton);
+        
+        this.status = document.createElement('span');
+        this.status.className = 'training-status';
+        trainRow.appendChild(this.status);
+        this.container.appendChild(trainRow);
+        
+        const styleRow = document.createElement('div');
+        styleRow.className = 'option';
+        
+        const styleLabel = document.createElement('label');
+        styleLabel.textContent = 'Style:';
+        this.styleSelect = document.createElement('select');
+        styleLabel.appendChild(this.styleSelect);
+        styleRow.appendChild(styleLabel);
+        
+        styleRow.appendChild(this._button('Load', () => this.loadStyle(this.styleSelect.value)));
+        styleRow.appendChild(this._button('Save As', () => {
+            const name = (window.prompt('Style name', this.styleSelect.value || 'My style') || '').trim();
+            if (name) this.saveStyle(name);
+        }));
+        styleRow.appendChild(this._button('Delete', () => this.deleteStyle(this.styleSelect.value)));
+        this.container.appendChild(styleRow);
+    }
+    
+    _renderStyles(selected) {
+        if (!this.container) return;
+        
+        const current = selected || this.styleSelect.value;
+        this.styleSelect.innerHTML = '';
+        Object.keys(this.styles).sort().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            option.selected = name === current;
+            this.styleSelect.appendChild(option);
+        });
+    }
+    
+    _renderStatus() {
+        if (!this.container) return;
+        
+        this.upButton.disabled = !this.training;
+        this.downButton.disabled = !this.training;
+        this.status.textContent = this.training
+            ? `Iteration ${this.trainer.iteration + 1}, rating trial ${this.trainer.phase === 'plus' ? 'A' : 'B'}`
+            : '';
+    }
+    
+    _button(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'small';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
+
+// Export the class for use in other modules
+window.TrainingPanel = TrainingPanel;
@@ -0,0 +1,127 @@
+/**
+ * VariationalTrainer - Tunes free circuit parameters from thumbs-up/down
+ * ratings with SPSA (simultaneous perturbation stochastic approximation)
+ *
+ * Each iteration draws a random ±1 direction Δ for all parameters at once
+ * and plays two trial bars: θ + cΔ, then θ - cΔ. Once both are rated, the
+ * parameters step along Δ toward the better-liked side:
+ * θ ← θ + a · (rating⁺ - rating⁻) / 2c · Δ. Gains a and c shrink over the
+ * iterations so the search settles.
+ */
+class VariationalTrainer {
+    /**
+     * @param {Object} parameters - Starting values by name, e.g. { theta0: 0 }
+     * @param {Object} options
+     * @param {Number} options.stepSize - Initial gain a (default 0.2)
+     * @param {Number} options.perturbation - Initial probe size c (default 0.4 rad)
+     * @param {SeededRandom} options.random - Source of directions (default: the 'variational' stream)
+     */
+    constructor(parameters, options = {}) {
+        this.stepSize = options.stepSize || 0.2;
+        this.perturbation = options.perturbation || 0.4;
+        this.random = options.random || RandomService.stream('variational');
+        
+        this.reset(parameters);
+    }
+    
+    /**
+     * Start over from new parameter values
+     */
+    reset(parameters) {
+        this.names = Object.keys(parameters);
+        this.parameters = { ...parameters };
+        this.iteration = 0;
+        this._startIteration();
+    }
+    
+    /**
+     * Which trial bar is waiting for a rating: 'plus' or 'minus'
+     */
+    get phase() {
+        return this.ratings.length === 0 ? 'plus' : 'minus';
+    }
+    
+    /**
+     * Parameters to play while the current trial bar is rated
+     */
+    get trialParameters() {
+        const sign = this.phase === 'plus' ? 1 : -1;
+        const c = this._gain(this.perturbation, VariationalTrainer.PERTURBATION_DECAY);
+        const trial = {};
+        this.names.forEach(name => {
+            trial[name] = this.parameters[name] + sign * c * this.direction[name];
+        });
+        return trial;
+    }
+    
+    /**
+     * Rate the current trial bar
+     * @param {Number} rating - 1 (thumbs up) or -1 (thumbs down)
+     * @returns {Boolean} Whether this rating completed an iteration and
+     *                    moved the parameters
+     */
+    rate(rating) {
+        this.ratings.push(Math.sign(rating));
+        if (this.ratings.length < 2) return false;
+        
+        const [plus, minus] = this.ratings;
+        const a = this._gain(this.stepSize, VariationalTrainer.STEP_DECAY);
+        const c = this._gain(this.perturbation, VariationalTrainer.PERTURBATION_DECAY);
+        const gradient = (plus - minus) / (2 * c);
+        
+        this.names.forEach(name => {
+            this.parameters[name] = VariationalTrainer._wrapAngle(
+                this.parameters[name] + a * gradient * this.direction[name]
+            );
+        });
+        
+        this.iteration++;
+        this._startIteration();
+        return true;
+    }
+    
+    _startIteration() {
+        this.ratings = [];
+        this.direction = {};
+        this.names.forEach(name => {
+            this.direction[name] = this.random.next() < 0.5 ? -1 : 1;
+        });
+    }
+    
+    /**
+     * Spall's gain schedule g / (k + 1)^decay
+     */
+    _gain(initial, decay) {
+        return initial / Math.pow(this.iteration + 1, decay);
+    }
+    
+    /**
+     * Keep angles within (-π, π]
+     */
+    static _wrapAngle(angle) {
+        const wrapped = angle - 2 * Math.PI * Math.floor((angle + Math.PI) / (2 * Math.PI));
+        return wrapped === -Math.PI ? Math.PI : wrapped;
+    }
+    
+    /**
+     * Free parameters of a circuit (everything but the input bindings),
+     * all starting at 0
+     */
+    static initialParameters(circuit) {
+        const parameters = {};
+        circuit.parameters
+            .filter(name => !VariationalTrainer.INPUT_BINDINGS.includes(name))
+            .forEach(name => { parameters[name] = 0; });
+        return parameters;
+    }
+}
+
+// Standard SPSA decay exponents for the step and perturbation gains
+VariationalTrainer.STEP_DECAY = 0.602;
+VariationalTrainer.PERTURBATION_DECAY = 0.101;
+
+// Bindings supplied by the input rather than learned
+VariationalTrainer.INPUT_BINDINGS = ['alpha', 'beta', 'jitter'];
+
+// Export the class for use in other modules
+globalThis.VariationalTrainer = VariationalTrainer;